@@ -0,0 +1,176 @@
+/*
+ * Digest API Route
+ * Generates a newsletter digest of the top trending repositories of a period
+ * (a summary of each plus an AI-written overview) and serves saved digests as
+ * JSON, Markdown or HTML
+ */
+
+import { NextResponse } from 'next/server'
+import { resolveSummarizeSettings, SummarizeError } from '../../../lib/summarize'
+import { GitHubRateLimitError } from '../../../lib/github'
+import {
+  generateDigest,
+  listDigests,
+  getDigest,
+  isValidDigestId,
+  renderDigestMarkdown,
+  renderDigestHtml,
+  DigestError,
+  DEFAULT_DIGEST_DAYS,
+  MAX_DIGEST_DAYS,
+  DEFAULT_DIGEST_SIZE,
+  MAX_DIGEST_SIZE
+} from '../../../lib/digest'
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+}
+
+/**
+ * @typedef {Object} DigestRequestFields
+ * @property {number} [days] - Period in days (default 7, max 30)
+ * @property {number} [limit] - Number of repositories (default 10, max 25)
+ */
+
+/**
+ * Validates the digest-specific fields of a request
+ * @param {DigestRequestFields} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDigestFields(body) {
+  if (body.days !== undefined && (!Number.isInteger(body.days) || body.days < 1 || body.days > MAX_DIGEST_DAYS)) {
+    return `"days" must be an integer from 1 to ${MAX_DIGEST_DAYS}`
+  }
+
+  if (body.limit !== undefined && (!Number.isInteger(body.limit) || body.limit < 1 || body.limit > MAX_DIGEST_SIZE)) {
+    return `"limit" must be an integer from 1 to ${MAX_DIGEST_SIZE}`
+  }
+
+  return null
+}
+
+/**
+ * GET /api/digest
+ * Lists saved digests, or returns one
+ *
+ * Query parameters:
+ * - id: digest to return (omit to list saved digests, newest first)
+ * - format: "json" (default) | "md" | "html"
+ * - download: any value serves the digest as a file attachment
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} Digest list, digest document, or a JSON error
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const id = searchParams.get('id')
+  const format = searchParams.get('format') || 'json'
+
+  try {
+    if (!id) {
+      return NextResponse.json({ digests: await listDigests() })
+    }
+
+    if (!isValidDigestId(id)) {
+      return NextResponse.json({ error: 'Invalid digest id' }, { status: 400 })
+    }
+    if (!['json', 'md', 'html'].includes(format)) {
+      return NextResponse.json({ error: '"format" must be one of: json, md, html' }, { status: 400 })
+    }
+
+    const digest = await getDigest(id)
+    if (!digest) {
+      return NextResponse.json({ error: `Digest ${id} not found` }, { status: 404 })
+    }
+
+    if (format === 'json') {
+      return NextResponse.json({ digest })
+    }
+
+    /** @type {Record<string, string>} */
+    const headers = { 'Content-Type': CONTENT_TYPES[format] }
+    if (searchParams.has('download')) {
+      headers['Content-Disposition'] = `attachment; filename="ai-digest-${id}.${format}"`
+    }
+
+    return new NextResponse(format === 'md' ? renderDigestMarkdown(digest) : renderDigestHtml(digest), { headers })
+  } catch (error) {
+    console.error('Error reading digests:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to read digests' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * POST /api/digest
+ * Generates and saves a digest of the top repositories created in the last days
+ * Accepts the same provider fields as /api/summarize (provider, apiKey,
+ * fallbacks, style, output_language) plus "days" and "limit". Summaries that are
+ * already cached are reused; this can still take a minute for a full digest.
+ * At most DIGEST_GENERATIONS_PER_HOUR digests (default 5) are generated per
+ * hour across all clients; further requests get a 429 with Retry-After.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with the saved digest
+ */
+export async function POST(request) {
+  /** @type {DigestRequestFields & import('../../../types/index.js').SummarizeRequest} */
+  let body
+  let settings
+
+  try {
+    body = await request.json()
+
+    const fieldsError = validateDigestFields(body)
+    if (fieldsError) {
+      return NextResponse.json({ error: fieldsError }, { status: 400 })
+    }
+
+    settings = resolveSummarizeSettings(body)
+  } catch (error) {
+    if (error instanceof SummarizeError) {
+      return NextResponse.json({ error: error.message }, { status: error.status })
+    }
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+  }
+
+  try {
+    const digest = await generateDigest({
+      days: body.days || DEFAULT_DIGEST_DAYS,
+      limit: body.limit || DEFAULT_DIGEST_SIZE,
+      settings,
+      signal: request.signal
+    })
+
+    return NextResponse.json({ digest })
+  } catch (error) {
+    console.error('Error generating digest:', error)
+
+    // Tell clients when to retry if GitHub's quota is exhausted
+    if (error instanceof GitHubRateLimitError) {
+      return NextResponse.json(
+        { error: error.message, retry_after_seconds: error.retryAfterSeconds },
+        { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+      )
+    }
+
+    if (error instanceof DigestError && error.retryAfterSeconds) {
+      return NextResponse.json(
+        { error: error.message, retry_after_seconds: error.retryAfterSeconds },
+        { status: error.status, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+      )
+    }
+
+    if (error instanceof DigestError || error instanceof SummarizeError) {
+      return NextResponse.json({ error: error.message }, { status: error.status })
+    }
+
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to generate digest' },
+      { status: 500 }
+    )
+  }
+}
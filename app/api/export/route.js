@@ -0,0 +1,178 @@
+/*
+ * Export API Route
+ * Downloads the Home page repository list (with search and filters applied)
+ * as JSON, CSV or Markdown, including cached AI summaries
+ */
+
+import { NextResponse } from 'next/server'
+import { DEFAULT_TRENDS_QUERY } from '../../../lib/trendsQuery'
+import { getTrendsPage } from '../../../lib/trends'
+import { getLatestSummaries } from '../../../lib/summaryCache'
+import { GitHubRateLimitError } from '../../../lib/github'
+import {
+  parseRepositoryFilters,
+  applyRepositoryFilters,
+  hasActiveFilters,
+  DEFAULT_REPOSITORY_FILTERS,
+  REPOSITORY_SORT_OPTIONS
+} from '../../../lib/repositoryFilters'
+import {
+  EXPORT_FORMATS,
+  MAX_EXPORT_PAGES,
+  toExportRecords,
+  toJsonExport,
+  toCsvExport,
+  toMarkdownExport,
+  parseExportIds
+} from '../../../lib/export'
+
+const EXPORT_TITLE = 'Trending AI Repositories'
+
+/**
+ * Loads the first pages of a trends query, skipping repeated repositories
+ * @param {import('../../../lib/trendsQuery.js').TrendsQuery} trendsQuery - Query shown on the Home page
+ * @param {number} pages - Number of pages to load
+ * @returns {Promise<import('../../../types/index.js').Repository[]>} Repositories in trends order
+ */
+async function loadTrendingRepositories(trendsQuery, pages) {
+  /** @type {import('../../../types/index.js').Repository[]} */
+  const repositories = []
+  const seenIds = new Set()
+
+  for (let page = 1; page <= pages; page++) {
+    const { entry } = await getTrendsPage(trendsQuery, page)
+    entry.data.repositories.forEach((repository) => {
+      if (!seenIds.has(repository.id)) {
+        seenIds.add(repository.id)
+        repositories.push(repository)
+      }
+    })
+    if (!entry.data.hasMore) {
+      break
+    }
+  }
+
+  return repositories
+}
+
+/**
+ * Describes the applied filters, e.g. "Search "agent" · Language: Python · Sort: ⭐ Most stars"
+ * @param {import('../../../lib/repositoryFilters.js').RepositoryFilters} filters - Applied filters
+ * @returns {string}
+ */
+function describeFilters(filters) {
+  const parts = []
+  if (filters.q.trim()) {
+    parts.push(`Search "${filters.q.trim()}"`)
+  }
+  if (filters.languages.length > 0) {
+    parts.push(`Language: ${filters.languages.join(', ')}`)
+  }
+  if (filters.topics.length > 0) {
+    parts.push(`Topic: ${filters.topics.join(', ')}`)
+  }
+  const sortOption = REPOSITORY_SORT_OPTIONS.find((option) => option.id === filters.sort)
+  parts.push(`Sort: ${sortOption ? sortOption.label : filters.sort}`)
+  parts.push(`Created in the last ${filters.days} ${filters.days === 1 ? 'day' : 'days'}`)
+  if (filters.minStars > 0) {
+    parts.push(`${filters.minStars}+ stars`)
+  }
+  return parts.join(' · ')
+}
+
+/**
+ * GET /api/export
+ * Returns the repository list shown on the Home page as a file download
+ *
+ * Query parameters:
+ * - format: "json" | "csv" | "md" (required)
+ * - pages: trends result pages to include, as loaded on the page (default 1, max 10)
+ * - q, language, topic, sort, days, minStars: Home page search and filters (same as its URL)
+ * - ids: comma-separated repository ids to export only those, e.g. the ones new
+ *   since the last visit when "show only new" is on
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} Export file, or a JSON error
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+
+  const format = EXPORT_FORMATS.find((option) => option.id === searchParams.get('format'))
+  if (!format) {
+    return NextResponse.json(
+      { error: `"format" must be one of: ${EXPORT_FORMATS.map((option) => option.id).join(', ')}` },
+      { status: 400 }
+    )
+  }
+
+  const pagesParam = searchParams.get('pages') || '1'
+  const pages = /^\d+$/.test(pagesParam) ? parseInt(pagesParam, 10) : NaN
+  if (!(pages >= 1 && pages <= MAX_EXPORT_PAGES)) {
+    return NextResponse.json(
+      { error: `"pages" must be a whole number from 1 to ${MAX_EXPORT_PAGES}` },
+      { status: 400 }
+    )
+  }
+
+  const idsParam = searchParams.get('ids')
+  const onlyIds = parseExportIds(idsParam)
+  if (idsParam !== null && !onlyIds) {
+    return NextResponse.json(
+      { error: '"ids" must be comma-separated repository ids' },
+      { status: 400 }
+    )
+  }
+
+  const filters = parseRepositoryFilters(searchParams)
+
+  try {
+    // Period and minimum stars select what is fetched, like on the Home page
+    const trendsQuery = { ...DEFAULT_TRENDS_QUERY, days: filters.days, minStars: filters.minStars }
+    const loaded = await loadTrendingRepositories(trendsQuery, pages)
+    const onlyIdSet = onlyIds ? new Set(onlyIds) : null
+    const repositories = applyRepositoryFilters(loaded, filters)
+      .filter((repository) => !onlyIdSet || onlyIdSet.has(repository.id))
+    const summaries = await getLatestSummaries(repositories.map((repository) => repository.id))
+    const records = toExportRecords(repositories, summaries)
+
+    console.log(`Exporting ${records.length} of ${loaded.length} repositories as ${format.id} (${Object.keys(summaries).length} summarized)`)
+
+    const exportedAt = new Date().toISOString()
+    let body
+    if (format.id === 'json') {
+      body = toJsonExport(records, { exported_at: exportedAt, filters, pages, ...(onlyIds ? { ids: onlyIds } : {}) })
+    } else if (format.id === 'csv') {
+      body = toCsvExport(records)
+    } else {
+      const subtitle = `Exported ${exportedAt.slice(0, 10)} · ${records.length} repositories` +
+        (hasActiveFilters(filters) || filters.sort !== DEFAULT_REPOSITORY_FILTERS.sort ||
+          filters.days !== DEFAULT_REPOSITORY_FILTERS.days || filters.minStars !== DEFAULT_REPOSITORY_FILTERS.minStars
+          ? ` · ${describeFilters(filters)}`
+          : '')
+      body = toMarkdownExport(records, EXPORT_TITLE, subtitle)
+    }
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': format.contentType,
+        'Content-Disposition': `attachment; filename="ai-repositories-${exportedAt.slice(0, 10)}.${format.extension}"`,
+        'Cache-Control': 'no-store'
+      }
+    })
+  } catch (error) {
+    console.error('Error exporting repositories:', error)
+
+    // Tell clients when to retry if GitHub's quota is exhausted
+    if (error instanceof GitHubRateLimitError) {
+      return NextResponse.json(
+        { error: error.message, retry_after_seconds: error.retryAfterSeconds },
+        { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+      )
+    }
+
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to export repositories' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,20 @@
+/*
+ * Atom Feed API Route
+ * Trending AI/ML repositories as an Atom 1.0 feed for feed readers
+ */
+
+import { createFeedResponse } from '../../../lib/feed'
+
+/**
+ * GET /api/feed.atom
+ * Returns the first page of trending repositories with cached AI summaries
+ *
+ * Accepts the same filters as /api/trends (topic, language, days, minStars,
+ * sort, order) and answers If-None-Match / If-Modified-Since with 304.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} Atom document
+ */
+export async function GET(request) {
+  return createFeedResponse(request, 'atom')
+}
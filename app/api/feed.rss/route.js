@@ -0,0 +1,20 @@
+/*
+ * RSS Feed API Route
+ * Trending AI/ML repositories as an RSS 2.0 feed for feed readers
+ */
+
+import { createFeedResponse } from '../../../lib/feed'
+
+/**
+ * GET /api/feed.rss
+ * Returns the first page of trending repositories with cached AI summaries
+ *
+ * Accepts the same filters as /api/trends (topic, language, days, minStars,
+ * sort, order) and answers If-None-Match / If-Modified-Since with 304.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} RSS document
+ */
+export async function GET(request) {
+  return createFeedResponse(request, 'rss')
+}
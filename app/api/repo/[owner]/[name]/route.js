@@ -0,0 +1,53 @@
+/*
+ * Repository Details API Route
+ * Returns what the repository page shows: metadata, sanitized README,
+ * languages, recent releases, top contributors and the cached AI summary
+ */
+
+import { NextResponse } from 'next/server'
+import { getRepositoryDetails } from '../../../../../lib/repositoryDetails'
+import { isValidFullName } from '../../../../../lib/readme'
+import { GitHubRateLimitError } from '../../../../../lib/github'
+
+/**
+ * GET /api/repo/{owner}/{name}
+ * Looks up the details of one repository
+ *
+ * Response: { details: RepositoryPageDetails }
+ * Sections GitHub could not provide right now are null.
+ *
+ * @param {Request} request - The incoming request
+ * @param {{ params: { owner: string, name: string } }} context - Route parameters
+ * @returns {Promise<Response>} JSON response with the repository details
+ */
+export async function GET(request, { params }) {
+  const fullName = `${params.owner}/${params.name}`
+
+  if (!isValidFullName(fullName)) {
+    return NextResponse.json({ error: 'Invalid repository name' }, { status: 400 })
+  }
+
+  console.log(`Loading details of ${fullName}`)
+
+  try {
+    const details = await getRepositoryDetails(fullName)
+    if (!details) {
+      return NextResponse.json({ error: `Repository ${fullName} was not found` }, { status: 404 })
+    }
+    return NextResponse.json({ details })
+  } catch (error) {
+    console.error(`Error loading details of ${fullName}:`, error)
+
+    if (error instanceof GitHubRateLimitError) {
+      return NextResponse.json(
+        { error: error.message, retry_after_seconds: error.retryAfterSeconds },
+        {
+          status: 429,
+          headers: { 'Retry-After': String(error.retryAfterSeconds) }
+        }
+      )
+    }
+
+    return NextResponse.json({ error: 'Failed to load repository details' }, { status: 500 })
+  }
+}
@@ -0,0 +1,78 @@
+/*
+ * Repositories API Route
+ * Returns current GitHub metadata of repositories by id, so saved repositories
+ * (e.g. watchlist bookmarks) can be refreshed after they leave the trends window
+ */
+
+import { NextResponse } from 'next/server'
+import { fetchRepository } from '../../../lib/repositories'
+import { GitHubRateLimitError } from '../../../lib/github'
+import { runWithConcurrency } from '../../../lib/concurrency'
+
+const MAX_IDS = 50 // Every uncached id costs one GitHub request
+const CONCURRENCY = 4
+
+/**
+ * GET /api/repositories?ids=1,2,3
+ * Looks up each repository by id
+ *
+ * Response: { repositories: { [id]: Repository }, not_found: number[], failed: number[] }
+ * - not_found: deleted or no longer public
+ * - failed: could not be looked up right now (GitHub error or rate limit)
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with repositories keyed by id
+ */
+export async function GET(request) {
+  const idsParam = new URL(request.url).searchParams.get('ids') || ''
+  const ids = [...new Set(idsParam.split(',').map((id) => id.trim()).filter(Boolean))]
+
+  if (ids.length === 0 || ids.length > MAX_IDS || !ids.every((id) => /^\d+$/.test(id))) {
+    return NextResponse.json(
+      { error: `"ids" must be a comma-separated list of 1 to ${MAX_IDS} repository ids` },
+      { status: 400 }
+    )
+  }
+
+  /** @type {Object<string, import('../../../types/index.js').Repository>} */
+  const repositories = {}
+  /** @type {number[]} */
+  const notFound = []
+  /** @type {number[]} */
+  const failed = []
+  /** @type {GitHubRateLimitError|null} */
+  let rateLimitError = null
+
+  console.log(`Refreshing metadata of ${ids.length} repositories`)
+
+  await runWithConcurrency(ids, CONCURRENCY, async (id) => {
+    try {
+      const repository = await fetchRepository(id)
+      if (repository) {
+        repositories[id] = repository
+      } else {
+        notFound.push(Number(id))
+      }
+    } catch (error) {
+      console.error(`Error fetching repository ${id}:`, error)
+      failed.push(Number(id))
+      if (error instanceof GitHubRateLimitError) {
+        rateLimitError = error
+      }
+    }
+  })
+
+  // Nothing could be looked up because GitHub's quota is exhausted: tell clients when to retry
+  if (rateLimitError && failed.length === ids.length) {
+    const { message, retryAfterSeconds } = /** @type {GitHubRateLimitError} */ (rateLimitError)
+    return NextResponse.json(
+      { error: message, retry_after_seconds: retryAfterSeconds },
+      {
+        status: 429,
+        headers: { 'Retry-After': String(retryAfterSeconds) }
+      }
+    )
+  }
+
+  return NextResponse.json({ repositories, not_found: notFound, failed })
+}
@@ -0,0 +1,198 @@
+/*
+ * Batch Summarization API Route
+ * Summarizes a list of repositories with a concurrency limit and streams
+ * per-item progress and results as Server-Sent Events. A failing repository
+ * is reported and skipped; it never aborts the rest of the batch.
+ */
+
+import { NextResponse } from 'next/server'
+import { formatSSE, SSE_HEADERS } from '../../../../lib/sse'
+import { resolveSummarizeSettings, summarizeRepository, SummarizeError } from '../../../../lib/summarize'
+import { runWithConcurrency } from '../../../../lib/concurrency'
+
+const MAX_BATCH_SIZE = 50 // Repositories per request
+const MAX_CONCURRENCY = 8 // Upper bound so one batch cannot flood the provider
+
+/**
+ * Repository to summarize (same fields as a single /api/summarize request)
+ *
+ * @typedef {Object} BatchRepository
+ * @property {number} id - GitHub repository id (identifies the item in events)
+ * @property {string} [updated_at]
+ * @property {string} [full_name]
+ * @property {string} [text]
+ * @property {string[]} [topics]
+ * @property {string|null} [language]
+ */
+
+/**
+ * @typedef {Object} BatchSummarizeRequest
+ * @property {BatchRepository[]} repositories - Repositories to summarize
+ * @property {number} [concurrency] - Summaries generated at once (default SUMMARIZE_BATCH_CONCURRENCY or 3)
+ * @property {boolean} [regenerate] - Skip the cache for every repository
+ */
+
+/**
+ * Default number of summaries generated at once
+ * @returns {number}
+ */
+function getDefaultConcurrency() {
+  const configured = parseInt(process.env.SUMMARIZE_BATCH_CONCURRENCY || '', 10)
+  return Number.isInteger(configured) && configured > 0 ? Math.min(configured, MAX_CONCURRENCY) : 3
+}
+
+/**
+ * Validates the batch-specific fields of the request
+ * @param {BatchSummarizeRequest} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBatch(body) {
+  if (!Array.isArray(body.repositories) || body.repositories.length === 0) {
+    return '"repositories" must be a non-empty array'
+  }
+
+  if (body.repositories.length > MAX_BATCH_SIZE) {
+    return `At most ${MAX_BATCH_SIZE} repositories can be summarized per request`
+  }
+
+  if (!body.repositories.every((repository) => repository && Number.isInteger(repository.id))) {
+    return 'Every repository needs a numeric "id"'
+  }
+
+  if (body.concurrency !== undefined &&
+    (!Number.isInteger(body.concurrency) || body.concurrency < 1 || body.concurrency > MAX_CONCURRENCY)) {
+    return `"concurrency" must be an integer from 1 to ${MAX_CONCURRENCY}`
+  }
+
+  return null
+}
+
+/**
+ * POST /api/summarize/batch
+ * Accepts the same provider fields as /api/summarize plus a repositories list
+ *
+ * Events sent to the client:
+ * - start: { total, concurrency }
+ * - meta: { id, provider, model, style, output_language, sources, attempts, fallback, cached } when an item starts generating
+ * - delta: { id, text } for each chunk of generated text
+ * - result: { id, ...SummarizeResponse } when an item finishes
+ * - failure: { id, error, status } when an item fails
+ * - progress: { completed, failed, total } after every item
+ * - done: { completed, failed, total }
+ *
+ * Closing the connection stops the batch and aborts in-flight provider requests.
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} text/event-stream response, or JSON on validation errors
+ */
+export async function POST(request) {
+  /** @type {BatchSummarizeRequest & import('../../../../types/index.js').SummarizeRequest} */
+  let body
+  let settings
+
+  try {
+    body = await request.json()
+
+    const batchError = validateBatch(body)
+    if (batchError) {
+      return NextResponse.json({ error: batchError }, { status: 400 })
+    }
+
+    settings = resolveSummarizeSettings(body)
+  } catch (error) {
+    if (error instanceof SummarizeError) {
+      return NextResponse.json({ error: error.message }, { status: error.status })
+    }
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+  }
+
+  const repositories = body.repositories
+  const concurrency = body.concurrency || getDefaultConcurrency()
+
+  const batchController = new AbortController()
+  request.signal?.addEventListener('abort', () => batchController.abort())
+
+  const encoder = new TextEncoder()
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      /**
+       * @param {string} event - Event name
+       * @param {*} data - Event payload
+       */
+      const send = (event, data) => {
+        if (!batchController.signal.aborted) {
+          controller.enqueue(encoder.encode(formatSSE(event, data)))
+        }
+      }
+
+      let completed = 0
+      let failed = 0
+
+      console.log(`Summarizing ${repositories.length} repositories with ${settings.chain[0].provider.id} (concurrency ${concurrency})`)
+      send('start', { total: repositories.length, concurrency })
+
+      await runWithConcurrency(repositories, concurrency, async (repository) => {
+        const { id } = repository
+
+        try {
+          const result = await summarizeRepository(
+            {
+              id,
+              updated_at: repository.updated_at,
+              full_name: repository.full_name,
+              text: repository.text,
+              topics: repository.topics,
+              language: repository.language,
+              regenerate: body.regenerate
+            },
+            settings,
+            {
+              signal: batchController.signal,
+              onMeta: (details) => send('meta', { id, ...details }),
+              onDelta: (text) => send('delta', { id, text })
+            }
+          )
+          completed++
+          send('result', { id, ...result })
+        } catch (error) {
+          if (batchController.signal.aborted) {
+            return
+          }
+
+          failed++
+          console.error(`Batch summary failed for repository ${id}:`, error)
+          send('failure', {
+            id,
+            error: error instanceof Error ? error.message : 'Failed to generate summary',
+            status: error instanceof SummarizeError ? error.status : 500
+          })
+        }
+
+        send('progress', { completed, failed, total: repositories.length })
+      }, batchController.signal)
+
+      if (batchController.signal.aborted) {
+        console.log(`Batch summary cancelled by client after ${completed + failed} of ${repositories.length}`)
+      } else {
+        console.log(`Batch summary finished: ${completed} completed, ${failed} failed`)
+      }
+
+      send('done', { completed, failed, total: repositories.length })
+
+      try {
+        controller.close()
+      } catch (e) {
+        // Already closed because the client cancelled the stream
+      }
+    },
+
+    cancel() {
+      batchController.abort()
+    }
+  })
+
+  return new Response(stream, {
+    headers: SSE_HEADERS
+  })
+}
@@ -0,0 +1,38 @@
+/*
+ * Cached Summaries API Route
+ * Returns previously generated summaries so cards can show them without a click
+ */
+
+import { NextResponse } from 'next/server'
+import { getLatestSummaries } from '../../../../lib/summaryCache'
+
+const MAX_IDS = 100 // Enough for several pages of trends results
+
+/**
+ * GET /api/summarize/cached?ids=1,2,3
+ * Returns the most recent cached summary of each requested repository
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with summaries keyed by repository id
+ */
+export async function GET(request) {
+  const idsParam = new URL(request.url).searchParams.get('ids') || ''
+  const ids = idsParam.split(',').map((id) => id.trim()).filter(Boolean)
+
+  if (ids.length === 0 || ids.length > MAX_IDS || !ids.every((id) => /^\d+$/.test(id))) {
+    return NextResponse.json(
+      { error: `"ids" must be a comma-separated list of 1 to ${MAX_IDS} repository ids` },
+      { status: 400 }
+    )
+  }
+
+  try {
+    const summaries = await getLatestSummaries(ids)
+    return NextResponse.json({ summaries })
+  } catch (error) {
+    console.error('Error reading cached summaries:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to read cached summaries' },
+      { status: 500 }
+    )
+  }
+}
@@ -1,199 +1,134 @@
 /*
  * AI Summarization API Route
- * Generates 3-sentence summaries using OpenAI or Groq APIs
+ * Generates 3-sentence summaries using any provider in the provider registry
+ * (OpenAI, Groq, Anthropic or a local OpenAI-compatible server)
+ * Grounds the prompt in the repository README, topics and language when available
+ * Supports streaming responses as Server-Sent Events via ?stream=1
+ * Supports style presets (three-sentence, tldr, bullets, eli5, deep-dive) and output languages
+ * Caches summaries per repository revision, provider, model, style, language and prompt version
+ * Retries transient provider failures with backoff and falls back through an ordered provider list
+ * Uses operator API keys from the environment (OPENAI_API_KEY, ANTHROPIC_API_KEY, GROQ_API_KEY)
+ * when the client sends none
  */
 
 import { NextResponse } from 'next/server'
+import { formatSSE, SSE_HEADERS } from '../../../lib/sse'
+import { listProviders, PROVIDER_IDS } from '../../../lib/providers'
+import { isServerManaged, listServerManagedProviders, getAllowedBaseUrls } from '../../../lib/providers/serverCredentials'
+import { SUMMARY_STYLES, OUTPUT_LANGUAGES } from '../../../lib/prompts'
+import {
+  resolveSummarizeSettings,
+  validateRepositoryFields,
+  summarizeRepository,
+  SummarizeError
+} from '../../../lib/summarize'
 
 /**
- * @typedef {Object} SummarizeRequest
- * @property {string} text
- * @property {string} apiKey
- * @property {'openai'|'groq'|'anthropic'} provider
+ * @typedef {import('../../../types/index.js').SummarizeRequest} SummarizeRequest
+ * @typedef {import('../../../types/index.js').SummarizeResponse} SummarizeResponse
  */
 
 /**
- * @typedef {Object} SummarizeResponse
- * @property {string} summary
- * @property {string} provider
- * @property {string} timestamp
+ * Streams a summary as normalized Server-Sent Events
+ *
+ * Events sent to the client:
+ * - meta: { provider, model, style, output_language, sources, attempts, fallback, cached } once a provider accepted the request
+ * - delta: { text } for each chunk of generated text
+ * - done: SummarizeResponse with the complete summary
+ * - error: { error, status }
+ *
+ * Cancelling the response (client abort or disconnect) aborts the upstream request.
+ *
+ * @param {Request} request - The incoming request
+ * @param {SummarizeRequest} body - Request body
+ * @param {import('../../../lib/summarize.js').SummarizeSettings} settings - Validated provider settings
+ * @returns {Response} text/event-stream response
  */
+function streamSummary(request, body, settings) {
+  const upstreamController = new AbortController()
+  request.signal?.addEventListener('abort', () => upstreamController.abort())
+
+  const encoder = new TextEncoder()
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      /**
+       * @param {string} event - Event name
+       * @param {*} data - Event payload
+       */
+      const send = (event, data) => controller.enqueue(encoder.encode(formatSSE(event, data)))
+
+      try {
+        const result = await summarizeRepository(body, settings, {
+          signal: upstreamController.signal,
+          onMeta: (details) => send('meta', details),
+          onDelta: (text) => send('delta', { text })
+        })
+        send('done', result)
+      } catch (error) {
+        if (upstreamController.signal.aborted) {
+          console.log(`Streaming ${settings.chain[0].provider.id} summary cancelled by client`)
+          return
+        }
+
+        console.error('Error in streaming summarize API:', error)
+        send('error', {
+          error: error instanceof Error ? error.message : 'Failed to generate summary',
+          status: error instanceof SummarizeError ? error.status : 500
+        })
+      } finally {
+        try {
+          controller.close()
+        } catch (e) {
+          // Already closed because the client cancelled the stream
+        }
+      }
+    },
 
-// LLM API configurations
-const LLM_CONFIGS = {
-  openai: {
-    endpoint: 'https://api.openai.com/v1/chat/completions',
-    model: 'gpt-3.5-turbo',
-    maxTokens: 150
-  },
-  groq: {
-    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
-    model: 'mixtral-8x7b-32768',
-    maxTokens: 150
-  },
-  anthropic: {
-    endpoint: 'https://api.anthropic.com/v1/messages',
-    model: 'claude-3-haiku-20240307',
-    maxTokens: 150
-  }
+    cancel() {
+      upstreamController.abort()
+    }
+  })
+
+  return new Response(stream, {
+    headers: SSE_HEADERS
+  })
 }
 
 /**
  * POST /api/summarize
  * Generates AI-powered summaries of repository content
+ * Add ?stream=1 to receive the summary as Server-Sent Events while it is generated
  * @param {Request} request - The incoming request
- * @returns {Promise<Response>} JSON response with summary
+ * @returns {Promise<Response>} JSON response with summary, or an event stream
  */
 export async function POST(request) {
   try {
-    // Parse and validate request body
+    // Parse and validate request body (validation errors are JSON even when streaming)
     /** @type {SummarizeRequest} */
     const body = await request.json()
-    
-    if (!body.text || !body.apiKey || !body.provider) {
-      return NextResponse.json(
-        { error: 'Missing required fields: text, apiKey, and provider are required' },
-        { status: 400 }
-      )
-    }
-
-    if (!['openai', 'groq', 'anthropic'].includes(body.provider)) {
-      return NextResponse.json(
-        { error: 'Invalid provider. Must be "openai", "groq", or "anthropic"' },
-        { status: 400 }
-      )
-    }
-
-    // Get configuration for the selected provider
-    const config = LLM_CONFIGS[body.provider]
-    
-    // Prepare the prompt for summarization
-    const systemPrompt = `You are a technical summarizer. Summarize the given GitHub repository information in exactly 3 sentences. Focus on:
-1. What the repository does (main purpose/functionality)
-2. Key features or technologies used
-3. Target use case or audience
-
-Keep it concise, technical, and informative.`
-
-    const userPrompt = `Please summarize this GitHub repository:\n\n${body.text}`
-
-    // Prepare the API request payload based on provider
-    let payload, headers
-    
-    if (body.provider === 'anthropic') {
-      // Anthropic uses a different API format
-      payload = {
-        model: config.model,
-        max_tokens: config.maxTokens,
-        messages: [
-          { 
-            role: 'user', 
-            content: `${systemPrompt}\n\n${userPrompt}` 
-          }
-        ]
-      }
-      
-      headers = {
-        'Content-Type': 'application/json',
-        'x-api-key': body.apiKey,
-        'anthropic-version': '2023-06-01'
-      }
-    } else {
-      // OpenAI and Groq use the same format
-      payload = {
-        model: config.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: config.maxTokens,
-        temperature: 0.3,
-        top_p: 1,
-        frequency_penalty: 0,
-        presence_penalty: 0
-      }
-      
-      headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${body.apiKey}`,
-        ...(body.provider === 'groq' && {
-          'User-Agent': 'AI-News-Aggregator/1.0'
-        })
-      }
-    }
-
-    console.log(`Making ${body.provider} API request for summarization`)
-
-    // Make request to the LLM API
-    const response = await fetch(config.endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error(`${body.provider} API error:`, response.status, errorText)
-      
-      // Handle specific error cases
-      if (response.status === 401) {
-        return NextResponse.json(
-          { error: 'Invalid API key. Please check your credentials.' },
-          { status: 401 }
-        )
-      }
-      
-      if (response.status === 429) {
-        return NextResponse.json(
-          { error: 'Rate limit exceeded. Please try again later.' },
-          { status: 429 }
-        )
-      }
-      
-      return NextResponse.json(
-        { error: `${body.provider} API error: ${response.status}` },
-        { status: 500 }
-      )
-    }
-
-    const data = await response.json()
-    
-    // Extract the summary from the response based on provider
-    let summary
-    if (body.provider === 'anthropic') {
-      summary = data.content?.[0]?.text?.trim()
-    } else {
-      summary = data.choices?.[0]?.message?.content?.trim()
-    }
-    
-    if (!summary) {
-      throw new Error('No summary generated by the AI model')
-    }
-
-    // Validate that we got approximately 3 sentences
-    const sentenceCount = summary.split(/[.!?]+/).filter(s => s.trim().length > 0).length
-    
-    if (sentenceCount < 2) {
-      console.warn(`Summary only contains ${sentenceCount} sentences, expected 3`)
-    }
 
-    console.log(`Successfully generated summary using ${body.provider}`)
+    validateRepositoryFields(body)
+    const settings = resolveSummarizeSettings(body)
 
-    // Return the summary
-    /** @type {SummarizeResponse} */
-    const result = {
-      summary,
-      provider: body.provider,
-      timestamp: new Date().toISOString()
+    // Stream token deltas instead of waiting for the full completion
+    const isStreaming = ['1', 'true'].includes(new URL(request.url).searchParams.get('stream') || '')
+    if (isStreaming) {
+      return streamSummary(request, body, settings)
     }
 
+    const result = await summarizeRepository(body, settings)
     return NextResponse.json(result)
 
   } catch (error) {
+    if (error instanceof SummarizeError) {
+      return NextResponse.json({ error: error.message }, { status: error.status })
+    }
+
     console.error('Error in summarize API:', error)
-    
+
     return NextResponse.json(
-      { 
+      {
         error: error instanceof Error ? error.message : 'Failed to generate summary',
         provider: 'unknown',
         timestamp: new Date().toISOString()
@@ -211,9 +146,27 @@ Keep it concise, technical, and informative.`
 export async function GET() {
   return NextResponse.json({
     message: 'AI Summarization API',
-    supported_providers: ['openai', 'groq', 'anthropic'],
+    supported_providers: PROVIDER_IDS,
+    providers: listProviders().map((provider) => ({
+      id: provider.id,
+      label: provider.label,
+      default_model: provider.defaultModel,
+      requires_api_key: provider.requiresApiKey,
+      requires_base_url: provider.requiresBaseUrl,
+      server_managed: isServerManaged(provider.id)
+    })),
+    server_managed_providers: listServerManagedProviders(),
+    allowed_base_urls: getAllowedBaseUrls(),
     method: 'POST',
-    required_fields: ['text', 'apiKey', 'provider'],
-    description: 'Generates 3-sentence summaries of repository content using AI'
+    streaming: 'POST /api/summarize?stream=1 returns text/event-stream with meta, delta, done and error events',
+    batch: 'POST /api/summarize/batch summarizes many repositories with a concurrency limit and streams progress',
+    required_fields: ['text or full_name', 'provider', 'apiKey (unless the provider needs none or is server-managed)'],
+    optional_fields: ['topics', 'language', 'style', 'output_language', 'id', 'updated_at', 'regenerate', 'baseUrl', 'model', 'fallbacks'],
+    retries: 'Rate limits (429) and server errors (5xx) are retried with exponential backoff, honoring Retry-After',
+    fallbacks: 'fallbacks: [{ provider, apiKey, baseUrl, model }] are tried in order when the selected provider keeps failing; the response reports provider, attempts and fallback',
+    styles: SUMMARY_STYLES.map((option) => option.id),
+    output_languages: OUTPUT_LANGUAGES.map((option) => option.code),
+    caching: 'Summaries are cached by id + updated_at + provider + model + style + output_language + prompt version once id and updated_at match full_name on GitHub (never for a custom baseUrl); set regenerate: true to bypass',
+    description: 'Generates summaries (3 sentences by default) of repository content using AI, grounded in the README when full_name is given'
   })
-}
\ No newline at end of file
+}
@@ -0,0 +1,67 @@
+/*
+ * Trends Changes API Route
+ * Returns what changed in the Home page trends between scheduled refreshes:
+ * repositories added, dropped and moved in the ranking
+ */
+
+import { NextResponse } from 'next/server'
+import { getTrendsChanges, getLatestSnapshot } from '../../../../lib/trendsChanges'
+import { getSchedulerConfig, getLastSchedulerRun } from '../../../../lib/scheduler'
+
+/**
+ * GET /api/trends/changes
+ * Lists the changes recorded after a point in time (kept for a week)
+ *
+ * Query parameters:
+ * - since: ISO 8601 timestamp; only changes recorded after it (omit for all).
+ *   Pass the previous response's "until" to poll for new changes.
+ *
+ * The response has each refresh's change set ("changes", oldest first), their
+ * combined effect ("net") and the scheduler status. Changes are only recorded
+ * while the scheduler runs (TRENDS_REFRESH_INTERVAL_MINUTES).
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with the changes
+ */
+export async function GET(request) {
+  const sinceParam = new URL(request.url).searchParams.get('since')
+  const since = sinceParam ? Date.parse(sinceParam) : null
+  if (sinceParam && Number.isNaN(since)) {
+    return NextResponse.json(
+      { error: '"since" must be an ISO 8601 timestamp, e.g. 2026-01-31T12:00:00Z' },
+      { status: 400 }
+    )
+  }
+
+  try {
+    const [{ changes, net }, snapshot, lastRun] = await Promise.all([
+      getTrendsChanges(since),
+      getLatestSnapshot(),
+      getLastSchedulerRun()
+    ])
+    const config = getSchedulerConfig()
+
+    console.log(`Returning ${changes.length} trends change sets${sinceParam ? ` since ${sinceParam}` : ''}`)
+
+    return NextResponse.json({
+      since: since === null ? null : new Date(since).toISOString(),
+      until: snapshot ? snapshot.taken_at : null,
+      changes,
+      net,
+      scheduler: {
+        enabled: config.enabled,
+        interval_minutes: config.enabled ? config.intervalMinutes : null,
+        pages: config.pages,
+        last_run: lastRun
+      }
+    }, {
+      headers: { 'Cache-Control': 'no-store' }
+    })
+  } catch (error) {
+    console.error('Error reading trends changes:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to read trends changes' },
+      { status: 500 }
+    )
+  }
+}
@@ -1,174 +1,119 @@
 /*
  * GitHub Trends API Route
- * Fetches trending AI/ML repositories with in-memory caching to prevent rate limits
+ * Returns trending AI/ML repositories with caching to prevent rate limits
+ * Uses GITHUB_TOKEN when configured and backs off until GitHub's quota resets
+ * Fetching and caching live in lib/trends, shared with the feed routes
  */
 
 import { NextResponse } from 'next/server'
+import { parseTrendsQuery, parsePage, encodeCursor } from '../../../lib/trendsQuery'
+import { getRateLimitStatus, GitHubRateLimitError } from '../../../lib/github'
+import { getTrendsPage, getTrendsCacheStatus, getCachedQueryRepositories, CACHE_DURATION } from '../../../lib/trends'
+import { countFacets } from '../../../lib/facets'
 
 /**
- * @typedef {Object} GitHubRepository
- * @property {number} id
- * @property {string} name
- * @property {string} full_name
- * @property {string|null} description
- * @property {number} stargazers_count
- * @property {string} html_url
- * @property {string[]} topics
- * @property {string} updated_at
- * @property {string|null} language
- * @property {string} created_at
+ * Builds the pagination fields of a trends response
+ * @param {number} page - 1-based page that was returned
+ * @param {boolean} hasMore - Whether more pages exist
+ * @param {import('../../../lib/trendsQuery.js').TrendsQuery} trendsQuery - Query the next page belongs to
+ * @returns {{ page: number, has_more: boolean, next_cursor: string|null }}
  */
+function buildPagination(page, hasMore, trendsQuery) {
+  return {
+    page,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(page + 1, trendsQuery) : null
+  }
+}
 
 /**
- * @typedef {Object} GitHubSearchResponse
- * @property {number} total_count
- * @property {boolean} incomplete_results
- * @property {GitHubRepository[]} items
+ * Builds the JSON body of a trends response from a cache entry
+ * Facets count every cached page of the query, not only the returned one.
+ * @param {import('../../../lib/trends.js').TrendsCacheEntry} entry - Cached page
+ * @param {import('../../../lib/trendsQuery.js').TrendsQuery} trendsQuery - Normalized query
+ * @param {number} page - 1-based page number
+ * @returns {Promise<Object>} Response body
  */
-
-// Global in-memory cache to persist across requests
-let cache = {
-  data: null,
-  lastFetch: 0
+async function buildResponseBody(entry, trendsQuery, page) {
+  return {
+    repositories: entry.data.repositories,
+    cached_at: new Date(entry.timestamp).toISOString(),
+    total_count: entry.data.repositories.length,
+    cache_age_seconds: Math.round((Date.now() - entry.timestamp) / 1000),
+    query: trendsQuery,
+    facets: countFacets(await getCachedQueryRepositories(trendsQuery)),
+    ...buildPagination(page, entry.data.hasMore, trendsQuery)
+  }
 }
 
-const CACHE_DURATION = 5 * 60 * 1000 // 5 minutes in milliseconds
-
 /**
  * GET /api/trends
- * Returns trending AI/ML repositories from GitHub with in-memory caching
+ * Returns trending AI/ML repositories from GitHub with caching
+ *
+ * Query parameters (all optional):
+ * - topic: GitHub topic to search (default "ai")
+ * - language: primary language filter (e.g. "rust")
+ * - days: created within the last N days (default 7, max 365)
+ * - minStars: minimum star count (default 0)
+ * - sort: "stars" | "forks" | "updated" | "velocity" (default "stars")
+ *   "velocity" ranks each page of star-sorted results by stars gained per day
+ * - order: "asc" | "desc" (default "desc")
+ * - page: 1-based results page (default 1)
+ * - cursor: opaque next_cursor from a previous response (overrides page and
+ *   the filters above, since it carries the query it was issued for)
+ * - t: cache-busting parameter that forces a refresh
+ *
+ * Responses include topic and language counts in `facets`, for building facet
+ * navigation. They cover every cached page of the query (all pages fetched so
+ * far by any client), not only the returned one.
+ *
  * @param {Request} request - The incoming request
  * @returns {Promise<Response>} JSON response with repositories
  */
 export async function GET(request) {
+  // Parse the query string (for refresh functionality and search filters)
+  let searchParams = new URLSearchParams()
   try {
-    // Check for cache-busting parameter (for refresh functionality)
-    let forceRefresh = false
-    try {
-      const url = new URL(request.url)
-      forceRefresh = url.searchParams.has('t') // Cache-busting parameter
-    } catch (e) {
-      // During build time, request.url might not be available
-      forceRefresh = false
-    }
-
-    const now = Date.now()
-    const cacheAge = now - cache.lastFetch
-    const isCacheValid = cache.data && cacheAge < CACHE_DURATION
-
-    // Return cached data if valid and not forcing refresh
-    if (!forceRefresh && isCacheValid) {
-      console.log(`Returning cached data (age: ${Math.round(cacheAge / 1000)}s)`)
-      return NextResponse.json({
-        repositories: cache.data,
-        cached_at: new Date(cache.lastFetch).toISOString(),
-        total_count: cache.data.length,
-        cache_age_seconds: Math.round(cacheAge / 1000)
-      }, {
-        headers: {
-          'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=600' // 5min cache, 10min stale
-        }
-      })
-    }
-
-    console.log(forceRefresh ? 'Force refresh requested' : 'Cache expired, fetching fresh data')
-
-    // Calculate date for search query
-    const date = new Date()
-    date.setDate(date.getDate() - 7)
-    const dateString = date.toISOString().split('T')[0] // YYYY-MM-DD format
-    
-    console.log('=== GitHub API Request ===')
-    console.log('Current time:', new Date().toISOString())
-    console.log('7 days ago date:', dateString)
-    console.log('Cache last fetch:', new Date(cache.lastFetch).toISOString())
-    console.log('Cache age:', Math.round(cacheAge / 1000), 'seconds')
+    searchParams = new URL(request.url).searchParams
+  } catch (e) {
+    // During build time, request.url might not be available
+  }
 
-    // STRICT QUERY: Only projects created in the last week
-    // Remove star filter since new repos rarely have many stars
-    const query = `topic:ai created:>${dateString}`
-    
-    console.log('Search query:', query)
+  const { query: requestQuery, errors: queryErrors } = parseTrendsQuery(searchParams)
+  const { page, query: cursorQuery, errors: pageErrors } = parsePage(searchParams)
+  const errors = [...queryErrors, ...pageErrors]
+  const trendsQuery = cursorQuery || requestQuery
+  if (errors.length > 0) {
+    return NextResponse.json(
+      {
+        error: `Invalid query parameters: ${errors.join('; ')}`,
+        details: errors,
+        repositories: [],
+        total_count: 0
+      },
+      { status: 400 }
+    )
+  }
 
-    // Construct GitHub API URL with proper encoding
-    const url = `https://api.github.com/search/repositories?q=${encodeURIComponent(query)}&sort=stars&order=desc&per_page=30`
-    
-    console.log('Full GitHub API URL:', url)
+  const forceRefresh = searchParams.has('t') // Cache-busting parameter
 
-    // Make request to GitHub API
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'AI-News-Aggregator/1.0'
-      }
-    })
-
-    console.log('GitHub API response status:', response.status)
+  try {
+    const { entry, source } = await getTrendsPage(trendsQuery, page, { forceRefresh })
+    const body = await buildResponseBody(entry, trendsQuery, page)
 
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('=== GitHub API Error ===')
-      console.error('Status:', response.status)
-      console.error('Status Text:', response.statusText)
-      console.error('Error Body:', errorText)
-      console.error('Request URL:', url)
-      
-      // If we have cached data, return it even if stale
-      if (cache.data) {
-        console.log('Returning stale cached data due to API error')
-        return NextResponse.json({
-          repositories: cache.data,
-          cached_at: new Date(cache.lastFetch).toISOString(),
-          total_count: cache.data.length,
-          warning: 'Using stale cached data due to GitHub API error',
-          cache_age_seconds: Math.round(cacheAge / 1000)
-        })
-      }
-      
-      // Handle specific error cases
-      if (response.status === 403) {
-        throw new Error('GitHub API rate limit exceeded. Please try again later.')
-      }
-      
-      throw new Error(`GitHub API error: ${response.status}`)
+    if (source === 'stale') {
+      return NextResponse.json({ ...body, stale: true })
+    }
+    if (source === 'fallback') {
+      return NextResponse.json({
+        ...body,
+        stale: true,
+        warning: 'Using stale cached data due to API error'
+      })
     }
-
-    /** @type {GitHubSearchResponse} */
-    const data = await response.json()
-    
-    console.log(`Strict 7-day query returned ${data.items.length} repositories`)
-    
-    // Use the results from the strict 7-day filter only
-    const repositories = data.items
-    
-    // Filter repositories to ensure they have AI/ML relevance
-    // Be more lenient with star count since new repos (< 7 days) rarely have many stars
-    const filteredRepositories = repositories.filter(repo => {
-      const topics = repo.topics || []
-      const aiTopics = ['ai', 'machine-learning', 'llm', 'artificial-intelligence', 'deep-learning', 'neural-network', 'tensorflow', 'pytorch', 'opencv']
-      const hasAITopic = topics.some(topic => 
-        aiTopics.some(aiTopic => topic.toLowerCase().includes(aiTopic.toLowerCase()))
-      )
-      // Also check if repo name or description contains AI-related terms
-      const nameOrDescHasAI = (repo.name + ' ' + (repo.description || '')).toLowerCase().match(/(ai|artificial|intelligence|machine|learning|neural|deep|ml|nlp|computer.vision|data.science)/i)
-      
-      // For new repos, accept any star count (stars:>0) since they're newly created
-      return (hasAITopic || nameOrDescHasAI) && repo.stargazers_count >= 0
-    })
-
-    // Update cache with fresh data
-    cache.data = filteredRepositories
-    cache.lastFetch = now
-
-    console.log(`Successfully fetched and cached ${filteredRepositories.length} repositories`)
 
     // Return the filtered repositories
-    return NextResponse.json({
-      repositories: filteredRepositories,
-      cached_at: new Date(now).toISOString(),
-      total_count: filteredRepositories.length,
-      cache_age_seconds: 0
-    }, {
+    return NextResponse.json(body, {
       headers: {
         'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=600' // 5min cache, 10min stale
       }
@@ -176,26 +121,33 @@ export async function GET(request) {
 
   } catch (error) {
     console.error('Error in trends API:', error)
-    
-    // Return cached data if available, even if stale
-    if (cache.data) {
-      const cacheAge = Date.now() - cache.lastFetch
-      console.log('Returning stale cached data due to error')
-      return NextResponse.json({
-        repositories: cache.data,
-        cached_at: new Date(cache.lastFetch).toISOString(),
-        total_count: cache.data.length,
-        warning: 'Using stale cached data due to API error',
-        cache_age_seconds: Math.round(cacheAge / 1000)
-      })
+
+    // Tell clients when to retry if GitHub's quota is exhausted
+    if (error instanceof GitHubRateLimitError) {
+      return NextResponse.json(
+        {
+          error: error.message,
+          repositories: [],
+          total_count: 0,
+          has_more: false,
+          next_cursor: null,
+          retry_after_seconds: error.retryAfterSeconds
+        },
+        {
+          status: 429,
+          headers: { 'Retry-After': String(error.retryAfterSeconds) }
+        }
+      )
     }
 
     // Return error response
     return NextResponse.json(
-      { 
+      {
         error: error instanceof Error ? error.message : 'Failed to fetch repositories',
         repositories: [],
-        total_count: 0
+        total_count: 0,
+        has_more: false,
+        next_cursor: null
       },
       { status: 500 }
     )
@@ -208,20 +160,22 @@ export async function GET(request) {
  * @returns {Promise<Response>} JSON response with API info
  */
 export async function OPTIONS() {
-  const cacheAge = cache.lastFetch ? Date.now() - cache.lastFetch : 0
-  
   return NextResponse.json({
-    message: 'GitHub Trends API with In-Memory Caching',
+    message: 'GitHub Trends API with Pluggable Caching',
     cache_duration_minutes: CACHE_DURATION / (60 * 1000),
-    cache_status: {
-      has_data: !!cache.data,
-      last_fetch: cache.lastFetch ? new Date(cache.lastFetch).toISOString() : null,
-      age_seconds: cache.lastFetch ? Math.round(cacheAge / 1000) : 0,
-      is_valid: cache.data && cacheAge < CACHE_DURATION
-    },
+    cache_status: await getTrendsCacheStatus(),
+    rate_limit: getRateLimitStatus(),
     endpoints: {
       'GET /api/trends': 'Returns trending AI/ML repositories',
-      'GET /api/trends?t=timestamp': 'Forces cache refresh'
+      'GET /api/trends?topic=llm&language=rust&days=30&minStars=10&sort=stars&order=desc': 'Filters the GitHub search',
+      'GET /api/trends?sort=velocity': 'Ranks each page of most-starred repositories by stars gained per day (Rising)',
+      'GET /api/trends?cursor=next_cursor': 'Returns the next page of results',
+      'GET /api/trends?t=timestamp': 'Forces cache refresh',
+      'GET /api/repo/{owner}/{name}': 'Repository details: sanitized README, languages, releases, contributors and cached summary',
+      'GET /api/trends/changes?since=2026-01-31T12:00:00Z': 'Repositories added, dropped and moved by scheduled refreshes since a time',
+      'GET /api/feed.rss?topic=llm': 'RSS feed of the first page, with cached AI summaries (same filters)',
+      'GET /api/feed.atom?topic=llm': 'Atom feed of the first page, with cached AI summaries (same filters)',
+      'POST /api/webhooks': 'Registers a webhook notified when a refresh finds new trending repositories'
     }
   })
-}
\ No newline at end of file
+}
@@ -0,0 +1,44 @@
+/*
+ * Webhook Deliveries API Route
+ * Returns the delivery log: every payload sent, its attempts and outcome
+ */
+
+import { NextResponse } from 'next/server'
+import { listDeliveries, isWebhookAdmin } from '../../../../lib/webhooks'
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+/**
+ * GET /api/webhooks/deliveries
+ * Lists recent deliveries, newest first
+ *
+ * Query parameters:
+ * - webhook_id: only deliveries to this webhook
+ * - limit: number of deliveries (default 50, max 200)
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with the deliveries
+ */
+export async function GET(request) {
+  if (!isWebhookAdmin(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const { searchParams } = new URL(request.url)
+  const limitParam = searchParams.get('limit') || String(DEFAULT_LIMIT)
+  const limit = /^\d+$/.test(limitParam) ? parseInt(limitParam, 10) : NaN
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+    return NextResponse.json(
+      { error: `"limit" must be a whole number from 1 to ${MAX_LIMIT}` },
+      { status: 400 }
+    )
+  }
+
+  const deliveries = await listDeliveries({
+    webhookId: searchParams.get('webhook_id') || undefined,
+    limit
+  })
+
+  return NextResponse.json({ deliveries })
+}
@@ -0,0 +1,100 @@
+/*
+ * Webhooks API Route
+ * Registers, lists and removes webhooks that are notified when the Home page
+ * trends gain new repositories
+ */
+
+import { NextResponse } from 'next/server'
+import {
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  toPublicWebhook,
+  isWebhookAdmin,
+  WebhookError
+} from '../../../lib/webhooks'
+
+/**
+ * GET /api/webhooks
+ * Lists registered webhooks (secrets are not returned)
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with the webhooks
+ */
+export async function GET(request) {
+  if (!isWebhookAdmin(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const webhooks = await listWebhooks()
+  return NextResponse.json({ webhooks: webhooks.map(toPublicWebhook) })
+}
+
+/**
+ * POST /api/webhooks
+ * Registers a webhook
+ *
+ * Body:
+ * - url: receiver URL (required)
+ * - format: "json" (default) or "slack" (Slack incoming webhook message)
+ * - secret: HMAC secret of at least 16 characters (generated when omitted)
+ * - include_summaries: attach cached AI summaries (default true)
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with the webhook, including its secret (shown only here)
+ */
+export async function POST(request) {
+  if (!isWebhookAdmin(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+  }
+
+  if (!body || typeof body.url !== 'string') {
+    return NextResponse.json({ error: '"url" is required' }, { status: 400 })
+  }
+
+  try {
+    const webhook = await createWebhook(body)
+    return NextResponse.json({ webhook }, { status: 201 })
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return NextResponse.json({ error: error.message }, { status: error.status })
+    }
+
+    console.error('Error registering webhook:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to register webhook' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * DELETE /api/webhooks?id=webhook_id
+ * Removes a webhook; its deliveries stay in the log
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response confirming the removal
+ */
+export async function DELETE(request) {
+  if (!isWebhookAdmin(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const id = new URL(request.url).searchParams.get('id')
+  if (!id) {
+    return NextResponse.json({ error: '"id" is required' }, { status: 400 })
+  }
+
+  if (!(await deleteWebhook(id))) {
+    return NextResponse.json({ error: `Webhook ${id} not found` }, { status: 404 })
+  }
+
+  return NextResponse.json({ deleted: id })
+}
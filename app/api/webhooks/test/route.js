@@ -0,0 +1,63 @@
+/*
+ * Webhook Test API Route
+ * Sends a signed "ping" delivery to a webhook so a receiver can be checked
+ */
+
+import { NextResponse } from 'next/server'
+import { DEFAULT_TRENDS_QUERY } from '../../../../lib/trendsQuery'
+import { getTrendsPage } from '../../../../lib/trends'
+import { sendTestDelivery, isWebhookAdmin, WebhookError } from '../../../../lib/webhooks'
+
+const SAMPLE_SIZE = 3
+
+/**
+ * POST /api/webhooks/test
+ * Delivers a "ping" event with a few current trending repositories as sample
+ * data, retrying like a real notification, and returns the logged delivery
+ *
+ * Body:
+ * - id: webhook to test (required)
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Response>} JSON response with the delivery
+ */
+export async function POST(request) {
+  if (!isWebhookAdmin(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+  }
+
+  if (!body || typeof body.id !== 'string') {
+    return NextResponse.json({ error: '"id" is required' }, { status: 400 })
+  }
+
+  // Sample data is optional; a ping without repositories still checks the receiver
+  let sample = []
+  try {
+    const { entry } = await getTrendsPage(DEFAULT_TRENDS_QUERY, 1)
+    sample = entry.data.repositories.slice(0, SAMPLE_SIZE)
+  } catch (error) {
+    console.error('Could not load sample repositories for webhook test:', error)
+  }
+
+  try {
+    const delivery = await sendTestDelivery(body.id, sample)
+    return NextResponse.json({ delivery })
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return NextResponse.json({ error: error.message }, { status: error.status })
+    }
+
+    console.error('Error testing webhook:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to test webhook' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,302 @@
+/*
+ * Digest Page Component
+ * Generates a newsletter digest of the top trending repositories with an
+ * AI-written overview, and re-opens, copies or downloads saved digests
+ */
+
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import styles from '../../styles/Home.module.css'
+import digestStyles from '../../styles/Digest.module.css'
+import AIConfigModal from '../../components/AIConfigModal'
+import { toSummarizeOptions } from '../../lib/settings'
+import { useSettings } from '../../hooks/useSettings'
+
+const PERIOD_OPTIONS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 14, label: 'Last 14 days' },
+  { days: 30, label: 'Last 30 days' }
+]
+
+const SIZE_OPTIONS = [5, 10, 15, 20, 25]
+
+/**
+ * Splits generated text into paragraphs (blank lines separate them)
+ * @param {string} text - Generated text
+ * @returns {string[]}
+ */
+function toParagraphs(text) {
+  return text.split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean)
+}
+
+/**
+ * Digest Page Component
+ *
+ * - Generates a digest for a period and size with the configured AI provider
+ * - Lists saved digests and opens one (also from a ?id= link)
+ * - Copies the digest as Markdown or HTML, or downloads it
+ *
+ * @returns {JSX.Element} The digest page component
+ */
+export default function DigestPage() {
+  const { settings: userSettings } = useSettings()
+  /** @type {[string[], function]} */
+  const [serverManagedProviders, setServerManagedProviders] = useState([])
+  const [showAIConfig, setShowAIConfig] = useState(false)
+  const [days, setDays] = useState(7)
+  const [limit, setLimit] = useState(10)
+  const [generating, setGenerating] = useState(false)
+  /** @type {[import('../../lib/digest.js').DigestListItem[], function]} */
+  const [digests, setDigests] = useState([])
+  /** @type {[import('../../lib/digest.js').Digest|null, function]} */
+  const [digest, setDigest] = useState(null)
+  /** @type {[string|null, function]} */
+  const [error, setError] = useState(null)
+  /** @type {[string|null, function]} */
+  const [copyMessage, setCopyMessage] = useState(null)
+
+  /**
+   * Loads the list of saved digests
+   */
+  const loadDigests = useCallback(async () => {
+    try {
+      const response = await fetch('/api/digest')
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to load digests: ${response.status}`)
+      }
+      setDigests(data.digests)
+    } catch (err) {
+      console.error('Error loading digests:', err)
+      setError(err instanceof Error ? err.message : 'Failed to load digests')
+    }
+  }, [])
+
+  /**
+   * Opens a saved digest and keeps its id in the URL so it can be shared
+   * @param {string} id - Digest id
+   */
+  const openDigest = useCallback(async (id) => {
+    setError(null)
+    setCopyMessage(null)
+
+    try {
+      const response = await fetch(`/api/digest?id=${encodeURIComponent(id)}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to load digest: ${response.status}`)
+      }
+      setDigest(data.digest)
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}?id=${encodeURIComponent(id)}`)
+    } catch (err) {
+      console.error('Error loading digest:', err)
+      setError(err instanceof Error ? err.message : 'Failed to load digest')
+    }
+  }, [])
+
+  useEffect(() => {
+    loadDigests()
+
+    const id = new URLSearchParams(window.location.search).get('id')
+    if (id) {
+      openDigest(id)
+    }
+  }, [loadDigests, openDigest])
+
+  // Learn which providers work without a browser-supplied key
+  useEffect(() => {
+    fetch('/api/summarize')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => setServerManagedProviders(data?.server_managed_providers || []))
+      .catch((err) => console.error('Error loading summarize API info:', err))
+  }, [])
+
+  /**
+   * Generates a digest with the configured provider, then opens it
+   */
+  const handleGenerate = async () => {
+    const settings = toSummarizeOptions(userSettings, serverManagedProviders)
+    if (!settings) {
+      setShowAIConfig(true)
+      return
+    }
+
+    setGenerating(true)
+    setError(null)
+    setCopyMessage(null)
+
+    try {
+      const response = await fetch('/api/digest', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...settings, days, limit })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Digest failed: ${response.status}`)
+      }
+
+      setDigest(data.digest)
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}?id=${encodeURIComponent(data.digest.id)}`)
+      loadDigests()
+    } catch (err) {
+      console.error('Error generating digest:', err)
+      setError(err instanceof Error ? err.message : 'Failed to generate digest')
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  /**
+   * Copies the open digest to the clipboard
+   * @param {'md'|'html'} format - Markdown or HTML
+   */
+  const handleCopy = async (format) => {
+    try {
+      const response = await fetch(`/api/digest?id=${encodeURIComponent(digest.id)}&format=${format}`)
+      if (!response.ok) {
+        throw new Error(`Failed to load digest: ${response.status}`)
+      }
+      await navigator.clipboard.writeText(await response.text())
+      setCopyMessage(`📋 Copied as ${format === 'md' ? 'Markdown' : 'HTML'}`)
+    } catch (err) {
+      console.error('Error copying digest:', err)
+      setCopyMessage('❌ Could not copy; download the file instead')
+    }
+  }
+
+  return (
+    <main className={styles.main}>
+      {/* Header Section */}
+      <header className={styles.header}>
+        <div>
+          <h1 className={styles.title}>📰 Digest</h1>
+          <p className={styles.subtitle}>
+            What happened in AI open source, ready for your newsletter
+          </p>
+        </div>
+
+        <div className={styles.headerActions}>
+          <Link href="/" className={styles.refreshButton}>
+            ← Trending
+          </Link>
+        </div>
+      </header>
+
+      <div className={digestStyles.layout}>
+        <aside className={digestStyles.sidebar}>
+          {/* Generator */}
+          <section className={digestStyles.panel} aria-label="Generate a digest">
+            <h2 className={digestStyles.panelTitle}>✨ New Digest</h2>
+            <label className={digestStyles.field}>
+              <span>Period</span>
+              <select value={days} onChange={(e) => setDays(Number(e.target.value))} disabled={generating}>
+                {PERIOD_OPTIONS.map((option) => (
+                  <option key={option.days} value={option.days}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className={digestStyles.field}>
+              <span>Repositories</span>
+              <select value={limit} onChange={(e) => setLimit(Number(e.target.value))} disabled={generating}>
+                {SIZE_OPTIONS.map((size) => (
+                  <option key={size} value={size}>Top {size}</option>
+                ))}
+              </select>
+            </label>
+            <button className={styles.refreshButton} onClick={handleGenerate} disabled={generating}>
+              {generating ? '⏳ Generating...' : '✨ Generate digest'}
+            </button>
+            {generating && (
+              <p className={digestStyles.hint}>Summarizing {limit} repositories and writing the overview; this can take a minute.</p>
+            )}
+          </section>
+
+          {/* Saved digests */}
+          <section className={digestStyles.panel} aria-label="Saved digests">
+            <h2 className={digestStyles.panelTitle}>🗂️ Saved Digests</h2>
+            {digests.length === 0 && <p className={digestStyles.hint}>No digests yet.</p>}
+            <ul className={digestStyles.digestList}>
+              {digests.map((item) => (
+                <li key={item.id}>
+                  <button
+                    className={`${digestStyles.digestLink} ${digest && digest.id === item.id ? digestStyles.active : ''}`}
+                    onClick={() => openDigest(item.id)}
+                    aria-current={digest && digest.id === item.id ? 'true' : undefined}
+                  >
+                    <span>{item.title.replace(/^AI Open Source Digest · /, '')}</span>
+                    <span className={digestStyles.digestMeta}>{item.count} repositories</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </aside>
+
+        <div className={digestStyles.content}>
+          {error && (
+            <div className={styles.loadMoreError} role="alert">
+              <p>❌ {error}</p>
+            </div>
+          )}
+
+          {!digest && !error && (
+            <div className={styles.emptyState}>
+              <div className={styles.emptyStateIcon}>📰</div>
+              <h2 className={styles.emptyStateTitle}>No Digest Open</h2>
+              <p className={styles.emptyStateMessage}>
+                Generate a digest of the top new AI repositories, or open a saved one.
+              </p>
+            </div>
+          )}
+
+          {digest && (
+            <article className={digestStyles.digest} lang={digest.output_language} dir="auto">
+              <div className={digestStyles.digestActions}>
+                <button className={digestStyles.actionButton} onClick={() => handleCopy('md')}>📋 Copy Markdown</button>
+                <button className={digestStyles.actionButton} onClick={() => handleCopy('html')}>📋 Copy HTML</button>
+                <a className={digestStyles.actionButton} href={`/api/digest?id=${encodeURIComponent(digest.id)}&format=md&download=1`}>⬇️ .md</a>
+                <a className={digestStyles.actionButton} href={`/api/digest?id=${encodeURIComponent(digest.id)}&format=html&download=1`}>⬇️ .html</a>
+                {copyMessage && <span className={digestStyles.hint} role="status">{copyMessage}</span>}
+              </div>
+
+              <h2 className={digestStyles.digestTitle}>{digest.title}</h2>
+              {toParagraphs(digest.overview).map((paragraph, index) => (
+                <p key={index} className={digestStyles.overview}>{paragraph}</p>
+              ))}
+
+              <h3 className={digestStyles.sectionTitle}>Top {digest.repositories.length} New AI Repositories</h3>
+              <ol className={digestStyles.entries}>
+                {digest.repositories.map((item) => (
+                  <li key={item.id} className={digestStyles.entry}>
+                    <h4>
+                      <a href={item.html_url} target="_blank" rel="noopener noreferrer">{item.full_name}</a>
+                      <span className={digestStyles.digestMeta}> · ⭐ {item.stars}</span>
+                    </h4>
+                    <p>{item.summary || item.description || 'No description available'}</p>
+                    {item.error && <p className={digestStyles.entryError}>⚠️ No AI summary: {item.error}</p>}
+                  </li>
+                ))}
+              </ol>
+
+              <p className={digestStyles.hint}>
+                Generated {new Date(digest.created_at).toLocaleString()} by {digest.provider} ({digest.model})
+              </p>
+            </article>
+          )}
+        </div>
+      </div>
+
+      {/* AI Configuration Modal */}
+      <AIConfigModal
+        isOpen={showAIConfig}
+        onClose={() => setShowAIConfig(false)}
+        serverManagedProviders={serverManagedProviders}
+      />
+    </main>
+  )
+}
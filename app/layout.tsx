@@ -6,6 +6,13 @@ export const metadata: Metadata = {
   description: 'Discover trending AI/ML repositories from GitHub with AI-powered summaries',
   keywords: ['AI', 'Machine Learning', 'GitHub', 'Repositories', 'News'],
   authors: [{ name: 'AI News Aggregator' }],
+  // Lets feed readers discover the trends feeds from the page
+  alternates: {
+    types: {
+      'application/rss+xml': [{ url: '/api/feed.rss', title: 'Trending AI Repositories (RSS)' }],
+      'application/atom+xml': [{ url: '/api/feed.atom', title: 'Trending AI Repositories (Atom)' }],
+    },
+  },
 }
 
 export const viewport: Viewport = {
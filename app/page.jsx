@@ -5,10 +5,57 @@
 
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
+import Link from 'next/link'
 import styles from '../styles/Home.module.css'
 import NewsCard from '../components/NewsCard'
 import AIConfigModal from '../components/AIConfigModal'
+import SummaryDisplay from '../components/SummaryDisplay'
+import RepositoryToolbar from '../components/RepositoryToolbar'
+import FacetSidebar from '../components/FacetSidebar'
+import ExportMenu from '../components/ExportMenu'
+import { toSummarizeOptions } from '../lib/settings'
+import { useSettings } from '../hooks/useSettings'
+import { toggleBookmark, updateBookmarkSummary } from '../lib/bookmarks'
+import { useBookmarks } from '../hooks/useBookmarks'
+import {
+  applyRepositoryFilters,
+  collectFilterOptions,
+  hasActiveFilters,
+  toggleFilterValue,
+  toTrendsQueryParams
+} from '../lib/repositoryFilters'
+import { useRepositoryFilters } from '../hooks/useRepositoryFilters'
+import { useVisitHistory } from '../hooks/useVisitHistory'
+import { parseSSEStream } from '../lib/sse'
+
+// Repositories per /api/summarize/batch request (the server accepts up to 50)
+const SUMMARIZE_BATCH_SIZE = 50
+
+/**
+ * Describes a creation window, e.g. "7 Days"
+ * @param {number} days - Window length in days
+ * @returns {string}
+ */
+function formatPeriod(days) {
+  return days === 1 ? 'Day' : `${days} Days`
+}
+
+/**
+ * Repository fields sent to the summarize endpoints
+ * @param {import('../types/index.js').Repository} repository - Repository to summarize
+ * @returns {Object}
+ */
+function toSummarizeFields(repository) {
+  return {
+    text: `${repository.name}: ${repository.description || 'No description'}`,
+    full_name: repository.full_name,
+    topics: repository.topics,
+    language: repository.language,
+    id: repository.id,
+    updated_at: repository.updated_at
+  }
+}
 
 /**
  * Home Page Component
@@ -16,6 +63,7 @@ import AIConfigModal from '../components/AIConfigModal'
  * Main application page that:
  * - Fetches trending AI/ML repositories from GitHub API
  * - Displays repositories in a responsive grid layout
+ * - Loads further pages as the user scrolls (infinite scroll)
  * - Handles loading, error, and empty states
  * - Provides AI configuration and refresh functionality
  * 
@@ -30,20 +78,181 @@ export default function Home() {
   /** @type {[string|null, function]} */
   const [error, setError] = useState(null)
   const [showAIConfig, setShowAIConfig] = useState(false)
+  const { settings: userSettings } = useSettings()
+  const { bookmarks, bookmarkedIds } = useBookmarks()
+  // Search, filters and sort of the grid, kept in the URL query string
+  const { filters, ready: filtersReady, updateFilters, resetFilters } = useRepositoryFilters()
+  // Period and minimum stars requested from /api/trends, e.g. "days=30"
+  const trendsParams = toTrendsQueryParams(filters)
+  // Providers whose API key the operator set on the server
+  /** @type {[string[], function]} */
+  const [serverManagedProviders, setServerManagedProviders] = useState([])
+  // Creation window of the trends shown, as applied by the server (null until loaded)
+  /** @type {[number|null, function]} */
+  const [periodDays, setPeriodDays] = useState(null)
+  /** @type {[string|null, function]} */
+  const [nextCursor, setNextCursor] = useState(null)
+  // Trends pages shown in the grid, so exports include the same repositories
+  const [loadedPages, setLoadedPages] = useState(1)
+  const [loadingMore, setLoadingMore] = useState(false)
   /** @type {[string|null, function]} */
-  const [summarizingRepo, setSummarizingRepo] = useState(null)
+  const [loadMoreError, setLoadMoreError] = useState(null)
+  /** @type {import('react').MutableRefObject<HTMLDivElement|null>} */
+  const loadMoreSentinelRef = useRef(null)
+  // Requests of the current trends query; fetching another query aborts them
+  /** @type {import('react').MutableRefObject<AbortController|null>} */
+  const trendsControllerRef = useRef(null)
+  /** @type {[Object<string, import('../types/index.js').RepositorySummary>, function]} */
+  const [summaries, setSummaries] = useState({})
+  // Abort controllers of in-flight summary streams, keyed by repository id
+  /** @type {import('react').MutableRefObject<Map<string, AbortController>>} */
+  const summaryControllersRef = useRef(new Map())
+  // Repository whose summary is open in the summary panel
+  /** @type {[import('../types/index.js').Repository|null, function]} */
+  const [activeSummaryRepo, setActiveSummaryRepo] = useState(null)
+  // Repository ids already looked up in the server-side summary cache
+  /** @type {import('react').MutableRefObject<Set<number>>} */
+  const checkedSummaryIdsRef = useRef(new Set())
+  // Overall progress of "Summarize all" (null when no batch is running)
+  /** @type {[{ completed: number, failed: number, total: number }|null, function]} */
+  const [batchProgress, setBatchProgress] = useState(null)
+  /** @type {[string|null, function]} */
+  const [batchError, setBatchError] = useState(null)
+  /** @type {import('react').MutableRefObject<AbortController|null>} */
+  const batchControllerRef = useRef(null)
+  // Batch items the user stopped; their remaining events are ignored
+  /** @type {import('react').MutableRefObject<Set<string>>} */
+  const batchStoppedIdsRef = useRef(new Set())
+  // New repositories and rank movement since the previous visit
+  const { previousVisitAt, newIds, rankChanges } = useVisitHistory(repositories)
+  const [showOnlyNew, setShowOnlyNew] = useState(false)
+
+  const visibleRepositories = useMemo(
+    () => applyRepositoryFilters(repositories, filters)
+      .filter((repository) => !showOnlyNew || newIds.has(repository.id)),
+    [repositories, filters, showOnlyNew, newIds]
+  )
+  const filterOptions = useMemo(
+    () => collectFilterOptions(repositories, filters),
+    [repositories, filters]
+  )
+  const isFiltered = hasActiveFilters(filters)
+  // Search, filters or the "only new" toggle hide some loaded repositories
+  const isNarrowed = isFiltered || showOnlyNew
+
+  // Learn which providers work without a browser-supplied key
+  useEffect(() => {
+    fetch('/api/summarize')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => setServerManagedProviders(data?.server_managed_providers || []))
+      .catch((err) => console.error('Error loading summarize API info:', err))
+  }, [])
+
+  // Show summaries generated earlier (by anyone using this server) without a click
+  useEffect(() => {
+    const checkedIds = checkedSummaryIdsRef.current
+    const ids = repositories.map((repository) => repository.id).filter((id) => !checkedIds.has(id))
+    if (ids.length === 0) {
+      return
+    }
+    ids.forEach((id) => checkedIds.add(id))
+
+    fetch(`/api/summarize/cached?ids=${ids.join(',')}`)
+      .then((response) => (response.ok ? response.json() : { summaries: {} }))
+      .then((data) => {
+        setSummaries((current) => {
+          const next = { ...current }
+          Object.entries(data.summaries || {}).forEach(([id, cached]) => {
+            // Never replace a summary the user is generating or already sees
+            if (!next[id]) {
+              next[id] = { ...cached, text: cached.summary, status: 'done', cached: true }
+            }
+          })
+          return next
+        })
+      })
+      .catch((err) => console.error('Error loading cached summaries:', err))
+  }, [repositories])
 
-  // Fetch trending repositories on component mount
+  // Cancel in-flight summary streams when leaving the page
   useEffect(() => {
-    fetchTrendingRepositories()
+    const controllers = summaryControllersRef.current
+    return () => {
+      controllers.forEach((controller) => controller.abort())
+      batchControllerRef.current?.abort()
+    }
   }, [])
 
+  /**
+   * Fetches the next page of repositories and appends it to the grid
+   * Skips repositories already shown, since rankings can shift between pages
+   */
+  const loadMoreRepositories = useCallback(async () => {
+    const controller = trendsControllerRef.current
+    if (!nextCursor || loadingMore || !controller) {
+      return
+    }
+
+    setLoadingMore(true)
+    setLoadMoreError(null)
+
+    try {
+      const response = await fetch(`/api/trends?cursor=${encodeURIComponent(nextCursor)}`, { signal: controller.signal })
+
+      if (!response.ok) {
+        throw new Error(`Failed to load more repositories: ${response.status}`)
+      }
+
+      const data = await response.json()
+      // The query changed meanwhile; this page belongs to the old results
+      if (controller.signal.aborted) {
+        return
+      }
+      setRepositories((current) => {
+        const seenIds = new Set(current.map((repository) => repository.id))
+        return [...current, ...(data.repositories || []).filter((repository) => !seenIds.has(repository.id))]
+      })
+      setNextCursor(data.has_more ? data.next_cursor : null)
+      setLoadedPages(data.page || 1)
+    } catch (err) {
+      if (controller.signal.aborted) {
+        return
+      }
+      console.error('Error loading more repositories:', err)
+      setLoadMoreError(err instanceof Error ? err.message : 'Failed to load more repositories')
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [nextCursor, loadingMore])
+
+  // Load the next page when the sentinel below the grid scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreSentinelRef.current
+    if (!sentinel || !nextCursor || loadMoreError) {
+      return
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreRepositories()
+      }
+    }, { rootMargin: '400px' }) // Start loading before the user reaches the end
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, loadMoreError, loadMoreRepositories])
+
   /**
    * Fetches trending AI/ML repositories from our API
    * Implements error handling and loading states
    * @param {boolean} isRefresh - Whether this is a manual refresh
    */
-  const fetchTrendingRepositories = async (isRefresh = false) => {
+  const fetchTrendingRepositories = useCallback(async (isRefresh = false) => {
+    // Responses of the previous query (first page or more pages) must not replace these results
+    trendsControllerRef.current?.abort()
+    const controller = new AbortController()
+    trendsControllerRef.current = controller
+
     try {
       console.log('fetchTrendingRepositories called with isRefresh:', isRefresh)
       
@@ -54,29 +263,56 @@ export default function Home() {
         setLoading(true)
       }
       setError(null)
+      setLoadMoreError(null)
       
       // Add cache-busting parameter for refresh
-      const url = isRefresh ? `/api/trends?t=${Date.now()}` : '/api/trends'
+      const params = new URLSearchParams(trendsParams)
+      if (isRefresh) {
+        params.set('t', String(Date.now()))
+      }
+      const url = params.toString() ? `/api/trends?${params}` : '/api/trends'
       console.log('Fetching from URL:', url)
       
-      const response = await fetch(url)
+      const response = await fetch(url, { signal: controller.signal })
       
       if (!response.ok) {
         throw new Error(`Failed to fetch repositories: ${response.status}`)
       }
       
       const data = await response.json()
+      if (controller.signal.aborted) {
+        return
+      }
       console.log('Received data:', data.repositories?.length, 'repositories')
       setRepositories(data.repositories || [])
+      setPeriodDays(data.query ? data.query.days : null)
+      setNextCursor(data.has_more ? data.next_cursor : null)
+      setLoadedPages(1)
     } catch (err) {
+      if (controller.signal.aborted) {
+        return
+      }
       console.error('Error fetching repositories:', err)
       setError(err instanceof Error ? err.message : 'Failed to load repositories')
     } finally {
-      setLoading(false)
-      setRefreshing(false)
-      console.log('Fetch completed, refreshing set to false')
+      // A newer request owns the loading state
+      if (trendsControllerRef.current === controller) {
+        setLoading(false)
+        setRefreshing(false)
+        console.log('Fetch completed, refreshing set to false')
+      }
     }
-  }
+  }, [trendsParams])
+
+  // Fetch once the URL filters are known, and again when the period or minimum stars change
+  useEffect(() => {
+    if (filtersReady) {
+      fetchTrendingRepositories()
+    }
+  }, [filtersReady, fetchTrendingRepositories])
+
+  // Abort trends requests still running when leaving the page
+  useEffect(() => () => trendsControllerRef.current?.abort(), [])
 
   /**
    * Handles manual refresh of repositories
@@ -86,51 +322,268 @@ export default function Home() {
     fetchTrendingRepositories(true)
   }
 
+  /**
+   * Merges fields into the summary state of one repository
+   * @param {string} repositoryId - Repository id
+   * @param {Partial<import('../types/index.js').RepositorySummary>} update - Fields to merge
+   */
+  const updateSummary = (repositoryId, update) => {
+    setSummaries((current) => ({
+      ...current,
+      [repositoryId]: { ...current[repositoryId], ...update }
+    }))
+  }
+
+  /**
+   * Cancels an in-flight summary stream (aborts the upstream LLM request too)
+   * @param {import('../types/index.js').Repository} repository - Repository being summarized
+   */
+  const handleCancelSummarize = (repository) => {
+    const repositoryId = repository.id.toString()
+    const controller = summaryControllersRef.current.get(repositoryId)
+    if (controller) {
+      controller.abort()
+      return
+    }
+
+    // Part of a running batch: stop showing its output, the rest of the batch continues
+    if (batchControllerRef.current) {
+      batchStoppedIdsRef.current.add(repositoryId)
+      setSummaries((current) => {
+        const { [repositoryId]: stopped, ...rest } = current
+        return stopped && stopped.text ? { ...current, [repositoryId]: { ...stopped, status: 'cancelled' } } : rest
+      })
+    }
+  }
+
   /**
    * Handles repository summarization
+   * Streams the summary into the card as it is generated
+   * (cached summaries arrive instantly unless regenerating)
    * @param {import('../types/index.js').Repository} repository - Repository to summarize
+   * @param {Object} [options] - Summarize options
+   * @param {boolean} [options.regenerate=false] - Bypass the server-side summary cache
    */
-  const handleSummarize = async (repository) => {
-    // Check if API key is configured
-    const apiKey = localStorage.getItem('ai_api_key')
-    const provider = localStorage.getItem('ai_provider') || 'openai'
-    
-    if (!apiKey) {
-      alert('🔑 Please configure your AI API key first!')
+  const handleSummarize = async (repository, { regenerate = false } = {}) => {
+    // Check if the provider is configured
+    const settings = toSummarizeOptions(userSettings, serverManagedProviders)
+    if (!settings) {
       setShowAIConfig(true)
       return
     }
 
-    setSummarizingRepo(repository.id.toString())
+    const repositoryId = repository.id.toString()
+    const controller = new AbortController()
+    summaryControllersRef.current.set(repositoryId, controller)
+    batchStoppedIdsRef.current.add(repositoryId) // A running batch must not overwrite this stream
+
+    setActiveSummaryRepo(repository)
+    // Start from a clean entry so fields of a previous (cached or failed) summary do not linger
+    setSummaries((current) => ({
+      ...current,
+      [repositoryId]: { text: '', status: 'streaming', provider: settings.provider, timestamp: null, sources: [] }
+    }))
     
     try {
-      const response = await fetch('/api/summarize', {
+      const response = await fetch('/api/summarize?stream=1', {
         method: 'POST',
+        signal: controller.signal,
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          text: `${repository.name}: ${repository.description || 'No description'}`,
-          apiKey: apiKey,
-          provider: provider
+          ...toSummarizeFields(repository),
+          ...settings,
+          regenerate
         })
       })
 
-      if (!response.ok) {
-        throw new Error(`Summarization failed: ${response.status}`)
+      if (!response.ok || !response.body) {
+        // Validation errors are returned as JSON before streaming starts
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `Summarization failed: ${response.status}`)
       }
 
-      const data = await response.json()
-      
-      // Show summary in alert for now (can be enhanced with a modal later)
-      alert(`✨ AI Summary:\n\n${data.summary}`)
+      let text = ''
+      for await (const message of parseSSEStream(response.body)) {
+        const data = JSON.parse(message.data)
+
+        if (message.event === 'delta') {
+          text += data.text
+          updateSummary(repositoryId, { text })
+        } else if (message.event === 'meta') {
+          updateSummary(repositoryId, data)
+        } else if (message.event === 'done') {
+          updateSummary(repositoryId, { ...data, text: data.summary, status: 'done' })
+          updateBookmarkSummary(repository.id, { ...data, text: data.summary, status: 'done' })
+        } else if (message.event === 'error') {
+          throw new Error(data.error)
+        }
+      }
       
     } catch (error) {
+      if (controller.signal.aborted) {
+        // Keep whatever was generated before the user stopped it
+        setSummaries((current) => {
+          const { [repositoryId]: cancelled, ...rest } = current
+          return cancelled && cancelled.text ? { ...current, [repositoryId]: { ...cancelled, status: 'cancelled' } } : rest
+        })
+        return
+      }
+
       console.error('Error summarizing repository:', error)
-      alert(`❌ Failed to generate summary: ${error.message}`)
+      updateSummary(repositoryId, { status: 'error', error: error.message })
     } finally {
-      setSummarizingRepo(null)
+      summaryControllersRef.current.delete(repositoryId)
+    }
+  }
+
+  /**
+   * Summarizes every shown repository (after search, filters and the "only new"
+   * toggle) that has no summary yet
+   * Streams all of them at once through /api/summarize/batch, filling in the cards
+   * as text arrives; a failing repository does not stop the others
+   */
+  const handleSummarizeAll = async () => {
+    const settings = toSummarizeOptions(userSettings, serverManagedProviders)
+    if (!settings) {
+      setShowAIConfig(true)
+      return
+    }
+
+    const pending = visibleRepositories.filter((repository) => {
+      const summary = summaries[repository.id]
+      return !summary || summary.status === 'error' || summary.status === 'cancelled'
+    })
+    if (pending.length === 0) {
+      return
     }
+
+    const controller = new AbortController()
+    batchControllerRef.current = controller
+    batchStoppedIdsRef.current = new Set()
+    setBatchError(null)
+    setBatchProgress({ completed: 0, failed: 0, total: pending.length })
+    setSummaries((current) => {
+      const next = { ...current }
+      pending.forEach((repository) => {
+        next[repository.id] = { text: '', status: 'streaming', provider: settings.provider, timestamp: null, sources: [] }
+      })
+      return next
+    })
+
+    // Totals of the requests already finished (large batches are split into several requests)
+    let completedBefore = 0
+    let failedBefore = 0
+
+    try {
+      for (let start = 0; start < pending.length && !controller.signal.aborted; start += SUMMARIZE_BATCH_SIZE) {
+        const chunk = pending.slice(start, start + SUMMARIZE_BATCH_SIZE)
+        const response = await fetch('/api/summarize/batch', {
+          method: 'POST',
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            ...settings,
+            repositories: chunk.map(toSummarizeFields)
+          })
+        })
+
+        if (!response.ok || !response.body) {
+          // Validation errors are returned as JSON before streaming starts
+          const data = await response.json().catch(() => ({}))
+          throw new Error(data.error || `Summarization failed: ${response.status}`)
+        }
+
+        /** @type {Object<string, string>} */
+        const texts = {}
+        for await (const message of parseSSEStream(response.body)) {
+          const { id, ...data } = JSON.parse(message.data)
+          const repositoryId = id === undefined ? null : id.toString()
+
+          if (repositoryId && batchStoppedIdsRef.current.has(repositoryId)) {
+            continue
+          }
+
+          if (message.event === 'delta') {
+            texts[repositoryId] = (texts[repositoryId] || '') + data.text
+            updateSummary(repositoryId, { text: texts[repositoryId] })
+          } else if (message.event === 'meta') {
+            updateSummary(repositoryId, data)
+          } else if (message.event === 'result') {
+            updateSummary(repositoryId, { ...data, text: data.summary, status: 'done' })
+            updateBookmarkSummary(data.id, { ...data, text: data.summary, status: 'done' })
+          } else if (message.event === 'failure') {
+            updateSummary(repositoryId, { status: 'error', error: data.error })
+          } else if (message.event === 'progress') {
+            setBatchProgress({
+              completed: completedBefore + data.completed,
+              failed: failedBefore + data.failed,
+              total: pending.length
+            })
+          } else if (message.event === 'done') {
+            completedBefore += data.completed
+            failedBefore += data.failed
+          }
+        }
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Error summarizing repositories:', error)
+        setBatchError(error instanceof Error ? error.message : 'Failed to summarize repositories')
+      }
+    } finally {
+      // Repositories the batch never finished keep partial text as cancelled
+      setSummaries((current) => {
+        const next = { ...current }
+        pending.forEach((repository) => {
+          const summary = next[repository.id]
+          if (summary && summary.status === 'streaming' && !summaryControllersRef.current.has(repository.id.toString())) {
+            if (summary.text) {
+              next[repository.id] = { ...summary, status: 'cancelled' }
+            } else {
+              delete next[repository.id]
+            }
+          }
+        })
+        return next
+      })
+      batchControllerRef.current = null
+      setBatchProgress(null)
+    }
+  }
+
+  /**
+   * Stops "Summarize all" (in-flight provider requests are aborted server-side)
+   */
+  const handleCancelSummarizeAll = () => {
+    batchControllerRef.current?.abort()
+  }
+
+  /**
+   * Generates a fresh summary, replacing the cached one
+   * @param {import('../types/index.js').Repository} repository - Repository to summarize
+   */
+  const handleRegenerate = (repository) => {
+    handleSummarize(repository, { regenerate: true })
+  }
+
+  /**
+   * Adds a repository to the watchlist (with its summary, if any) or removes it
+   * @param {import('../types/index.js').Repository} repository - Repository to toggle
+   */
+  const handleToggleBookmark = (repository) => {
+    toggleBookmark(repository, summaries[repository.id])
+  }
+
+  /**
+   * Filters the grid by a topic clicked on a card, or removes that filter
+   * @param {string} topic - Lowercase topic
+   */
+  const handleSelectTopic = (topic) => {
+    updateFilters({ topics: toggleFilterValue(filters.topics, topic) })
   }
 
   /**
@@ -150,6 +603,21 @@ export default function Home() {
     </div>
   )
 
+  /**
+   * Renders skeleton cards for the page being loaded by infinite scroll
+   * @returns {JSX.Element[]} Skeleton cards placed at the end of the grid
+   */
+  const renderLoadingMoreSkeletons = () => (
+    Array.from({ length: 3 }).map((_, index) => (
+      <div key={`loading-more-${index}`} className={styles.loadingSkeleton} aria-hidden="true">
+        <div className={styles.skeletonTitle}></div>
+        <div className={styles.skeletonDescription}></div>
+        <div className={styles.skeletonDescription}></div>
+        <div className={styles.skeletonDescription}></div>
+      </div>
+    ))
+  )
+
   /**
    * Renders error state with retry option
    * @returns {JSX.Element} Error state component
@@ -178,7 +646,8 @@ export default function Home() {
       <div className={styles.emptyStateIcon}>🔍</div>
       <h2 className={styles.emptyStateTitle}>📭 No Repositories Found</h2>
       <p className={styles.emptyStateMessage}>
-        We couldn't find any NEW AI/ML repositories created in the last 7 days. 
+        We couldn't find any NEW AI/ML repositories created
+        {periodDays ? ` in the last ${formatPeriod(periodDays).toLowerCase()}` : ' recently'}. 
         Try refreshing or check back later for newly created projects.
       </p>
     </div>
@@ -191,7 +660,8 @@ export default function Home() {
         <div>
           <h1 className={styles.title}>🤖 AI News Aggregator</h1>
           <p className={styles.subtitle}>
-            🚀 Discover NEW AI & Machine Learning repositories (Created in Last 7 Days)
+            🚀 Discover NEW AI & Machine Learning repositories
+            {periodDays && ` (Created in Last ${formatPeriod(periodDays)})`}
           </p>
         </div>
         
@@ -209,6 +679,42 @@ export default function Home() {
             {refreshing ? 'Refreshing...' : 'Refresh'}
           </button>
           
+          {batchProgress ? (
+            <button
+              className={styles.refreshButton}
+              onClick={handleCancelSummarizeAll}
+              aria-label="Stop summarizing all repositories"
+            >
+              ⏹ Stop ({batchProgress.completed + batchProgress.failed}/{batchProgress.total})
+            </button>
+          ) : (
+            <button
+              className={styles.refreshButton}
+              onClick={handleSummarizeAll}
+              disabled={loading || visibleRepositories.length === 0}
+              aria-label={isNarrowed ? 'Summarize all shown repositories' : 'Summarize all repositories'}
+            >
+              ✨ Summarize all
+            </button>
+          )}
+
+          {!loading && repositories.length > 0 && (
+            <ExportMenu
+              filters={filters}
+              pages={loadedPages}
+              onlyIds={showOnlyNew ? newIds : null}
+              buttonClassName={styles.refreshButton}
+            />
+          )}
+
+          <Link href="/watchlist" className={styles.refreshButton} aria-label="Open watchlist">
+            📌 Watchlist{bookmarks.length > 0 && ` (${bookmarks.length})`}
+          </Link>
+
+          <Link href="/digest" className={styles.refreshButton} aria-label="Open digest">
+            📰 Digest
+          </Link>
+
           <button 
             className={styles.configButton}
             onClick={() => setShowAIConfig(true)}
@@ -219,28 +725,148 @@ export default function Home() {
         </div>
       </header>
 
+      {/* "Summarize all" progress */}
+      {batchProgress && (
+        <div className={styles.batchProgress}>
+          <div
+            className={styles.batchProgressTrack}
+            role="progressbar"
+            aria-label="Summarizing repositories"
+            aria-valuemin={0}
+            aria-valuemax={batchProgress.total}
+            aria-valuenow={batchProgress.completed + batchProgress.failed}
+          >
+            <div
+              className={styles.batchProgressBar}
+              style={{ width: `${((batchProgress.completed + batchProgress.failed) / batchProgress.total) * 100}%` }}
+            />
+          </div>
+          <p className={styles.batchProgressText}>
+            ✨ {batchProgress.completed} of {batchProgress.total} summarized
+            {batchProgress.failed > 0 && ` · ❌ ${batchProgress.failed} failed`}
+          </p>
+        </div>
+      )}
+
+      {batchError && (
+        <div className={styles.loadMoreError} role="alert">
+          <p>❌ {batchError}</p>
+        </div>
+      )}
+
       {/* Main Content */}
       {loading && renderLoadingState()}
       {error && !loading && renderErrorState()}
       {!loading && !error && repositories.length === 0 && renderEmptyState()}
       
       {!loading && !error && repositories.length > 0 && (
-        <div className={styles.repositoryGrid}>
-          {repositories.map((repository) => (
-            <NewsCard
-              key={repository.id}
-              repository={repository}
-              onSummarize={handleSummarize}
-              isLoading={summarizingRepo === repository.id.toString()}
-            />
-          ))}
+        <RepositoryToolbar
+          filters={filters}
+          options={filterOptions}
+          visibleCount={visibleRepositories.length}
+          totalCount={repositories.length}
+          onChange={updateFilters}
+          onReset={resetFilters}
+          previousVisitAt={previousVisitAt}
+          newCount={newIds.size}
+          showOnlyNew={showOnlyNew}
+          onShowOnlyNewChange={setShowOnlyNew}
+        />
+      )}
+
+      {/* Facet sidebar and the (filtered) grid */}
+      {!loading && !error && repositories.length > 0 && (
+        <div className={styles.content}>
+          <FacetSidebar facets={filterOptions} filters={filters} onChange={updateFilters} />
+
+          {visibleRepositories.length === 0 && showOnlyNew && !isFiltered && (
+            <div className={styles.emptyState}>
+              <h2 className={styles.emptyStateTitle}>🆕 Nothing New Yet</h2>
+              <p className={styles.emptyStateMessage}>
+                No new repositories have started trending since your last visit.
+              </p>
+              <button className={styles.retryButton} onClick={() => setShowOnlyNew(false)}>
+                Show all repositories
+              </button>
+            </div>
+          )}
+
+          {visibleRepositories.length === 0 && isFiltered && (
+            <div className={styles.emptyState}>
+              <h2 className={styles.emptyStateTitle}>🔍 No Matching Repositories</h2>
+              <p className={styles.emptyStateMessage}>
+                None of the {repositories.length} loaded repositories match your search and filters.
+              </p>
+              <button className={styles.retryButton} onClick={resetFilters}>
+                ✕ Clear filters
+              </button>
+            </div>
+          )}
+
+          {visibleRepositories.length > 0 && (
+            <div className={styles.repositoryGrid}>
+              {visibleRepositories.map((repository) => (
+                <NewsCard
+                  key={repository.id}
+                  repository={repository}
+                  onSummarize={handleSummarize}
+                  onCancelSummarize={handleCancelSummarize}
+                  onRegenerate={handleRegenerate}
+                  isLoading={summaries[repository.id]?.status === 'streaming'}
+                  summary={summaries[repository.id]}
+                  isBookmarked={bookmarkedIds.has(repository.id)}
+                  onToggleBookmark={handleToggleBookmark}
+                  onSelectTopic={handleSelectTopic}
+                  selectedTopics={filters.topics}
+                  isNew={newIds.has(repository.id)}
+                  rankChange={rankChanges.get(repository.id)}
+                  detailsHref={`/repo/${repository.full_name}`}
+                />
+              ))}
+              {loadingMore && renderLoadingMoreSkeletons()}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Infinite scroll: sentinel that triggers loading the next page */}
+      {/* While filtering, pages load on request so a narrow filter does not page through every result */}
+      {!loading && !error && nextCursor && !isNarrowed && (
+        <div ref={loadMoreSentinelRef} className={styles.loadMoreSentinel} aria-hidden="true" />
+      )}
+
+      {!loading && !error && nextCursor && isNarrowed && !loadMoreError && (
+        <div className={styles.loadMoreError}>
+          <button className={styles.retryButton} onClick={loadMoreRepositories} disabled={loadingMore}>
+            {loadingMore ? '⏳ Loading...' : '🔄 Load more repositories'}
+          </button>
+        </div>
+      )}
+
+      {loadMoreError && (
+        <div className={styles.loadMoreError} role="alert">
+          <p>{loadMoreError}</p>
+          <button className={styles.retryButton} onClick={loadMoreRepositories}>
+            🔄 Load More
+          </button>
         </div>
       )}
 
+      {/* Summary panel for the most recently requested summary */}
+      {activeSummaryRepo && summaries[activeSummaryRepo.id] && (
+        <SummaryDisplay
+          repository={activeSummaryRepo}
+          summary={summaries[activeSummaryRepo.id]}
+          onClose={() => setActiveSummaryRepo(null)}
+          onRegenerate={handleRegenerate}
+        />
+      )}
+
       {/* AI Configuration Modal */}
       <AIConfigModal 
         isOpen={showAIConfig}
         onClose={() => setShowAIConfig(false)}
+        serverManagedProviders={serverManagedProviders}
       />
     </main>
   )
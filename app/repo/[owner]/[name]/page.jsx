@@ -0,0 +1,335 @@
+/*
+ * Repository Page Component
+ * Shows a repository in the app: README, language breakdown, recent
+ * releases, top contributors, license and its AI summary
+ */
+
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import styles from '../../../../styles/Home.module.css'
+import repoStyles from '../../../../styles/RepositoryPage.module.css'
+import AIConfigModal from '../../../../components/AIConfigModal'
+import { toSummarizeOptions } from '../../../../lib/settings'
+import { useSettings } from '../../../../hooks/useSettings'
+
+// Bar colors for the largest languages; the rest share the last one
+const LANGUAGE_COLORS = ['#007AFF', '#34C759', '#FF9500', '#AF52DE', '#FF2D55', '#5AC8FA', '#8E8E93']
+
+/**
+ * Formats a count for display (e.g., 1.2k)
+ * @param {number} count - Count to format
+ * @returns {string}
+ */
+function formatCount(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count)
+}
+
+/**
+ * Formats a date for display
+ * @param {string|null} dateString - ISO date string
+ * @returns {string}
+ */
+function formatDate(dateString) {
+  return dateString ? new Date(dateString).toLocaleDateString() : 'Unpublished'
+}
+
+/**
+ * Repository Page Component
+ *
+ * - Loads the details from /api/repo/{owner}/{name}
+ * - Shows the cached AI summary, or summarizes with the configured provider
+ * - Renders the README as sanitized by the server
+ *
+ * @param {Object} props - Component props
+ * @param {{ owner: string, name: string }} props.params - Route parameters
+ * @returns {JSX.Element} The repository page component
+ */
+export default function RepositoryPage({ params }) {
+  const fullName = `${params.owner}/${params.name}`
+  const { settings: userSettings } = useSettings()
+  /** @type {[string[], function]} */
+  const [serverManagedProviders, setServerManagedProviders] = useState([])
+  const [showAIConfig, setShowAIConfig] = useState(false)
+  /** @type {[import('../../../../lib/repositoryDetails.js').RepositoryPageDetails|null, function]} */
+  const [details, setDetails] = useState(null)
+  const [loading, setLoading] = useState(true)
+  /** @type {[string|null, function]} */
+  const [error, setError] = useState(null)
+  /** @type {[{ summary: string, provider: string, model: string }|null, function]} */
+  const [summary, setSummary] = useState(null)
+  const [summarizing, setSummarizing] = useState(false)
+  /** @type {[string|null, function]} */
+  const [summaryError, setSummaryError] = useState(null)
+
+  /**
+   * Loads the repository details
+   */
+  const loadDetails = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/repo/${encodeURIComponent(params.owner)}/${encodeURIComponent(params.name)}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to load repository: ${response.status}`)
+      }
+      setDetails(data.details)
+      setSummary(data.details.summary)
+    } catch (err) {
+      console.error('Error loading repository details:', err)
+      setError(err instanceof Error ? err.message : 'Failed to load repository')
+    } finally {
+      setLoading(false)
+    }
+  }, [params.owner, params.name])
+
+  useEffect(() => {
+    loadDetails()
+  }, [loadDetails])
+
+  // Learn which providers work without a browser-supplied key
+  useEffect(() => {
+    fetch('/api/summarize')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => setServerManagedProviders(data?.server_managed_providers || []))
+      .catch((err) => console.error('Error loading summarize API info:', err))
+  }, [])
+
+  /**
+   * Summarizes the repository with the configured provider
+   */
+  const handleSummarize = async () => {
+    const settings = toSummarizeOptions(userSettings, serverManagedProviders)
+    if (!settings) {
+      setShowAIConfig(true)
+      return
+    }
+
+    const { repository } = details
+    setSummarizing(true)
+    setSummaryError(null)
+
+    try {
+      const response = await fetch('/api/summarize', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          text: `${repository.name}: ${repository.description || 'No description'}`,
+          full_name: repository.full_name,
+          topics: repository.topics,
+          language: repository.language,
+          id: repository.id,
+          updated_at: repository.updated_at,
+          ...settings,
+          regenerate: Boolean(summary)
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Summarization failed: ${response.status}`)
+      }
+      setSummary(data)
+    } catch (err) {
+      console.error('Error summarizing repository:', err)
+      setSummaryError(err instanceof Error ? err.message : 'Summarization failed')
+    } finally {
+      setSummarizing(false)
+    }
+  }
+
+  const repository = details ? details.repository : null
+
+  return (
+    <main className={styles.main}>
+      {/* Header Section */}
+      <header className={styles.header}>
+        <div className={repoStyles.headerText}>
+          <h1 className={styles.title}>🤖 {repository ? repository.name : params.name}</h1>
+          <p className={styles.subtitle}>
+            {repository ? repository.description || 'No description available' : fullName}
+          </p>
+        </div>
+
+        <div className={styles.headerActions}>
+          {repository && (
+            <a href={repository.html_url} target="_blank" rel="noopener noreferrer" className={styles.refreshButton}>
+              🔗 GitHub
+            </a>
+          )}
+          <Link href="/" className={styles.refreshButton}>
+            ← Trending
+          </Link>
+        </div>
+      </header>
+
+      <div className={repoStyles.layout}>
+        {loading && !details && (
+          <div className={styles.loadingSkeleton} aria-label="Loading repository">
+            <div className={styles.skeletonTitle}></div>
+            <div className={styles.skeletonDescription}></div>
+            <div className={styles.skeletonDescription}></div>
+          </div>
+        )}
+
+        {error && (
+          <div className={styles.errorContainer}>
+            <h2 className={styles.errorTitle}>❌ Unable to Load Repository</h2>
+            <p className={styles.errorMessage}>{error}</p>
+            <button className={styles.retryButton} onClick={loadDetails}>
+              🔄 Try Again
+            </button>
+          </div>
+        )}
+
+        {repository && (
+          <>
+            <aside className={repoStyles.sidebar}>
+              {/* Stats and license */}
+              <section className={repoStyles.panel} aria-label="Repository stats">
+                <ul className={repoStyles.stats}>
+                  <li>⭐ {formatCount(repository.stargazers_count)} stars</li>
+                  <li>🍴 {formatCount(repository.forks_count)} forks</li>
+                  <li>🐛 {formatCount(repository.open_issues_count)} open issues</li>
+                  <li>🕒 Pushed {formatDate(repository.pushed_at)}</li>
+                  <li>
+                    ⚖️ {repository.license
+                      ? repository.license.url
+                        ? <a href={repository.license.url} target="_blank" rel="noopener noreferrer">{repository.license.name}</a>
+                        : repository.license.name
+                      : 'No license'}
+                  </li>
+                  {repository.homepage && (
+                    <li>
+                      🌐 <a href={repository.homepage} target="_blank" rel="noopener noreferrer nofollow">Website</a>
+                    </li>
+                  )}
+                  {repository.archived && <li>📦 Archived</li>}
+                </ul>
+                {repository.topics.length > 0 && (
+                  <div className={repoStyles.topics} aria-label="Repository topics">
+                    {repository.topics.map((topic) => (
+                      <Link key={topic} href={`/?topic=${encodeURIComponent(topic.toLowerCase())}`} className={repoStyles.topic}>
+                        🏷️ {topic}
+                      </Link>
+                    ))}
+                  </div>
+                )}
+              </section>
+
+              {/* Languages */}
+              <section className={repoStyles.panel} aria-label="Languages">
+                <h2 className={repoStyles.panelTitle}>💻 Languages</h2>
+                {details.languages === null && <p className={repoStyles.hint}>Languages are unavailable right now.</p>}
+                {details.languages && details.languages.length === 0 && <p className={repoStyles.hint}>No code detected.</p>}
+                {details.languages && details.languages.length > 0 && (
+                  <>
+                    <div className={repoStyles.languageBar} aria-hidden="true">
+                      {details.languages.map((language, index) => (
+                        <span
+                          key={language.name}
+                          style={{ width: `${language.percent}%`, backgroundColor: LANGUAGE_COLORS[Math.min(index, LANGUAGE_COLORS.length - 1)] }}
+                        />
+                      ))}
+                    </div>
+                    <ul className={repoStyles.languageList}>
+                      {details.languages.slice(0, LANGUAGE_COLORS.length).map((language, index) => (
+                        <li key={language.name}>
+                          <span className={repoStyles.languageDot} style={{ backgroundColor: LANGUAGE_COLORS[index] }} aria-hidden="true" />
+                          {language.name} <span className={repoStyles.hint}>{language.percent}%</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </section>
+
+              {/* Releases */}
+              <section className={repoStyles.panel} aria-label="Recent releases">
+                <h2 className={repoStyles.panelTitle}>🚀 Releases</h2>
+                {details.releases === null && <p className={repoStyles.hint}>Releases are unavailable right now.</p>}
+                {details.releases && details.releases.length === 0 && <p className={repoStyles.hint}>No releases yet.</p>}
+                {details.releases && details.releases.length > 0 && (
+                  <ul className={repoStyles.releaseList}>
+                    {details.releases.map((release) => (
+                      <li key={release.html_url}>
+                        <a href={release.html_url} target="_blank" rel="noopener noreferrer">{release.name}</a>
+                        <span className={repoStyles.hint}>
+                          {' '}{formatDate(release.published_at)}{release.prerelease && ' · Pre-release'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              {/* Contributors */}
+              <section className={repoStyles.panel} aria-label="Top contributors">
+                <h2 className={repoStyles.panelTitle}>👥 Contributors</h2>
+                {details.contributors === null && <p className={repoStyles.hint}>Contributors are unavailable right now.</p>}
+                {details.contributors && details.contributors.length === 0 && <p className={repoStyles.hint}>No contributors yet.</p>}
+                {details.contributors && details.contributors.length > 0 && (
+                  <ul className={repoStyles.contributorList}>
+                    {details.contributors.map((contributor) => (
+                      <li key={contributor.login}>
+                        <a
+                          href={contributor.html_url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          title={`${contributor.login}: ${contributor.contributions} commits`}
+                        >
+                          <img src={`${contributor.avatar_url}&s=64`} alt={contributor.login} width={32} height={32} loading="lazy" />
+                        </a>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            </aside>
+
+            <div className={repoStyles.content}>
+              {/* AI summary */}
+              <section className={repoStyles.panel} aria-label={`AI summary of ${repository.name}`} aria-live="polite">
+                <h2 className={repoStyles.panelTitle}>✨ AI Summary</h2>
+                {summary ? (
+                  <>
+                    <p dir="auto">{summary.summary}</p>
+                    <p className={repoStyles.hint}>{summary.provider} ({summary.model})</p>
+                  </>
+                ) : (
+                  <p className={repoStyles.hint}>Not summarized yet.</p>
+                )}
+                {summaryError && <p className={repoStyles.error} role="alert">❌ {summaryError}</p>}
+                <div>
+                  <button className={styles.refreshButton} onClick={handleSummarize} disabled={summarizing}>
+                    {summarizing ? '⏳ Summarizing...' : summary ? '🔄 Regenerate' : '✨ Summarize'}
+                  </button>
+                </div>
+              </section>
+
+              {/* README (sanitized on the server) */}
+              <section className={repoStyles.readme} aria-label="README">
+                {details.readme_html === null && <p className={repoStyles.hint}>The README is unavailable right now.</p>}
+                {details.readme_html === '' && <p className={repoStyles.hint}>This repository has no README.</p>}
+                {details.readme_html && (
+                  <div className={repoStyles.markdown} dangerouslySetInnerHTML={{ __html: details.readme_html }} />
+                )}
+              </section>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* AI Configuration Modal */}
+      <AIConfigModal
+        isOpen={showAIConfig}
+        onClose={() => setShowAIConfig(false)}
+        serverManagedProviders={serverManagedProviders}
+      />
+    </main>
+  )
+}
@@ -0,0 +1,252 @@
+/*
+ * Watchlist Page Component
+ * Lists bookmarked repositories with metadata refreshed from GitHub, and
+ * exports or imports the watchlist as JSON
+ */
+
+'use client'
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import Link from 'next/link'
+import styles from '../../styles/Home.module.css'
+import watchlistStyles from '../../styles/Watchlist.module.css'
+import NewsCard from '../../components/NewsCard'
+import {
+  loadBookmarks,
+  toggleBookmark,
+  refreshBookmarks,
+  exportBookmarks,
+  importBookmarks
+} from '../../lib/bookmarks'
+import { useBookmarks } from '../../hooks/useBookmarks'
+
+// Repository ids per /api/repositories request (the server accepts up to 50)
+const REFRESH_BATCH_SIZE = 50
+
+/**
+ * Watchlist Page Component
+ *
+ * - Shows every bookmark with its stored summary and when it was added
+ * - Refreshes stars, description and topics from GitHub on load
+ * - Flags repositories that were deleted or made private
+ * - Downloads the watchlist as JSON and merges an uploaded export
+ *
+ * @returns {JSX.Element} The watchlist page component
+ */
+export default function Watchlist() {
+  const { bookmarks, loaded } = useBookmarks()
+  const [refreshing, setRefreshing] = useState(false)
+  /** @type {[string|null, function]} */
+  const [refreshError, setRefreshError] = useState(null)
+  /** @type {[Set<number>, function]} */
+  const [unavailableIds, setUnavailableIds] = useState(new Set())
+  /** @type {[{ text: string, isError: boolean }|null, function]} */
+  const [importMessage, setImportMessage] = useState(null)
+  /** @type {import('react').MutableRefObject<HTMLInputElement|null>} */
+  const fileInputRef = useRef(null)
+
+  /**
+   * Fetches current metadata of every bookmarked repository and stores it
+   */
+  const refreshMetadata = useCallback(async () => {
+    const ids = loadBookmarks().map((bookmark) => bookmark.repository.id)
+    if (ids.length === 0) {
+      return
+    }
+
+    setRefreshing(true)
+    setRefreshError(null)
+
+    try {
+      /** @type {Object<string, import('../../types/index.js').Repository>} */
+      const repositories = {}
+      /** @type {number[]} */
+      const notFound = []
+
+      for (let start = 0; start < ids.length; start += REFRESH_BATCH_SIZE) {
+        const chunk = ids.slice(start, start + REFRESH_BATCH_SIZE)
+        const response = await fetch(`/api/repositories?ids=${chunk.join(',')}`)
+        const data = await response.json()
+
+        if (!response.ok) {
+          throw new Error(data.error || `Refresh failed: ${response.status}`)
+        }
+
+        Object.assign(repositories, data.repositories)
+        notFound.push(...data.not_found)
+      }
+
+      refreshBookmarks(repositories)
+      setUnavailableIds(new Set(notFound))
+    } catch (err) {
+      console.error('Error refreshing watchlist:', err)
+      setRefreshError(err instanceof Error ? err.message : 'Failed to refresh repositories')
+    } finally {
+      setRefreshing(false)
+    }
+  }, [])
+
+  // Refresh metadata once the bookmarks are read from storage
+  useEffect(() => {
+    if (loaded) {
+      refreshMetadata()
+    }
+  }, [loaded, refreshMetadata])
+
+  /**
+   * Downloads the watchlist as a JSON file
+   */
+  const handleExport = () => {
+    const blob = new Blob([exportBookmarks()], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `ai-news-watchlist-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Merges an uploaded watchlist export
+   * @param {React.ChangeEvent<HTMLInputElement>} event - File input change
+   */
+  const handleImport = async (event) => {
+    const file = event.target.files && event.target.files[0]
+    event.target.value = '' // Allow importing the same file again
+    if (!file) {
+      return
+    }
+
+    try {
+      const { added, updated, skipped } = importBookmarks(await file.text())
+      setImportMessage({
+        text: `📥 Imported ${added} new and ${updated} updated bookmarks${skipped > 0 ? ` · ${skipped} invalid entries skipped` : ''}`,
+        isError: false
+      })
+      refreshMetadata()
+    } catch (err) {
+      console.error('Error importing watchlist:', err)
+      setImportMessage({ text: `❌ ${err instanceof Error ? err.message : 'Import failed'}`, isError: true })
+    }
+  }
+
+  /**
+   * Removes a repository from the watchlist
+   * @param {import('../../types/index.js').Repository} repository - Repository to remove
+   */
+  const handleToggleBookmark = (repository) => {
+    toggleBookmark(repository)
+  }
+
+  /**
+   * Renders the empty watchlist
+   * @returns {JSX.Element} Empty state component
+   */
+  const renderEmptyState = () => (
+    <div className={styles.emptyState}>
+      <div className={styles.emptyStateIcon}>📌</div>
+      <h2 className={styles.emptyStateTitle}>📭 Your Watchlist Is Empty</h2>
+      <p className={styles.emptyStateMessage}>
+        Save repositories with ☆ Save on the trending page to keep track of them
+        after they leave the 7-day window, or import a watchlist you exported earlier.
+      </p>
+    </div>
+  )
+
+  return (
+    <main className={styles.main}>
+      {/* Header Section */}
+      <header className={styles.header}>
+        <div>
+          <h1 className={styles.title}>📌 Watchlist</h1>
+          <p className={styles.subtitle}>
+            {bookmarks.length} saved {bookmarks.length === 1 ? 'repository' : 'repositories'}
+          </p>
+        </div>
+
+        {/* Header Actions */}
+        <div className={styles.headerActions}>
+          <Link href="/" className={styles.refreshButton}>
+            ← Trending
+          </Link>
+
+          <button
+            className={styles.refreshButton}
+            onClick={refreshMetadata}
+            disabled={refreshing || bookmarks.length === 0}
+            aria-label="Refresh watchlist metadata from GitHub"
+          >
+            <span className={`${styles.refreshIcon} ${refreshing ? styles.spinning : ''}`}>
+              🔄
+            </span>
+            {refreshing ? 'Refreshing...' : 'Refresh'}
+          </button>
+
+          <button
+            className={styles.refreshButton}
+            onClick={handleExport}
+            disabled={bookmarks.length === 0}
+            aria-label="Export watchlist as JSON"
+          >
+            📤 Export
+          </button>
+
+          <button
+            className={styles.refreshButton}
+            onClick={() => fileInputRef.current?.click()}
+            aria-label="Import watchlist from JSON"
+          >
+            📥 Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className={watchlistStyles.fileInput}
+            onChange={handleImport}
+          />
+        </div>
+      </header>
+
+      {(refreshError || importMessage) && (
+        <div className={watchlistStyles.status} role="status">
+          {refreshError && (
+            <p className={watchlistStyles.statusError}>❌ Could not refresh from GitHub: {refreshError}</p>
+          )}
+          {importMessage && (
+            <p className={importMessage.isError ? watchlistStyles.statusError : undefined}>{importMessage.text}</p>
+          )}
+        </div>
+      )}
+
+      {/* Main Content */}
+      {loaded && bookmarks.length === 0 && renderEmptyState()}
+
+      {bookmarks.length > 0 && (
+        <div className={styles.repositoryGrid}>
+          {bookmarks.map((bookmark) => (
+            <div key={bookmark.repository.id} className={watchlistStyles.bookmarkItem}>
+              <NewsCard
+                repository={bookmark.repository}
+                summary={bookmark.summary
+                  ? { ...bookmark.summary, status: 'done', sources: [] }
+                  : undefined}
+                isBookmarked
+                onToggleBookmark={handleToggleBookmark}
+                detailsHref={`/repo/${bookmark.repository.full_name}`}
+              />
+              <p className={watchlistStyles.bookmarkMeta}>
+                <time dateTime={bookmark.addedAt}>
+                  📌 Saved {new Date(bookmark.addedAt).toLocaleDateString()}
+                </time>
+                {unavailableIds.has(bookmark.repository.id) && (
+                  <span className={watchlistStyles.unavailable}>⚠️ No longer available on GitHub</span>
+                )}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </main>
+  )
+}
@@ -1,12 +1,25 @@
 /*
  * AI Configuration Modal
- * Allows users to set their API key and provider for AI summarization
+ * Allows users to set their API key and provider for AI summarization,
+ * or point to a local OpenAI-compatible server (base URL and model), pick an
+ * optional fallback provider, and choose the default summary style and output language
+ * Providers whose key the operator set on the server need no key in the browser
+ * Reads and writes the shared settings store (see lib/settings)
  */
 
 'use client'
 
 import React, { useState, useEffect } from 'react'
 import styles from '../styles/AIConfigModal.module.css'
+import { getProvider, listProviders } from '../lib/providers'
+import {
+  SUMMARY_STYLES,
+  OUTPUT_LANGUAGES,
+  DEFAULT_SUMMARY_STYLE,
+  DEFAULT_OUTPUT_LANGUAGE
+} from '../lib/prompts'
+import { useSettings } from '../hooks/useSettings'
+import { listFallbackProviders } from '../lib/settings'
 
 /**
  * AI Configuration Modal Component
@@ -14,38 +27,84 @@ import styles from '../styles/AIConfigModal.module.css'
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {function} props.onClose - Callback to close the modal
+ * @param {string[]} [props.serverManagedProviders] - Providers whose API key is set on the server
  */
-export default function AIConfigModal({ isOpen, onClose }) {
+export default function AIConfigModal({ isOpen, onClose, serverManagedProviders = [] }) {
+  const { settings, updateSettings } = useSettings()
   const [provider, setProvider] = useState('openai')
   const [apiKey, setApiKey] = useState('')
+  const [baseUrl, setBaseUrl] = useState('')
+  const [model, setModel] = useState('')
+  const [summaryStyle, setSummaryStyle] = useState(DEFAULT_SUMMARY_STYLE)
+  const [outputLanguage, setOutputLanguage] = useState(DEFAULT_OUTPUT_LANGUAGE)
+  const [fallbackProvider, setFallbackProvider] = useState('')
+  const [fallbackApiKey, setFallbackApiKey] = useState('')
   const [showKey, setShowKey] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
 
-  // Load saved settings on mount
+  const selectedProvider = getProvider(provider) || getProvider('openai')
+  // Fallbacks are hosted providers other than the selected one (they only need an API key)
+  const fallbackOptions = listFallbackProviders(provider)
+  const selectedFallback = fallbackOptions.find((option) => option.id === fallbackProvider) || null
+  const isKeyServerManaged = serverManagedProviders.includes(selectedProvider.id)
+  const isFallbackKeyServerManaged = Boolean(selectedFallback) && serverManagedProviders.includes(selectedFallback.id)
+
+  /**
+   * Option label, marking providers that work without a browser-supplied key
+   * @param {import('../lib/providers/index.js').LLMProviderDefinition} option - Provider
+   * @returns {string}
+   */
+  const toOptionLabel = (option) => serverManagedProviders.includes(option.id) ? `${option.label} · server key` : option.label
+
+  // Fill the form from the saved settings when opened (or when another tab saves)
   useEffect(() => {
     if (isOpen) {
-      const savedProvider = localStorage.getItem('ai_provider') || 'openai'
-      const savedApiKey = localStorage.getItem('ai_api_key') || ''
-      setProvider(savedProvider)
-      setApiKey(savedApiKey)
+      setProvider(settings.provider)
+      setApiKey(settings.apiKey)
+      setBaseUrl(settings.baseUrl)
+      setModel(settings.model)
+      setSummaryStyle(settings.summaryStyle)
+      setOutputLanguage(settings.outputLanguage)
+      setFallbackProvider(settings.fallbackProvider)
+      setFallbackApiKey(settings.fallbackApiKey)
     }
-  }, [isOpen])
+  }, [isOpen, settings])
 
   /**
    * Handles saving the configuration
    */
   const handleSave = async () => {
-    if (!apiKey.trim()) {
-      alert('Please enter an API key')
+    const validationError = selectedProvider.validate({
+      apiKey: apiKey.trim(),
+      baseUrl: baseUrl.trim(),
+      model: model.trim(),
+      serverManaged: isKeyServerManaged
+    })
+    if (validationError) {
+      alert(validationError)
+      return
+    }
+
+    const fallbackError = selectedFallback && selectedFallback.validate({ apiKey: fallbackApiKey.trim(), serverManaged: isFallbackKeyServerManaged })
+    if (fallbackError) {
+      alert(`Fallback provider: ${fallbackError}`)
       return
     }
 
     setIsSaving(true)
     
     try {
-      // Save to localStorage immediately
-      localStorage.setItem('ai_provider', provider)
-      localStorage.setItem('ai_api_key', apiKey.trim())
+      // Save immediately; keys of server-managed providers stay on the server
+      updateSettings({
+        provider,
+        apiKey: isKeyServerManaged ? '' : apiKey.trim(),
+        baseUrl: baseUrl.trim(),
+        model: model.trim(),
+        summaryStyle,
+        outputLanguage,
+        fallbackProvider: selectedFallback ? selectedFallback.id : '',
+        fallbackApiKey: selectedFallback && !isFallbackKeyServerManaged ? fallbackApiKey.trim() : ''
+      })
       
       // Small delay for UX
       await new Promise(resolve => setTimeout(resolve, 500))
@@ -109,45 +168,159 @@ export default function AIConfigModal({ isOpen, onClose }) {
               className={styles.select}
               disabled={isSaving}
             >
-              <option value="openai">OpenAI (GPT)</option>
-              <option value="anthropic">Anthropic (Claude)</option>
-              <option value="groq">Groq</option>
+              {listProviders().map((option) => (
+                <option key={option.id} value={option.id}>{toOptionLabel(option)}</option>
+              ))}
             </select>
           </div>
 
-          {/* API Key Input */}
+          {/* Base URL and model for self-hosted OpenAI-compatible servers */}
+          {selectedProvider.requiresBaseUrl && (
+            <>
+              <div className={styles.field}>
+                <label htmlFor="base-url-input" className={styles.label}>
+                  🌐 Base URL
+                </label>
+                <input
+                  id="base-url-input"
+                  type="url"
+                  value={baseUrl}
+                  onChange={(e) => setBaseUrl(e.target.value)}
+                  placeholder="http://localhost:11434/v1"
+                  className={styles.keyInput}
+                  disabled={isSaving}
+                />
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="model-input" className={styles.label}>
+                  🧠 Model
+                </label>
+                <input
+                  id="model-input"
+                  type="text"
+                  value={model}
+                  onChange={(e) => setModel(e.target.value)}
+                  placeholder="llama3"
+                  className={styles.keyInput}
+                  disabled={isSaving}
+                />
+              </div>
+            </>
+          )}
+
+          {/* API Key Input (hidden when the server holds the key) */}
+          {isKeyServerManaged ? (
+            <div className={styles.info}>
+              <p className={styles.infoText}>
+                🔒 The {selectedProvider.label} API key is managed by the server; no key is needed here.
+              </p>
+            </div>
+          ) : (
+            <div className={styles.field}>
+              <label htmlFor="api-key-input" className={styles.label}>
+                🔑 API Key{!selectedProvider.requiresApiKey && ' (optional)'}
+              </label>
+              <div className={styles.keyInputContainer}>
+                <input
+                  id="api-key-input"
+                  type={showKey ? 'text' : 'password'}
+                  value={apiKey}
+                  onChange={(e) => setApiKey(e.target.value)}
+                  placeholder={selectedProvider.requiresApiKey
+                    ? `Enter your ${selectedProvider.label} API key`
+                    : 'Leave empty if your server does not need one'}
+                  className={styles.keyInput}
+                  disabled={isSaving}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowKey(!showKey)}
+                  className={styles.toggleButton}
+                  aria-label={showKey ? 'Hide API key' : 'Show API key'}
+                  disabled={isSaving}
+                >
+                  {showKey ? '🙈' : '👁️'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Fallback provider, tried when the selected one is rate limited or down */}
           <div className={styles.field}>
-            <label htmlFor="api-key-input" className={styles.label}>
-              🔑 API Key
+            <label htmlFor="fallback-select" className={styles.label}>
+              ↪️ Fallback Provider
             </label>
-            <div className={styles.keyInputContainer}>
+            <select
+              id="fallback-select"
+              value={selectedFallback ? selectedFallback.id : ''}
+              onChange={(e) => setFallbackProvider(e.target.value)}
+              className={styles.select}
+              disabled={isSaving}
+            >
+              <option value="">None</option>
+              {fallbackOptions.map((option) => (
+                <option key={option.id} value={option.id}>{toOptionLabel(option)}</option>
+              ))}
+            </select>
+          </div>
+
+          {selectedFallback && !isFallbackKeyServerManaged && (
+            <div className={styles.field}>
+              <label htmlFor="fallback-key-input" className={styles.label}>
+                🔑 Fallback API Key
+              </label>
               <input
-                id="api-key-input"
+                id="fallback-key-input"
                 type={showKey ? 'text' : 'password'}
-                value={apiKey}
-                onChange={(e) => setApiKey(e.target.value)}
-                placeholder={`Enter your ${provider.charAt(0).toUpperCase() + provider.slice(1)} API key`}
+                value={fallbackApiKey}
+                onChange={(e) => setFallbackApiKey(e.target.value)}
+                placeholder={`Enter your ${selectedFallback.label} API key`}
                 className={styles.keyInput}
                 disabled={isSaving}
               />
-              <button
-                type="button"
-                onClick={() => setShowKey(!showKey)}
-                className={styles.toggleButton}
-                aria-label={showKey ? 'Hide API key' : 'Show API key'}
-                disabled={isSaving}
-              >
-                {showKey ? '🙈' : '👁️'}
-              </button>
             </div>
+          )}
+
+          {/* Summary defaults */}
+          <div className={styles.field}>
+            <label htmlFor="style-select" className={styles.label}>
+              🎨 Summary Style
+            </label>
+            <select
+              id="style-select"
+              value={summaryStyle}
+              onChange={(e) => setSummaryStyle(e.target.value)}
+              className={styles.select}
+              disabled={isSaving}
+            >
+              {SUMMARY_STYLES.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={styles.field}>
+            <label htmlFor="language-select" className={styles.label}>
+              🌍 Summary Language
+            </label>
+            <select
+              id="language-select"
+              value={outputLanguage}
+              onChange={(e) => setOutputLanguage(e.target.value)}
+              className={styles.select}
+              disabled={isSaving}
+            >
+              {OUTPUT_LANGUAGES.map((option) => (
+                <option key={option.code} value={option.code}>{option.label}</option>
+              ))}
+            </select>
           </div>
 
           {/* Provider Info */}
           <div className={styles.info}>
             <p className={styles.infoText}>
-              {provider === 'openai' && '💡 Get your API key from platform.openai.com'}
-              {provider === 'anthropic' && '💡 Get your API key from console.anthropic.com'}
-              {provider === 'groq' && '💡 Get your API key from console.groq.com'}
+              {selectedProvider.hint}
             </p>
           </div>
         </div>
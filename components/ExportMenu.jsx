@@ -0,0 +1,56 @@
+/*
+ * ExportMenu Component
+ * Header menu that downloads the current (filtered) repository list as
+ * Markdown, CSV or JSON from /api/export
+ */
+
+'use client'
+
+import React, { useRef } from 'react'
+import styles from '../styles/ExportMenu.module.css'
+import { EXPORT_FORMATS, getExportUrl } from '../lib/export'
+
+/**
+ * ExportMenu Component
+ *
+ * @param {Object} props - Component props
+ * @param {import('../lib/repositoryFilters.js').RepositoryFilters} props.filters - Current search and filters
+ * @param {number} props.pages - Trends result pages loaded on the page
+ * @param {Set<number>|null} [props.onlyIds] - Export only these repositories ("show only new")
+ * @param {string} [props.buttonClassName] - Class of the menu button, to match neighbouring buttons
+ */
+export default function ExportMenu({ filters, pages, onlyIds = null, buttonClassName = '' }) {
+  /** @type {import('react').MutableRefObject<HTMLDetailsElement|null>} */
+  const menuRef = useRef(null)
+
+  /**
+   * Closes the menu once a download starts
+   */
+  const closeMenu = () => {
+    if (menuRef.current) {
+      menuRef.current.open = false
+    }
+  }
+
+  return (
+    <details ref={menuRef} className={styles.menu}>
+      <summary className={`${buttonClassName} ${styles.menuButton}`} aria-label="Export repository list">
+        📤 Export
+      </summary>
+      <div className={styles.menuItems} role="menu">
+        {EXPORT_FORMATS.map((format) => (
+          <a
+            key={format.id}
+            href={getExportUrl(/** @type {*} */ (format.id), filters, pages, onlyIds)}
+            download
+            role="menuitem"
+            className={styles.menuItem}
+            onClick={closeMenu}
+          >
+            {format.label}
+          </a>
+        ))}
+      </div>
+    </details>
+  )
+}
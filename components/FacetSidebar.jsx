@@ -0,0 +1,98 @@
+/*
+ * FacetSidebar Component
+ * Topic tag cloud and language list next to the repository grid; clicking a
+ * facet toggles the matching filter
+ */
+
+'use client'
+
+import React, { useState } from 'react'
+import styles from '../styles/FacetSidebar.module.css'
+import { toggleFilterValue } from '../lib/repositoryFilters'
+
+// Topics shown before "Show all"
+const TOPIC_LIMIT = 24
+
+// Tag cloud size steps, smallest first
+const SIZE_CLASSES = ['size1', 'size2', 'size3', 'size4']
+
+/**
+ * Picks the tag cloud size of a topic relative to the most common one
+ * @param {number} count - Repositories with the topic
+ * @param {number} maxCount - Repositories with the most common topic
+ * @returns {string} CSS module class name
+ */
+function getSizeClass(count, maxCount) {
+  const step = maxCount > 1 ? Math.round(((count - 1) / (maxCount - 1)) * (SIZE_CLASSES.length - 1)) : 0
+  return styles[SIZE_CLASSES[Math.max(0, step)]]
+}
+
+/**
+ * FacetSidebar Component
+ *
+ * @param {Object} props - Component props
+ * @param {import('../lib/facets.js').RepositoryFacets} props.facets - Topic and language counts
+ * @param {import('../lib/repositoryFilters.js').RepositoryFilters} props.filters - Current filters
+ * @param {function(Partial<import('../lib/repositoryFilters.js').RepositoryFilters>): void} props.onChange - Receives changed filters
+ */
+export default function FacetSidebar({ facets, filters, onChange }) {
+  const [showAllTopics, setShowAllTopics] = useState(false)
+
+  const maxTopicCount = facets.topics.reduce((max, facet) => Math.max(max, facet.count), 0)
+  // Selected topics stay visible when the list is cut short
+  const shownTopics = showAllTopics
+    ? facets.topics
+    : facets.topics.filter((facet, index) => index < TOPIC_LIMIT || filters.topics.includes(facet.value))
+
+  return (
+    <aside className={styles.sidebar} aria-label="Browse by topic and language">
+      <section className={styles.section}>
+        <h2 className={styles.heading}>🏷️ Topics</h2>
+        {facets.topics.length === 0 && <p className={styles.empty}>No topics found</p>}
+        <div className={styles.tagCloud}>
+          {shownTopics.map((facet) => {
+            const isSelected = filters.topics.includes(facet.value)
+            return (
+              <button
+                key={facet.value}
+                className={`${styles.tag} ${getSizeClass(facet.count, maxTopicCount)} ${isSelected ? styles.selected : ''}`}
+                onClick={() => onChange({ topics: toggleFilterValue(filters.topics, facet.value) })}
+                aria-pressed={isSelected}
+                aria-label={`Topic ${facet.value}, ${facet.count} ${facet.count === 1 ? 'repository' : 'repositories'}`}
+              >
+                {facet.value}
+              </button>
+            )
+          })}
+        </div>
+        {facets.topics.length > TOPIC_LIMIT && (
+          <button className={styles.showAll} onClick={() => setShowAllTopics((current) => !current)}>
+            {showAllTopics ? 'Show fewer' : `Show all ${facets.topics.length}`}
+          </button>
+        )}
+      </section>
+
+      <section className={styles.section}>
+        <h2 className={styles.heading}>💻 Languages</h2>
+        {facets.languages.length === 0 && <p className={styles.empty}>No languages found</p>}
+        <ul className={styles.languageList}>
+          {facets.languages.map((facet) => {
+            const isSelected = filters.languages.includes(facet.value)
+            return (
+              <li key={facet.value}>
+                <button
+                  className={`${styles.language} ${isSelected ? styles.selected : ''}`}
+                  onClick={() => onChange({ languages: toggleFilterValue(filters.languages, facet.value) })}
+                  aria-pressed={isSelected}
+                >
+                  <span>{facet.value}</span>
+                  <span className={styles.count}>{facet.count}</span>
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      </section>
+    </aside>
+  )
+}
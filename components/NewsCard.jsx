@@ -7,6 +7,7 @@
 'use client'
 
 import React from 'react'
+import Link from 'next/link'
 import styles from '../styles/NewsCard.module.css'
 
 /**
@@ -14,22 +15,48 @@ import styles from '../styles/NewsCard.module.css'
  * 
  * Renders a single repository card with:
  * - Repository name and star count
+ * - "+N today" badge when star velocity is known
+ * - "New" badge and rank movement since the last visit
  * - Description with text truncation
- * - Topics/tags display
+ * - Topics/tags display (clickable filters when onSelectTopic is given)
  * - Language and last updated metadata
  * - Summarize button with loading states
+ * - Watchlist bookmark toggle
+ * - Link to the in-app repository page
+ * - Inline AI summary, rendered while it streams in
  * - Proper accessibility features
  * 
  * @param {Object} props - Component props
  * @param {import('../types/index.js').Repository} props.repository - Repository data to display
- * @param {function(import('../types/index.js').Repository): void} props.onSummarize - Callback function when summarize button is clicked
+ * @param {function(import('../types/index.js').Repository): void} [props.onSummarize] - Callback function when summarize button is clicked (button hidden without it)
  * @param {boolean} [props.isLoading=false] - Optional loading state for the summarize button
+ * @param {import('../types/index.js').RepositorySummary} [props.summary] - Summary to show inline
+ * @param {function(import('../types/index.js').Repository): void} [props.onCancelSummarize] - Callback to stop summarizing
+ * @param {function(import('../types/index.js').Repository): void} [props.onRegenerate] - Callback to regenerate the summary
+ * @param {boolean} [props.isBookmarked=false] - Whether the repository is on the watchlist
+ * @param {function(import('../types/index.js').Repository): void} [props.onToggleBookmark] - Callback to add or remove the bookmark
+ * @param {function(string): void} [props.onSelectTopic] - Callback when a topic chip is clicked (chips are static without it)
+ * @param {string[]} [props.selectedTopics=[]] - Topics currently used as filters (lowercase)
+ * @param {boolean} [props.isNew=false] - Whether the repository is new since the last visit
+ * @param {number} [props.rankChange] - Places moved up (positive) or down (negative) since the last visit
+ * @param {string} [props.detailsHref] - In-app repository page (link hidden without it)
  */
 export default function NewsCard({ 
   repository, 
   onSummarize, 
-  isLoading = false 
+  isLoading = false,
+  summary,
+  onCancelSummarize,
+  onRegenerate,
+  isBookmarked = false,
+  onToggleBookmark,
+  onSelectTopic,
+  selectedTopics = [],
+  isNew = false,
+  rankChange,
+  detailsHref
 }) {
+  const starsToday = repository.star_velocity ? repository.star_velocity.stars_today : 0
   
   /**
    * Formats the star count for display
@@ -108,9 +135,38 @@ export default function NewsCard({
           </a>
         </h3>
         
-        <div className={styles.starCount} aria-label={`${repository.stargazers_count} stars`}>
-          <span className={styles.starIcon} aria-hidden="true">⭐</span>
-          {formatStarCount(repository.stargazers_count)}
+        <div className={styles.starStats}>
+          <div className={styles.starCount} aria-label={`${repository.stargazers_count} stars`}>
+            <span className={styles.starIcon} aria-hidden="true">⭐</span>
+            {formatStarCount(repository.stargazers_count)}
+          </div>
+
+          {/* Stars gained over the last 24 hours */}
+          {starsToday > 0 && (
+            <div
+              className={styles.starVelocity}
+              aria-label={`${starsToday} stars gained today`}
+              title={`${repository.star_velocity.stars_per_day} stars per day on average`}
+            >
+              📈 +{formatStarCount(starsToday)} today
+            </div>
+          )}
+
+          {/* Compared with the previous visit */}
+          {isNew && (
+            <div className={styles.newBadge} aria-label="New since your last visit">
+              🆕 New
+            </div>
+          )}
+          {rankChange ? (
+            <div
+              className={`${styles.rankChange} ${rankChange > 0 ? styles.rankUp : styles.rankDown}`}
+              aria-label={`${rankChange > 0 ? 'Up' : 'Down'} ${Math.abs(rankChange)} ${Math.abs(rankChange) === 1 ? 'place' : 'places'} since your last visit`}
+              title="Rank change since your last visit"
+            >
+              {rankChange > 0 ? '↑' : '↓'}{Math.abs(rankChange)}
+            </div>
+          ) : null}
         </div>
       </header>
 
@@ -119,6 +175,31 @@ export default function NewsCard({
         💡 {repository.description || 'No description available'}
       </p>
 
+      {/* Inline AI summary (text appears as it streams in) */}
+      {summary && (summary.text || summary.status === 'streaming') && (
+        <section className={styles.summary} aria-label={`AI summary of ${repository.name}`} aria-live="polite">
+          <p className={styles.summaryText} dir="auto" lang={summary.output_language}>
+            ✨ {summary.text}
+            {summary.status === 'streaming' && (
+              <span className={styles.streamingCursor} aria-hidden="true">▍</span>
+            )}
+          </p>
+          {summary.status !== 'streaming' && onRegenerate && (
+            <div className={styles.summaryActions}>
+              {summary.cached && <span className={styles.summaryMeta}>⚡ Cached</span>}
+              <button
+                className={styles.regenerateButton}
+                onClick={() => onRegenerate(repository)}
+                disabled={isLoading}
+                aria-label={`Regenerate AI summary for ${repository.name}`}
+              >
+                🔄 Regenerate
+              </button>
+            </div>
+          )}
+        </section>
+      )}
+
       {/* Topics/Tags Display - Always show AI and ML tags */}
       <div className={styles.topics} role="list" aria-label="Repository topics">
         {/* Always show AI and ML tags first */}
@@ -135,7 +216,18 @@ export default function NewsCard({
             {repository.topics
               .filter(topic => !['ai', 'machine-learning'].includes(topic.toLowerCase()))
               .slice(0, 3)
-              .map((topic) => (
+              .map((topic) => onSelectTopic ? (
+                <span key={topic} className={styles.topicItem} role="listitem">
+                  <button
+                    className={`${styles.topic} ${styles.topicButton} ${selectedTopics.includes(topic.toLowerCase()) ? styles.topicSelected : ''}`}
+                    onClick={() => onSelectTopic(topic.toLowerCase())}
+                    aria-pressed={selectedTopics.includes(topic.toLowerCase())}
+                    aria-label={`Filter by topic: ${topic}`}
+                  >
+                    🏷️ {topic}
+                  </button>
+                </span>
+              ) : (
                 <span 
                   key={topic} 
                   className={styles.topic}
@@ -176,27 +268,63 @@ export default function NewsCard({
           </time>
         </div>
 
+        {/* Repository Page */}
+        {detailsHref && (
+          <Link
+            href={detailsHref}
+            className={styles.detailsLink}
+            aria-label={`Show details of ${repository.name}`}
+          >
+            🔎 Details
+          </Link>
+        )}
+
+        {/* Watchlist Toggle */}
+        {onToggleBookmark && (
+          <button
+            className={`${styles.bookmarkButton} ${isBookmarked ? styles.bookmarked : ''}`}
+            onClick={() => onToggleBookmark(repository)}
+            aria-pressed={isBookmarked}
+            aria-label={isBookmarked ? `Remove ${repository.name} from watchlist` : `Add ${repository.name} to watchlist`}
+          >
+            {isBookmarked ? '★ Saved' : '☆ Save'}
+          </button>
+        )}
+
         {/* Summarize Button */}
-        <button
-          className={styles.summarizeButton}
-          onClick={handleSummarizeClick}
-          disabled={isLoading}
-          aria-label={
-            isLoading 
-              ? `Generating summary for ${repository.name}...` 
-              : `Generate AI summary for ${repository.name}`
-          }
-          aria-describedby={`repo-${repository.id}-name`}
-        >
-          {isLoading && (
-            <span 
-              className={styles.loadingSpinner} 
-              aria-hidden="true"
-              role="status"
-            />
-          )}
-          {isLoading ? '⏳ Summarizing...' : '✨ Summarize'}
-        </button>
+        {onSummarize && (
+          <button
+            className={styles.summarizeButton}
+            onClick={handleSummarizeClick}
+            disabled={isLoading}
+            aria-label={
+              isLoading 
+                ? `Generating summary for ${repository.name}...` 
+                : `Generate AI summary for ${repository.name}`
+            }
+            aria-describedby={`repo-${repository.id}-name`}
+          >
+            {isLoading && (
+              <span 
+                className={styles.loadingSpinner} 
+                aria-hidden="true"
+                role="status"
+              />
+            )}
+            {isLoading ? '⏳ Summarizing...' : '✨ Summarize'}
+          </button>
+        )}
+
+        {/* Stop button while a summary is being generated */}
+        {isLoading && onCancelSummarize && (
+          <button
+            className={styles.cancelButton}
+            onClick={() => onCancelSummarize(repository)}
+            aria-label={`Stop summarizing ${repository.name}`}
+          >
+            ⏹ Stop
+          </button>
+        )}
       </footer>
     </article>
   )
@@ -0,0 +1,175 @@
+/*
+ * RepositoryToolbar Component
+ * Search box, language/topic multi-select filters, sort order, trends period
+ * and minimum stars, and the "new since your last visit" toggle for the
+ * repository grid
+ */
+
+'use client'
+
+import React from 'react'
+import styles from '../styles/RepositoryToolbar.module.css'
+import {
+  REPOSITORY_SORT_OPTIONS,
+  PERIOD_OPTIONS,
+  MIN_STARS_OPTIONS,
+  hasActiveFilters,
+  toggleFilterValue
+} from '../lib/repositoryFilters'
+
+/**
+ * Multi-select dropdown of filter values with counts
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - Dropdown label (with emoji)
+ * @param {string} props.name - Filter name used in accessible labels
+ * @param {{ value: string, count: number }[]} props.options - Values to choose from
+ * @param {string[]} props.selected - Selected values
+ * @param {function(string[]): void} props.onChange - Receives the new selection
+ */
+function FilterDropdown({ label, name, options, selected, onChange }) {
+  return (
+    <details className={styles.dropdown}>
+      <summary className={`${styles.control} ${selected.length > 0 ? styles.active : ''}`}>
+        {label}{selected.length > 0 && ` (${selected.length})`}
+      </summary>
+      <div className={styles.dropdownMenu} role="group" aria-label={`Filter by ${name}`}>
+        {options.length === 0 && <p className={styles.emptyOptions}>No {name}s found</p>}
+        {options.map((option) => (
+          <label key={option.value} className={styles.option}>
+            <input
+              type="checkbox"
+              checked={selected.includes(option.value)}
+              onChange={() => onChange(toggleFilterValue(selected, option.value))}
+            />
+            <span className={styles.optionValue}>{option.value}</span>
+            <span className={styles.optionCount}>{option.count}</span>
+          </label>
+        ))}
+      </div>
+    </details>
+  )
+}
+
+/**
+ * RepositoryToolbar Component
+ *
+ * @param {Object} props - Component props
+ * @param {import('../lib/repositoryFilters.js').RepositoryFilters} props.filters - Current filters
+ * @param {import('../lib/facets.js').RepositoryFacets} props.options - Available filter values with counts
+ * @param {number} props.visibleCount - Repositories matching the filters
+ * @param {number} props.totalCount - Repositories loaded
+ * @param {function(Partial<import('../lib/repositoryFilters.js').RepositoryFilters>): void} props.onChange - Receives changed filters
+ * @param {function(): void} props.onReset - Clears search and filters
+ * @param {string|null} [props.previousVisitAt] - End of the previous visit (toggle hidden without one)
+ * @param {number} [props.newCount=0] - Repositories new since the previous visit
+ * @param {boolean} [props.showOnlyNew=false] - Whether only new repositories are shown
+ * @param {function(boolean): void} [props.onShowOnlyNewChange] - Receives the new toggle state
+ */
+export default function RepositoryToolbar({
+  filters,
+  options,
+  visibleCount,
+  totalCount,
+  onChange,
+  onReset,
+  previousVisitAt = null,
+  newCount = 0,
+  showOnlyNew = false,
+  onShowOnlyNewChange
+}) {
+  const isFiltered = hasActiveFilters(filters)
+
+  return (
+    <div className={styles.toolbar} role="search" aria-label="Filter repositories">
+      <input
+        type="search"
+        value={filters.q}
+        onChange={(e) => onChange({ q: e.target.value })}
+        placeholder="🔍 Search name, description or topic"
+        className={`${styles.control} ${styles.searchInput}`}
+        aria-label="Search repositories"
+      />
+
+      <FilterDropdown
+        label="💻 Language"
+        name="language"
+        options={options.languages}
+        selected={filters.languages}
+        onChange={(languages) => onChange({ languages })}
+      />
+
+      <FilterDropdown
+        label="🏷️ Topic"
+        name="topic"
+        options={options.topics}
+        selected={filters.topics}
+        onChange={(topics) => onChange({ topics })}
+      />
+
+      <select
+        value={filters.sort}
+        onChange={(e) => onChange({ sort: /** @type {*} */ (e.target.value) })}
+        className={styles.control}
+        aria-label="Sort repositories"
+      >
+        {REPOSITORY_SORT_OPTIONS.map((option) => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+
+      {/* Period and minimum stars are applied by the server, so changing them reloads the list */}
+      <select
+        value={filters.days}
+        onChange={(e) => onChange({ days: Number(e.target.value) })}
+        className={styles.control}
+        aria-label="Created within"
+      >
+        {PERIOD_OPTIONS.map((option) => (
+          <option key={option.days} value={option.days}>{option.label}</option>
+        ))}
+        {/* A period from a shared link that is not in the list */}
+        {!PERIOD_OPTIONS.some((option) => option.days === filters.days) && (
+          <option value={filters.days}>📅 Last {filters.days} days</option>
+        )}
+      </select>
+
+      <select
+        value={filters.minStars}
+        onChange={(e) => onChange({ minStars: Number(e.target.value) })}
+        className={styles.control}
+        aria-label="Minimum stars"
+      >
+        {MIN_STARS_OPTIONS.map((option) => (
+          <option key={option.minStars} value={option.minStars}>{option.label}</option>
+        ))}
+        {!MIN_STARS_OPTIONS.some((option) => option.minStars === filters.minStars) && (
+          <option value={filters.minStars}>⭐ {filters.minStars}+ stars</option>
+        )}
+      </select>
+
+      {previousVisitAt && onShowOnlyNewChange && (
+        <button
+          className={`${styles.control} ${showOnlyNew ? styles.active : ''}`}
+          onClick={() => onShowOnlyNewChange(!showOnlyNew)}
+          aria-pressed={showOnlyNew}
+          title={`New since your last visit (${new Date(previousVisitAt).toLocaleString()})`}
+        >
+          🆕 Only new ({newCount})
+        </button>
+      )}
+
+      {(isFiltered || showOnlyNew) && (
+        <span className={styles.resultCount} aria-live="polite">
+          {visibleCount} of {totalCount}
+        </span>
+      )}
+
+      {isFiltered && (
+        <button className={styles.clearButton} onClick={onReset}>
+          ✕ Clear filters
+        </button>
+      )}
+    </div>
+  )
+}
@@ -1,72 +1,72 @@
 /*
  * SettingsModal Component
  * Modal for configuring API keys and LLM provider settings
+ * Reads and writes the shared settings store (see lib/settings)
  */
 
 'use client'
 
 import React, { useState, useEffect } from 'react'
 import styles from '../styles/SettingsModal.module.css'
+import { getProvider, listProviders } from '../lib/providers'
+import { useSettings } from '../hooks/useSettings'
 
 /**
  * SettingsModal Component
  * 
  * Provides a modal interface for users to:
  * - Enter their API key for LLM services
- * - Select their preferred LLM provider (OpenAI or Groq)
- * - Save settings to localStorage
- * - Load existing settings from localStorage
+ * - Select their preferred LLM provider (any provider in the registry)
+ * - Point to a local OpenAI-compatible server (base URL and model)
+ * - Save settings to the shared settings store
+ * - Load existing settings from the shared settings store
  * 
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {function} props.onClose - Callback to close the modal
  * @param {function} [props.onSave] - Optional callback when settings are saved
+ * @param {string[]} [props.serverManagedProviders] - Providers whose API key is set on the server
  */
-export default function SettingsModal({ isOpen, onClose, onSave }) {
+export default function SettingsModal({ isOpen, onClose, onSave, serverManagedProviders = [] }) {
+  const { settings, updateSettings } = useSettings()
   const [apiKey, setApiKey] = useState('')
   const [provider, setProvider] = useState('openai')
+  const [baseUrl, setBaseUrl] = useState('')
+  const [model, setModel] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const [message, setMessage] = useState('')
   const [messageType, setMessageType] = useState('') // 'success' or 'error'
 
-  // Load existing settings when modal opens
+  const selectedProvider = getProvider(provider) || getProvider('openai')
+  const isKeyServerManaged = serverManagedProviders.includes(selectedProvider.id)
+
+  // Load existing settings when modal opens (or when another tab saves)
   useEffect(() => {
     if (isOpen) {
-      loadSettings()
+      setApiKey(settings.apiKey)
+      setProvider(settings.provider)
+      setBaseUrl(settings.baseUrl)
+      setModel(settings.model)
     }
-  }, [isOpen])
+  }, [isOpen, settings])
 
   /**
-   * Loads settings from localStorage
-   */
-  const loadSettings = () => {
-    try {
-      const savedApiKey = localStorage.getItem('ai-news-api-key')
-      const savedProvider = localStorage.getItem('ai-news-provider')
-      
-      if (savedApiKey) {
-        setApiKey(savedApiKey)
-      }
-      if (savedProvider && ['openai', 'groq'].includes(savedProvider)) {
-        setProvider(savedProvider)
-      }
-    } catch (error) {
-      console.error('Error loading settings:', error)
-      showMessage('Error loading saved settings', 'error')
-    }
-  }
-
-  /**
-   * Saves settings to localStorage
+   * Saves settings to the settings store
    */
   const handleSave = async () => {
-    if (!apiKey.trim()) {
-      showMessage('Please enter an API key', 'error')
+    const validationError = selectedProvider.validate({
+      apiKey: apiKey.trim(),
+      baseUrl: baseUrl.trim(),
+      model: model.trim(),
+      serverManaged: isKeyServerManaged
+    })
+    if (validationError) {
+      showMessage(validationError, 'error')
       return
     }
 
     // Basic API key validation
-    if (provider === 'openai' && !apiKey.startsWith('sk-')) {
+    if (provider === 'openai' && apiKey.trim() && !apiKey.trim().startsWith('sk-')) {
       showMessage('OpenAI API keys should start with "sk-"', 'error')
       return
     }
@@ -74,9 +74,13 @@ export default function SettingsModal({ isOpen, onClose, onSave }) {
     setIsLoading(true)
     
     try {
-      // Save to localStorage
-      localStorage.setItem('ai-news-api-key', apiKey.trim())
-      localStorage.setItem('ai-news-provider', provider)
+      // Save to the settings store; keys of server-managed providers stay on the server
+      updateSettings({
+        provider,
+        apiKey: isKeyServerManaged ? '' : apiKey.trim(),
+        baseUrl: baseUrl.trim(),
+        model: model.trim()
+      })
       
       showMessage('Settings saved successfully! 🎉', 'success')
       
@@ -181,49 +185,87 @@ export default function SettingsModal({ isOpen, onClose, onSave }) {
                 🤖 AI Provider
               </label>
               <div className={styles.providerGroup}>
-                <button
-                  type="button"
-                  className={`${styles.providerOption} ${provider === 'openai' ? styles.selected : ''}`}
-                  onClick={() => setProvider('openai')}
-                  disabled={isLoading}
-                >
-                  OpenAI (GPT-3.5)
-                </button>
-                <button
-                  type="button"
-                  className={`${styles.providerOption} ${provider === 'groq' ? styles.selected : ''}`}
-                  onClick={() => setProvider('groq')}
-                  disabled={isLoading}
-                >
-                  Groq (Mixtral)
-                </button>
+                {listProviders().map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    className={`${styles.providerOption} ${provider === option.id ? styles.selected : ''}`}
+                    onClick={() => setProvider(option.id)}
+                    aria-pressed={provider === option.id}
+                    disabled={isLoading}
+                  >
+                    {option.label}
+                  </button>
+                ))}
               </div>
             </div>
 
-            {/* API Key Input */}
+            {/* Base URL and model for self-hosted OpenAI-compatible servers */}
+            {selectedProvider.requiresBaseUrl && (
+              <>
+                <div className={styles.formGroup}>
+                  <label htmlFor="base-url-input" className={styles.label}>
+                    🌐 Base URL
+                  </label>
+                  <input
+                    id="base-url-input"
+                    type="url"
+                    value={baseUrl}
+                    onChange={(e) => setBaseUrl(e.target.value)}
+                    placeholder="http://localhost:11434/v1"
+                    className={styles.input}
+                    disabled={isLoading}
+                  />
+                </div>
+
+                <div className={styles.formGroup}>
+                  <label htmlFor="model-input" className={styles.label}>
+                    🧠 Model
+                  </label>
+                  <input
+                    id="model-input"
+                    type="text"
+                    value={model}
+                    onChange={(e) => setModel(e.target.value)}
+                    placeholder="llama3"
+                    className={styles.input}
+                    disabled={isLoading}
+                  />
+                </div>
+              </>
+            )}
+
+            {/* API Key Input (hidden when the server holds the key) */}
             <div className={styles.formGroup}>
-              <label htmlFor="api-key-input" className={styles.label}>
-                🔑 API Key
-              </label>
-              <input
-                id="api-key-input"
-                type="password"
-                value={apiKey}
-                onChange={(e) => setApiKey(e.target.value)}
-                placeholder={
-                  provider === 'openai' 
-                    ? 'sk-...' 
-                    : 'Enter your Groq API key'
-                }
-                className={styles.input}
-                disabled={isLoading}
-              />
-              <p className={styles.helpText}>
-                {provider === 'openai' 
-                  ? 'Get your API key from OpenAI Platform (platform.openai.com)'
-                  : 'Get your API key from Groq Console (console.groq.com)'
-                }
-              </p>
+              {isKeyServerManaged ? (
+                <p className={styles.helpText}>
+                  🔒 The {selectedProvider.label} API key is managed by the server; no key is needed here.
+                </p>
+              ) : (
+                <>
+                  <label htmlFor="api-key-input" className={styles.label}>
+                    🔑 API Key{!selectedProvider.requiresApiKey && ' (optional)'}
+                  </label>
+                  <input
+                    id="api-key-input"
+                    type="password"
+                    value={apiKey}
+                    onChange={(e) => setApiKey(e.target.value)}
+                    placeholder={
+                      provider === 'openai' 
+                        ? 'sk-...' 
+                        : selectedProvider.requiresApiKey
+                          ? `Enter your ${selectedProvider.label} API key`
+                          : 'Leave empty if your server does not need one'
+                    }
+                    className={styles.input}
+                    disabled={isLoading}
+                  />
+                  <p className={styles.helpText}>
+                    {selectedProvider.hint}
+                  </p>
+                </>
+              )}
             </div>
 
             {/* Message Display */}
@@ -0,0 +1,268 @@
+/*
+ * Summary Display Component
+ * Modal panel showing an AI-generated repository summary with its provider,
+ * model and timestamp, plus copy, regenerate and "open on GitHub" actions
+ */
+
+'use client'
+
+import React, { useState, useEffect, useRef } from 'react'
+import styles from '../styles/SummaryDisplay.module.css'
+import { getProvider } from '../lib/providers'
+import { getSummaryStyle } from '../lib/prompts'
+
+// Elements that can receive keyboard focus inside the panel
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'
+
+/**
+ * Summary Display Component
+ *
+ * Features:
+ * - Streams the summary text as it arrives
+ * - Error state with a retry action
+ * - Focus moves into the panel on open, stays inside while open, and returns
+ *   to the previously focused element on close
+ * - Closes on Escape or backdrop click
+ *
+ * @param {Object} props - Component props
+ * @param {import('../types/index.js').Repository} props.repository - Summarized repository
+ * @param {import('../types/index.js').RepositorySummary} props.summary - Summary to display
+ * @param {function} props.onClose - Callback to close the panel
+ * @param {function(import('../types/index.js').Repository): void} props.onRegenerate - Callback to generate a fresh summary
+ */
+export default function SummaryDisplay({ repository, summary, onClose, onRegenerate }) {
+  /** @type {['idle'|'copied'|'failed', function]} */
+  const [copyStatus, setCopyStatus] = useState('idle')
+  /** @type {import('react').MutableRefObject<HTMLDivElement|null>} */
+  const modalRef = useRef(null)
+  /** @type {import('react').MutableRefObject<HTMLButtonElement|null>} */
+  const closeButtonRef = useRef(null)
+
+  const isStreaming = summary.status === 'streaming'
+  const titleId = `summary-title-${repository.id}`
+
+  // Move focus into the panel and restore it when the panel closes
+  useEffect(() => {
+    const previouslyFocused = document.activeElement
+    closeButtonRef.current?.focus()
+
+    return () => {
+      if (previouslyFocused instanceof HTMLElement) {
+        previouslyFocused.focus()
+      }
+    }
+  }, [])
+
+  // Reset the copy feedback after a moment
+  useEffect(() => {
+    if (copyStatus === 'idle') {
+      return
+    }
+
+    const timer = setTimeout(() => setCopyStatus('idle'), 2000)
+    return () => clearTimeout(timer)
+  }, [copyStatus])
+
+  /**
+   * Closes on Escape and keeps Tab focus within the panel
+   * @param {import('react').KeyboardEvent} e - Keyboard event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation()
+      onClose()
+      return
+    }
+
+    if (e.key !== 'Tab' || !modalRef.current) {
+      return
+    }
+
+    const focusable = Array.from(modalRef.current.querySelectorAll(FOCUSABLE_SELECTOR))
+    if (focusable.length === 0) {
+      return
+    }
+
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault()
+      last.focus()
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault()
+      first.focus()
+    }
+  }
+
+  /**
+   * Handles backdrop click
+   */
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  /**
+   * Copies the summary text to the clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(summary.text)
+      setCopyStatus('copied')
+    } catch (error) {
+      console.error('Error copying summary:', error)
+      setCopyStatus('failed')
+    }
+  }
+
+  /**
+   * Renders the summary text and its attribution
+   * @returns {JSX.Element}
+   */
+  const renderSummary = () => (
+    <>
+      <div className={styles.summaryLabel}>
+        <span className={styles.aiIcon}>✨</span>
+        AI Summary
+        {getSummaryStyle(summary.style) && (
+          <span className={styles.timestamp}>· {getSummaryStyle(summary.style).label}</span>
+        )}
+        {summary.cached && <span className={styles.timestamp}>⚡ Cached</span>}
+      </div>
+
+      <p
+        className={styles.summaryText}
+        dir="auto"
+        lang={summary.output_language}
+        aria-live="polite"
+        aria-busy={isStreaming}
+      >
+        {summary.text}
+        {summary.status === 'cancelled' && ' … (stopped)'}
+      </p>
+
+      <div className={styles.attribution}>
+        <span className={styles.providerInfo}>
+          <span className={styles.providerIcon} aria-hidden="true"></span>
+          {getProvider(summary.provider)?.label || summary.provider}
+          {summary.model && ` · ${summary.model}`}
+          {summary.fallback && ' · ↪️ fallback'}
+          {summary.attempts > 1 && ` · ${summary.attempts} attempts`}
+        </span>
+        {summary.timestamp && (
+          <time className={styles.timestamp} dateTime={summary.timestamp}>
+            {new Date(summary.timestamp).toLocaleString()}
+          </time>
+        )}
+      </div>
+    </>
+  )
+
+  /**
+   * Renders the loading state shown until the first text arrives
+   * @returns {JSX.Element}
+   */
+  const renderLoading = () => (
+    <div className={styles.loadingContainer} role="status">
+      <div className={styles.loadingSpinner} aria-hidden="true"></div>
+      <p className={styles.loadingText}>Generating summary...</p>
+    </div>
+  )
+
+  /**
+   * Renders the error state
+   * @returns {JSX.Element}
+   */
+  const renderError = () => (
+    <div className={styles.errorContainer} role="alert">
+      <div className={styles.errorIcon}>❌</div>
+      <h3 className={styles.errorTitle}>Failed to generate summary</h3>
+      <p className={styles.errorMessage}>{summary.error || 'Something went wrong. Please try again.'}</p>
+      <button className={styles.retryButton} onClick={() => onRegenerate(repository)}>
+        🔄 Try Again
+      </button>
+    </div>
+  )
+
+  /**
+   * Picks the body for the current summary status
+   * @returns {JSX.Element}
+   */
+  const renderContent = () => {
+    if (summary.status === 'error') {
+      return renderError()
+    }
+    if (isStreaming && !summary.text) {
+      return renderLoading()
+    }
+    return renderSummary()
+  }
+
+  return (
+    <div className={styles.overlay} onClick={handleBackdropClick} onKeyDown={handleKeyDown}>
+      <div
+        ref={modalRef}
+        className={styles.summaryModal}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+      >
+        <header className={styles.header}>
+          <div className={styles.headerContent}>
+            <h2 id={titleId} className={styles.repositoryName}>
+              {repository.full_name || repository.name}
+            </h2>
+            <div className={styles.repositoryMeta}>
+              <span className={styles.starCount}>
+                <span className={styles.starIcon}>⭐</span>
+                {repository.stargazers_count.toLocaleString()}
+              </span>
+              {repository.language && <span>{repository.language}</span>}
+            </div>
+          </div>
+          <button
+            ref={closeButtonRef}
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close summary"
+          >
+            ✕
+          </button>
+        </header>
+
+        <div className={styles.content}>
+          {renderContent()}
+        </div>
+
+        <footer className={styles.footer}>
+          <button
+            className={`${styles.actionButton} ${styles.copyButton}`}
+            onClick={handleCopy}
+            disabled={!summary.text || isStreaming}
+          >
+            {copyStatus === 'copied' && '✅ Copied'}
+            {copyStatus === 'failed' && '⚠️ Copy failed'}
+            {copyStatus === 'idle' && '📋 Copy'}
+          </button>
+          <button
+            className={`${styles.actionButton} ${styles.copyButton}`}
+            onClick={() => onRegenerate(repository)}
+            disabled={isStreaming}
+          >
+            🔄 Regenerate
+          </button>
+          <a
+            className={`${styles.actionButton} ${styles.shareButton}`}
+            href={repository.html_url}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            🔗 Open on GitHub
+          </a>
+        </footer>
+      </div>
+    </div>
+  )
+}
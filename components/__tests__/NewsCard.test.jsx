@@ -225,6 +225,164 @@ describe('NewsCard Component', () => {
     expect(screen.queryByText('deep-learning')).not.toBeInTheDocument()
   })
 
+  test('shows stars gained today when star velocity is known', () => {
+    const risingRepository = {
+      ...mockRepository,
+      star_velocity: { stars_today: 240, stars_per_day: 231.5, stars_per_hour: 9.65, window_hours: 30, basis: 'snapshots' }
+    }
+
+    render(
+      <NewsCard 
+        repository={risingRepository} 
+        onSummarize={mockOnSummarize} 
+      />
+    )
+
+    expect(screen.getByLabelText('240 stars gained today')).toBeInTheDocument()
+    expect(screen.getByText(/\+240 today/)).toBeInTheDocument()
+  })
+
+  test('hides the velocity badge without star gains', () => {
+    const { rerender } = render(
+      <NewsCard 
+        repository={mockRepository} 
+        onSummarize={mockOnSummarize} 
+      />
+    )
+
+    expect(screen.queryByText(/today$/)).not.toBeInTheDocument()
+
+    rerender(
+      <NewsCard 
+        repository={{ ...mockRepository, star_velocity: { stars_today: 0, stars_per_day: 0, stars_per_hour: 0, window_hours: 2, basis: 'created_at' } }} 
+        onSummarize={mockOnSummarize} 
+      />
+    )
+
+    expect(screen.queryByText(/today$/)).not.toBeInTheDocument()
+  })
+
+  test('renders a streaming summary inline', () => {
+    render(
+      <NewsCard 
+        repository={mockRepository} 
+        onSummarize={mockOnSummarize} 
+        isLoading={true}
+        summary={{ text: 'A toolkit for', status: 'streaming', provider: 'openai', timestamp: null, sources: [] }}
+      />
+    )
+
+    const summary = screen.getByLabelText('AI summary of awesome-ai-project')
+    expect(summary).toHaveTextContent('A toolkit for')
+    expect(summary).toHaveAttribute('aria-live', 'polite')
+  })
+
+  test('calls onCancelSummarize when stop is clicked', () => {
+    const mockOnCancel = jest.fn()
+
+    render(
+      <NewsCard 
+        repository={mockRepository} 
+        onSummarize={mockOnSummarize} 
+        onCancelSummarize={mockOnCancel}
+        isLoading={true}
+      />
+    )
+
+    fireEvent.click(screen.getByRole('button', { name: /Stop summarizing/i }))
+
+    expect(mockOnCancel).toHaveBeenCalledWith(mockRepository)
+  })
+
+  test('shows cached indicator and regenerates a finished summary', () => {
+    const mockOnRegenerate = jest.fn()
+    render(
+      <NewsCard
+        repository={mockRepository}
+        onSummarize={mockOnSummarize}
+        onRegenerate={mockOnRegenerate}
+        summary={{ text: 'A cached summary', status: 'done', provider: 'openai', timestamp: null, sources: [], cached: true }}
+      />
+    )
+
+    expect(screen.getByText(/Cached/)).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: /Regenerate AI summary/i }))
+
+    expect(mockOnRegenerate).toHaveBeenCalledWith(mockRepository)
+  })
+
+  test('toggles the watchlist bookmark', () => {
+    const mockOnToggleBookmark = jest.fn()
+    const { rerender } = render(
+      <NewsCard 
+        repository={mockRepository} 
+        onSummarize={mockOnSummarize}
+        onToggleBookmark={mockOnToggleBookmark}
+      />
+    )
+
+    fireEvent.click(screen.getByRole('button', { name: /Add awesome-ai-project to watchlist/i }))
+    expect(mockOnToggleBookmark).toHaveBeenCalledWith(mockRepository)
+
+    rerender(
+      <NewsCard 
+        repository={mockRepository} 
+        onSummarize={mockOnSummarize}
+        isBookmarked
+        onToggleBookmark={mockOnToggleBookmark}
+      />
+    )
+
+    const savedButton = screen.getByRole('button', { name: /Remove awesome-ai-project from watchlist/i })
+    expect(savedButton).toHaveAttribute('aria-pressed', 'true')
+    expect(savedButton).toHaveTextContent('★ Saved')
+  })
+
+  test('filters by a clicked topic chip', () => {
+    const mockOnSelectTopic = jest.fn()
+    render(
+      <NewsCard 
+        repository={mockRepository} 
+        onSummarize={mockOnSummarize}
+        onSelectTopic={mockOnSelectTopic}
+        selectedTopics={['nlp']}
+      />
+    )
+
+    const nlpChip = screen.getByRole('button', { name: 'Filter by topic: nlp' })
+    expect(nlpChip).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getByRole('button', { name: 'Filter by topic: python' })).toHaveAttribute('aria-pressed', 'false')
+
+    fireEvent.click(nlpChip)
+    expect(mockOnSelectTopic).toHaveBeenCalledWith('nlp')
+  })
+
+  test('shows the new badge and rank movement since the last visit', () => {
+    const { rerender } = render(
+      <NewsCard repository={mockRepository} onSummarize={mockOnSummarize} isNew />
+    )
+
+    expect(screen.getByLabelText('New since your last visit')).toHaveTextContent('🆕 New')
+    expect(screen.queryByTitle('Rank change since your last visit')).not.toBeInTheDocument()
+
+    rerender(<NewsCard repository={mockRepository} onSummarize={mockOnSummarize} rankChange={3} />)
+    expect(screen.queryByLabelText('New since your last visit')).not.toBeInTheDocument()
+    expect(screen.getByLabelText('Up 3 places since your last visit')).toHaveTextContent('↑3')
+
+    rerender(<NewsCard repository={mockRepository} onSummarize={mockOnSummarize} rankChange={-1} />)
+    expect(screen.getByLabelText('Down 1 place since your last visit')).toHaveTextContent('↓1')
+  })
+
+  test('links to the repository page only when detailsHref is given', () => {
+    const { rerender } = render(<NewsCard repository={mockRepository} onSummarize={mockOnSummarize} />)
+    expect(screen.queryByText('🔎 Details')).not.toBeInTheDocument()
+
+    rerender(
+      <NewsCard repository={mockRepository} onSummarize={mockOnSummarize} detailsHref={`/repo/${mockRepository.full_name}`} />
+    )
+    expect(screen.getByLabelText(`Show details of ${mockRepository.name}`)).toHaveAttribute('href', `/repo/${mockRepository.full_name}`)
+  })
+
   test('formats updated date correctly', () => {
     // Test with different dates
     const today = new Date()
@@ -0,0 +1,93 @@
+/*
+ * SummaryDisplay Component Tests
+ * Unit tests for the summary panel actions, error state and keyboard handling
+ */
+
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import SummaryDisplay from '../SummaryDisplay'
+
+// Mock repository data for testing
+/** @type {import('../../types/index.js').Repository} */
+const mockRepository = {
+  id: 123456,
+  name: 'awesome-ai-project',
+  full_name: 'openai/awesome-ai-project',
+  description: 'An amazing AI project.',
+  stargazers_count: 15420,
+  html_url: 'https://github.com/openai/awesome-ai-project',
+  topics: ['ai'],
+  updated_at: '2024-01-15T10:30:00Z',
+  language: 'Python',
+  created_at: '2023-06-01T08:00:00Z'
+}
+
+/** @type {import('../../types/index.js').RepositorySummary} */
+const mockSummary = {
+  text: 'A library for building AI agents.',
+  status: 'done',
+  provider: 'openai',
+  model: 'gpt-3.5-turbo',
+  timestamp: '2024-01-16T09:00:00Z',
+  sources: ['description', 'readme']
+}
+
+const mockOnClose = jest.fn()
+const mockOnRegenerate = jest.fn()
+
+describe('SummaryDisplay Component', () => {
+  beforeEach(() => {
+    mockOnClose.mockClear()
+    mockOnRegenerate.mockClear()
+  })
+
+  test('renders summary with provider, model and GitHub link', () => {
+    render(
+      <SummaryDisplay
+        repository={mockRepository}
+        summary={mockSummary}
+        onClose={mockOnClose}
+        onRegenerate={mockOnRegenerate}
+      />
+    )
+
+    expect(screen.getByRole('dialog', { name: 'openai/awesome-ai-project' })).toBeInTheDocument()
+    expect(screen.getByText('A library for building AI agents.')).toBeInTheDocument()
+    expect(screen.getByText(/OpenAI \(GPT\) · gpt-3.5-turbo/)).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: /Open on GitHub/ })).toHaveAttribute('href', mockRepository.html_url)
+  })
+
+  test('focuses the close button and closes on Escape', () => {
+    render(
+      <SummaryDisplay
+        repository={mockRepository}
+        summary={mockSummary}
+        onClose={mockOnClose}
+        onRegenerate={mockOnRegenerate}
+      />
+    )
+
+    const closeButton = screen.getByRole('button', { name: 'Close summary' })
+    expect(closeButton).toHaveFocus()
+
+    fireEvent.keyDown(closeButton, { key: 'Escape' })
+    expect(mockOnClose).toHaveBeenCalledTimes(1)
+  })
+
+  test('shows error message with retry instead of an alert', () => {
+    render(
+      <SummaryDisplay
+        repository={mockRepository}
+        summary={{ ...mockSummary, text: '', status: 'error', error: 'Invalid API key' }}
+        onClose={mockOnClose}
+        onRegenerate={mockOnRegenerate}
+      />
+    )
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Invalid API key')
+    fireEvent.click(screen.getByRole('button', { name: /Try Again/ }))
+
+    expect(mockOnRegenerate).toHaveBeenCalledWith(mockRepository)
+  })
+})
@@ -0,0 +1,40 @@
+/*
+ * useBookmarks Hook
+ * React access to the watchlist store, kept in sync with changes made in
+ * other components and other tabs
+ */
+
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import { loadBookmarks, subscribeToBookmarks } from '../lib/bookmarks'
+
+/**
+ * Current bookmarks and a lookup of bookmarked repository ids
+ *
+ * Bookmarks start empty and are read from localStorage after mount,
+ * so server and client render the same markup.
+ *
+ * @returns {{
+ *   bookmarks: import('../types/index.js').Bookmark[],
+ *   bookmarkedIds: Set<number>,
+ *   loaded: boolean
+ * }}
+ */
+export function useBookmarks() {
+  const [bookmarks, setBookmarks] = useState(/** @type {import('../types/index.js').Bookmark[]} */ ([]))
+  const [loaded, setLoaded] = useState(false)
+
+  useEffect(() => {
+    setBookmarks(loadBookmarks())
+    setLoaded(true)
+    return subscribeToBookmarks(setBookmarks)
+  }, [])
+
+  const bookmarkedIds = useMemo(
+    () => new Set(bookmarks.map((bookmark) => bookmark.repository.id)),
+    [bookmarks]
+  )
+
+  return { bookmarks, bookmarkedIds, loaded }
+}
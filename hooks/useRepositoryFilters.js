@@ -0,0 +1,57 @@
+/*
+ * useRepositoryFilters Hook
+ * Repository grid filters kept in the page URL query string, so a filtered
+ * view can be bookmarked or shared and survives reloads
+ */
+
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import {
+  DEFAULT_REPOSITORY_FILTERS,
+  parseRepositoryFilters,
+  toFilterQueryString
+} from '../lib/repositoryFilters'
+
+/**
+ * Current filters and functions to change them
+ *
+ * Filters start at their defaults and are read from the URL after mount,
+ * so server and client render the same markup; `ready` turns true once they
+ * have been read, so data depending on them is fetched only once. Changes
+ * replace the current history entry instead of adding one per keystroke.
+ *
+ * @returns {{
+ *   filters: import('../lib/repositoryFilters.js').RepositoryFilters,
+ *   ready: boolean,
+ *   updateFilters: function(Partial<import('../lib/repositoryFilters.js').RepositoryFilters>): void,
+ *   resetFilters: function(): void
+ * }}
+ */
+export function useRepositoryFilters() {
+  const [filters, setFilters] = useState(DEFAULT_REPOSITORY_FILTERS)
+  const [ready, setReady] = useState(false)
+
+  useEffect(() => {
+    const readFromLocation = () => setFilters(parseRepositoryFilters(new URLSearchParams(window.location.search)))
+
+    readFromLocation()
+    setReady(true)
+    window.addEventListener('popstate', readFromLocation)
+    return () => window.removeEventListener('popstate', readFromLocation)
+  }, [])
+
+  const updateFilters = useCallback((changes) => {
+    const next = { ...filters, ...changes }
+    const { pathname, hash } = window.location
+    // Keep the router's history state so back/forward navigation still works
+    window.history.replaceState(window.history.state, '', `${pathname}${toFilterQueryString(next)}${hash}`)
+    setFilters(next)
+  }, [filters])
+
+  const resetFilters = useCallback(() => {
+    updateFilters({ ...DEFAULT_REPOSITORY_FILTERS })
+  }, [updateFilters])
+
+  return { filters, ready, updateFilters, resetFilters }
+}
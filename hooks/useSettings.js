@@ -0,0 +1,37 @@
+/*
+ * useSettings Hook
+ * React access to the user settings store, kept in sync with saves made in
+ * other components and other tabs
+ */
+
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, subscribeToSettings } from '../lib/settings'
+
+/**
+ * Current user settings and a function to update them
+ *
+ * Settings start at their defaults and are read from localStorage after mount,
+ * so server and client render the same markup.
+ *
+ * @returns {{
+ *   settings: import('../types/index.js').UserSettings,
+ *   loaded: boolean,
+ *   updateSettings: function(Partial<import('../types/index.js').UserSettings>): import('../types/index.js').UserSettings
+ * }}
+ */
+export function useSettings() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
+  const [loaded, setLoaded] = useState(false)
+
+  useEffect(() => {
+    setSettings(loadSettings())
+    setLoaded(true)
+    return subscribeToSettings(setSettings)
+  }, [])
+
+  const updateSettings = useCallback((changes) => saveSettings(changes), [])
+
+  return { settings, loaded, updateSettings }
+}
@@ -0,0 +1,49 @@
+/*
+ * useVisitHistory Hook
+ * Marks repositories that are new since the previous visit and how far
+ * returning ones moved in the ranking
+ */
+
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import { beginVisit, recordVisitRanks, compareWithVisit } from '../lib/visits'
+
+/**
+ * Compares the loaded repositories with the previous visit and records them
+ * for the next one
+ *
+ * The previous visit is read from localStorage after mount, so server and
+ * client render the same markup.
+ *
+ * @param {import('../types/index.js').Repository[]} repositories - Loaded repositories in trends order
+ * @returns {{
+ *   previousVisitAt: string|null,
+ *   newIds: Set<number>,
+ *   rankChanges: Map<number, number>
+ * }} When the previous visit was, new repository ids, and places moved (positive is up)
+ */
+export function useVisitHistory(repositories) {
+  const [previousVisit, setPreviousVisit] = useState(/** @type {import('../lib/visits.js').Visit|null} */ (null))
+
+  useEffect(() => {
+    setPreviousVisit(beginVisit())
+  }, [])
+
+  useEffect(() => {
+    if (repositories.length > 0) {
+      recordVisitRanks(repositories)
+    }
+  }, [repositories])
+
+  const { newIds, rankChanges } = useMemo(
+    () => compareWithVisit(previousVisit, repositories),
+    [previousVisit, repositories]
+  )
+
+  return {
+    previousVisitAt: previousVisit ? previousVisit.lastSeenAt : null,
+    newIds,
+    rankChanges
+  }
+}
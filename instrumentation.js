@@ -0,0 +1,16 @@
+/*
+ * Server Instrumentation
+ * Runs once when the Next.js server starts; starts the trends scheduler
+ * (see lib/scheduler.js) in the Node.js runtime
+ */
+
+/**
+ * Next.js startup hook
+ * @returns {Promise<void>}
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startTrendsScheduler } = await import('./lib/scheduler')
+    startTrendsScheduler()
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+
+/*
+ * Trends Feed Tests
+ * Unit tests for feed ETag and Last-Modified handling across trends refreshes
+ */
+
+import { createFeedResponse } from '../feed'
+import { getTrendsPage } from '../trends'
+import { getLatestSummaries } from '../summaryCache'
+
+jest.mock('../trends', () => ({ getTrendsPage: jest.fn() }))
+jest.mock('../summaryCache', () => ({ getLatestSummaries: jest.fn() }))
+
+/**
+ * Builds a trending repository created at the given date
+ * @param {number} id - GitHub id
+ * @param {string} createdAt - ISO creation date
+ * @returns {import('../trends.js').GitHubRepository}
+ */
+function mockRepository(id, createdAt) {
+  return {
+    id,
+    name: `project-${id}`,
+    full_name: `owner/project-${id}`,
+    description: `Project ${id}`,
+    stargazers_count: 100 + id,
+    html_url: `https://github.com/owner/project-${id}`,
+    topics: ['ai'],
+    updated_at: createdAt,
+    language: 'Python',
+    created_at: createdAt
+  }
+}
+
+/**
+ * Makes the first trends page return the given repositories
+ * @param {import('../trends.js').GitHubRepository[]} repositories - Page content
+ */
+function mockTrends(repositories) {
+  getTrendsPage.mockResolvedValue({
+    entry: { data: { repositories, hasMore: false }, timestamp: Date.now(), expiresAt: Date.now() + 60000 },
+    source: 'fresh'
+  })
+}
+
+/**
+ * Requests the RSS feed of a query
+ * @param {Record<string, string>} [headers] - Request headers
+ * @returns {Promise<Response>}
+ */
+function requestFeed(headers = {}) {
+  return createFeedResponse(new Request('http://localhost/api/feed.rss?topic=llm', { headers }), 'rss')
+}
+
+const newest = mockRepository(1, '2024-03-01T12:00:00Z')
+const older = mockRepository(2, '2024-01-01T12:00:00Z')
+const oldest = mockRepository(3, '2023-12-01T12:00:00Z')
+
+describe('createFeedResponse', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    getLatestSummaries.mockResolvedValue({})
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+  })
+
+  it('moves Last-Modified when membership changes but the latest item date does not', async () => {
+    jest.setSystemTime(new Date('2024-03-02T08:00:00.500Z'))
+    mockTrends([newest, older])
+    const first = await requestFeed()
+
+    jest.setSystemTime(new Date('2024-03-02T09:00:00Z'))
+    mockTrends([newest, oldest])
+    const second = await requestFeed({
+      'If-None-Match': first.headers.get('ETag'),
+      'If-Modified-Since': first.headers.get('Last-Modified')
+    })
+
+    expect(second.status).toBe(200)
+    expect(second.headers.get('ETag')).not.toBe(first.headers.get('ETag'))
+    expect(first.headers.get('Last-Modified')).toBe('Sat, 02 Mar 2024 08:00:00 GMT')
+    expect(second.headers.get('Last-Modified')).toBe('Sat, 02 Mar 2024 09:00:00 GMT')
+    expect(await second.text()).toContain('<lastBuildDate>Sat, 02 Mar 2024 09:00:00 GMT</lastBuildDate>')
+  })
+
+  it('keeps the ETag and Last-Modified while the content is unchanged', async () => {
+    jest.setSystemTime(new Date('2024-04-01T08:00:00Z'))
+    mockTrends([older, oldest])
+    const first = await requestFeed()
+
+    jest.setSystemTime(new Date('2024-04-01T10:00:00Z'))
+    const second = await requestFeed()
+    const conditional = await requestFeed({
+      'If-Modified-Since': first.headers.get('Last-Modified')
+    })
+
+    expect(second.headers.get('ETag')).toBe(first.headers.get('ETag'))
+    expect(second.headers.get('Last-Modified')).toBe(first.headers.get('Last-Modified'))
+    expect(conditional.status).toBe(304)
+  })
+})
@@ -0,0 +1,231 @@
+/*
+ * Bookmarks Store
+ * Watchlist of repositories kept in localStorage: the full repository, when it
+ * was bookmarked and its latest summary, so bookmarks outlive the trends window.
+ * Exported and imported as JSON. Client-only (uses localStorage and window events).
+ */
+
+/**
+ * @typedef {import('../types/index.js').Bookmark} Bookmark
+ * @typedef {import('../types/index.js').Repository} Repository
+ * @typedef {import('../types/index.js').RepositorySummary} RepositorySummary
+ */
+
+export const BOOKMARKS_STORAGE_KEY = 'ai-news-bookmarks'
+
+// Bump when the stored shape changes; also written to exported files
+export const BOOKMARKS_VERSION = 1
+
+// Dispatched on window after a change; storage events only reach other tabs
+const BOOKMARKS_CHANGE_EVENT = 'ai-news-bookmarks-change'
+
+/**
+ * Whether a value looks like a repository we can display and link to
+ * @param {*} repository - Value to check
+ * @returns {boolean}
+ */
+function isRepository(repository) {
+  return Boolean(repository) &&
+    Number.isInteger(repository.id) &&
+    typeof repository.name === 'string' &&
+    typeof repository.full_name === 'string' &&
+    typeof repository.html_url === 'string' &&
+    repository.html_url.startsWith('https://github.com/')
+}
+
+/**
+ * Keeps the summary fields worth storing with a bookmark
+ * @param {RepositorySummary|null|undefined} summary - Summary state
+ * @returns {Bookmark['summary']} Stored summary, or null if none is complete
+ */
+function toStoredSummary(summary) {
+  if (!summary || summary.status !== 'done' || !summary.text) {
+    return null
+  }
+
+  return {
+    text: summary.text,
+    provider: summary.provider,
+    model: summary.model,
+    style: summary.style,
+    output_language: summary.output_language,
+    timestamp: summary.timestamp
+  }
+}
+
+/**
+ * Drops malformed entries and duplicates (the first entry of an id wins)
+ * @param {*[]} items - Parsed bookmarks
+ * @returns {Bookmark[]}
+ */
+function normalizeBookmarks(items) {
+  /** @type {Set<number>} */
+  const seen = new Set()
+
+  return items.filter((item) => {
+    if (!item || !isRepository(item.repository) || seen.has(item.repository.id)) {
+      return false
+    }
+    seen.add(item.repository.id)
+    return true
+  }).map((item) => ({
+    repository: item.repository,
+    addedAt: typeof item.addedAt === 'string' ? item.addedAt : new Date().toISOString(),
+    summary: item.summary && typeof item.summary.text === 'string' ? item.summary : null
+  }))
+}
+
+/**
+ * Loads the bookmarks, most recently added first
+ * @returns {Bookmark[]}
+ */
+export function loadBookmarks() {
+  try {
+    const stored = localStorage.getItem(BOOKMARKS_STORAGE_KEY)
+    const parsed = stored ? JSON.parse(stored) : null
+    return parsed && Array.isArray(parsed.items) ? normalizeBookmarks(parsed.items) : []
+  } catch (error) {
+    console.error('Error loading bookmarks:', error)
+    return []
+  }
+}
+
+/**
+ * Stores the bookmarks and notifies every subscriber, in this tab and others
+ * @param {Bookmark[]} bookmarks - Bookmarks to store
+ * @returns {Bookmark[]} Stored bookmarks
+ */
+function storeBookmarks(bookmarks) {
+  localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify({ version: BOOKMARKS_VERSION, items: bookmarks }))
+  window.dispatchEvent(new CustomEvent(BOOKMARKS_CHANGE_EVENT, { detail: bookmarks }))
+  return bookmarks
+}
+
+/**
+ * Adds a repository to the watchlist, or removes it if already bookmarked
+ * @param {Repository} repository - Repository to toggle
+ * @param {RepositorySummary} [summary] - Current summary, stored with a new bookmark
+ * @returns {boolean} Whether the repository is bookmarked now
+ */
+export function toggleBookmark(repository, summary) {
+  const bookmarks = loadBookmarks()
+
+  if (bookmarks.some((bookmark) => bookmark.repository.id === repository.id)) {
+    storeBookmarks(bookmarks.filter((bookmark) => bookmark.repository.id !== repository.id))
+    return false
+  }
+
+  storeBookmarks([
+    { repository, addedAt: new Date().toISOString(), summary: toStoredSummary(summary) },
+    ...bookmarks
+  ])
+  return true
+}
+
+/**
+ * Replaces the stored summary of a bookmarked repository (no-op if not bookmarked)
+ * @param {number} repositoryId - Repository id
+ * @param {RepositorySummary} summary - Completed summary
+ */
+export function updateBookmarkSummary(repositoryId, summary) {
+  const storedSummary = toStoredSummary(summary)
+  const bookmarks = loadBookmarks()
+  if (!storedSummary || !bookmarks.some((bookmark) => bookmark.repository.id === repositoryId)) {
+    return
+  }
+
+  storeBookmarks(bookmarks.map((bookmark) => (
+    bookmark.repository.id === repositoryId ? { ...bookmark, summary: storedSummary } : bookmark
+  )))
+}
+
+/**
+ * Replaces stored repositories with refreshed metadata, keeping fields GitHub does not return
+ * @param {Object<string, Repository>} repositoriesById - Refreshed repositories keyed by id
+ */
+export function refreshBookmarks(repositoriesById) {
+  storeBookmarks(loadBookmarks().map((bookmark) => {
+    const refreshed = repositoriesById[bookmark.repository.id]
+    return refreshed && isRepository(refreshed)
+      ? { ...bookmark, repository: { ...bookmark.repository, ...refreshed } }
+      : bookmark
+  }))
+}
+
+/**
+ * Serializes the watchlist for download
+ * @returns {string} JSON document
+ */
+export function exportBookmarks() {
+  return JSON.stringify({
+    version: BOOKMARKS_VERSION,
+    exported_at: new Date().toISOString(),
+    bookmarks: loadBookmarks()
+  }, null, 2)
+}
+
+/**
+ * Merges bookmarks from an exported JSON document into the watchlist
+ * Imported entries replace bookmarks of the same repository.
+ * @param {string} json - Exported document (or a bare array of bookmarks)
+ * @returns {{ added: number, updated: number, skipped: number }} Import counts
+ * @throws {Error} When the document is not a bookmarks export
+ */
+export function importBookmarks(json) {
+  let parsed
+  try {
+    parsed = JSON.parse(json)
+  } catch (error) {
+    throw new Error('The file is not valid JSON')
+  }
+
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.bookmarks
+  if (!Array.isArray(items)) {
+    throw new Error('The file does not contain a "bookmarks" list')
+  }
+  if (parsed.version > BOOKMARKS_VERSION) {
+    throw new Error(`The file was exported by a newer version (${parsed.version}) and cannot be imported`)
+  }
+
+  const imported = normalizeBookmarks(items)
+  const importedIds = new Set(imported.map((bookmark) => bookmark.repository.id))
+  const existing = loadBookmarks()
+  const updated = existing.filter((bookmark) => importedIds.has(bookmark.repository.id)).length
+
+  storeBookmarks([
+    ...imported,
+    ...existing.filter((bookmark) => !importedIds.has(bookmark.repository.id))
+  ].sort((a, b) => b.addedAt.localeCompare(a.addedAt)))
+
+  return {
+    added: imported.length - updated,
+    updated,
+    skipped: items.length - imported.length
+  }
+}
+
+/**
+ * Calls listener whenever the bookmarks change, including changes in other tabs
+ * @param {function(Bookmark[]): void} listener - Receives the new bookmarks
+ * @returns {function(): void} Unsubscribes the listener
+ */
+export function subscribeToBookmarks(listener) {
+  /** @param {StorageEvent} event */
+  const handleStorage = (event) => {
+    // A null key means another tab cleared localStorage
+    if (event.key === BOOKMARKS_STORAGE_KEY || event.key === null) {
+      listener(loadBookmarks())
+    }
+  }
+
+  /** @param {Event} event */
+  const handleChange = (event) => listener(/** @type {CustomEvent<Bookmark[]>} */ (event).detail)
+
+  window.addEventListener('storage', handleStorage)
+  window.addEventListener(BOOKMARKS_CHANGE_EVENT, handleChange)
+
+  return () => {
+    window.removeEventListener('storage', handleStorage)
+    window.removeEventListener(BOOKMARKS_CHANGE_EVENT, handleChange)
+  }
+}
@@ -0,0 +1,189 @@
+/*
+ * Filesystem Cache Adapter
+ * Persists each cache entry as a JSON file so data survives restarts
+ * and can be shared by server instances that mount the same directory.
+ * Writes periodically trigger a sweep that removes long-expired entries and
+ * the oldest ones beyond a size cap; durable entries are never swept.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+/**
+ * @typedef {import('./index.js').CacheAdapter} CacheAdapter
+ * @typedef {import('../../types/index.js').CacheEntry<*>} CacheEntry
+ */
+
+/**
+ * Contents of a cache file
+ * @typedef {Object} CacheRecord
+ * @property {string} key - Cache key
+ * @property {CacheEntry} entry - Cache entry
+ * @property {boolean} [durable] - Exempt from sweeping
+ */
+
+const SWEEP_INTERVAL = 10 * 60 * 1000 // At most one sweep per 10 minutes
+const TEMP_FILE_MAX_AGE = 60 * 60 * 1000 // Leftovers of interrupted writes
+
+/**
+ * Creates a filesystem cache adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.directory - Directory that holds the cache files
+ * @param {number} [options.maxEntries=5000] - Files kept (durable entries not counted); the oldest are removed beyond it
+ * @param {number} [options.staleRetention] - How long expired entries are kept to serve stale data (default 7 days)
+ * @returns {CacheAdapter} Cache adapter
+ */
+export function createFileAdapter({ directory, maxEntries = 5000, staleRetention = 7 * 24 * 60 * 60 * 1000 }) {
+  let lastSweepAt = 0
+  let sweeping = false
+
+  /**
+   * Maps a cache key to a safe file name
+   * @param {string} key - Cache key (may contain any characters)
+   * @returns {string} Absolute file path
+   */
+  const filePathFor = (key) => {
+    const hash = crypto.createHash('sha256').update(key).digest('hex')
+    return path.join(directory, `${hash}.json`)
+  }
+
+  /**
+   * Reads a cache file, treating missing or corrupt files as empty
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<CacheRecord|null>}
+   */
+  const readFile = async (filePath) => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable cache file ${filePath}:`, error.message)
+      }
+      return null
+    }
+  }
+
+  /**
+   * Removes entries expired for longer than staleRetention, then the oldest
+   * entries beyond maxEntries. Files are read one at a time to bound memory use.
+   */
+  const sweep = async () => {
+    const now = Date.now()
+    let fileNames
+    try {
+      fileNames = await fs.readdir(directory)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return
+      }
+      throw error
+    }
+
+    /** @type {{ filePath: string, timestamp: number }[]} */
+    const kept = []
+    let removed = 0
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(directory, fileName)
+
+      if (fileName.endsWith('.tmp')) {
+        const stats = await fs.stat(filePath).catch(() => null)
+        if (stats && now - stats.mtimeMs > TEMP_FILE_MAX_AGE) {
+          await fs.rm(filePath, { force: true })
+        }
+        continue
+      }
+      if (!fileName.endsWith('.json')) {
+        continue
+      }
+
+      const record = await readFile(filePath)
+      if (!record || record.durable) {
+        continue
+      }
+      if (record.entry.expiresAt + staleRetention <= now) {
+        await fs.rm(filePath, { force: true })
+        removed++
+      } else {
+        kept.push({ filePath, timestamp: record.entry.timestamp })
+      }
+    }
+
+    if (kept.length > maxEntries) {
+      const oldest = kept.sort((a, b) => a.timestamp - b.timestamp).slice(0, kept.length - maxEntries)
+      for (const { filePath } of oldest) {
+        await fs.rm(filePath, { force: true })
+      }
+      removed += oldest.length
+    }
+
+    if (removed > 0) {
+      console.log(`Cache sweep removed ${removed} files from ${directory}`)
+    }
+  }
+
+  /**
+   * Starts a sweep in the background unless one ran recently
+   */
+  const scheduleSweep = () => {
+    const now = Date.now()
+    if (sweeping || now - lastSweepAt < SWEEP_INTERVAL) {
+      return
+    }
+    lastSweepAt = now
+    sweeping = true
+    sweep()
+      .catch((error) => console.error('Cache sweep failed:', error))
+      .finally(() => {
+        sweeping = false
+      })
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const record = await readFile(filePathFor(key))
+      return record && record.key === key ? record.entry : null
+    },
+
+    async set(key, entry, { durable = false } = {}) {
+      await fs.mkdir(directory, { recursive: true })
+
+      // Write to a temporary file first so readers never see a partial entry
+      const filePath = filePathFor(key)
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`
+      /** @type {CacheRecord} */
+      const record = durable ? { key, entry, durable } : { key, entry }
+      await fs.writeFile(tempPath, JSON.stringify(record))
+      await fs.rename(tempPath, filePath)
+
+      scheduleSweep()
+    },
+
+    async delete(key) {
+      await fs.rm(filePathFor(key), { force: true })
+    },
+
+    async keys() {
+      let fileNames
+      try {
+        fileNames = await fs.readdir(directory)
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return []
+        }
+        throw error
+      }
+
+      const records = await Promise.all(
+        fileNames
+          .filter((fileName) => fileName.endsWith('.json'))
+          .map((fileName) => readFile(path.join(directory, fileName)))
+      )
+
+      return records.filter(Boolean).map((record) => record.key)
+    }
+  }
+}
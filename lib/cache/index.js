@@ -0,0 +1,156 @@
+/*
+ * Cache Abstraction
+ * Namespaced key/value cache built on the CacheEntry type, backed by a
+ * pluggable adapter selected through environment configuration:
+ *
+ * - CACHE_BACKEND=memory (default): per-process Map, lost on restart
+ * - CACHE_BACKEND=file: JSON files under CACHE_DIR (default ".cache")
+ *
+ * Both backends bound their size. Durable namespaces hold state that must
+ * not disappear before it expires (webhooks, digests, change history) and are
+ * exempt from eviction; they bound their own size. Persistent namespaces
+ * (saved digests) are always stored as files under CACHE_DIR, whatever the backend.
+ */
+
+import path from 'path'
+import { createMemoryAdapter } from './memoryAdapter'
+import { createFileAdapter } from './fileAdapter'
+
+/**
+ * @typedef {import('../../types/index.js').CacheEntry<*>} CacheEntry
+ */
+
+/**
+ * @typedef {Object} CacheSetOptions
+ * @property {boolean} [durable] - Exempt the entry from eviction and sweeping
+ */
+
+/**
+ * Storage backend used by every namespaced cache
+ * Keys are prefixed with their namespace ("trends:...").
+ *
+ * @typedef {Object} CacheAdapter
+ * @property {string} name - Backend name for diagnostics
+ * @property {function(string): Promise<CacheEntry|null>} get - Reads an entry
+ * @property {function(string, CacheEntry, CacheSetOptions=): Promise<void>} set - Writes an entry
+ * @property {function(string): Promise<void>} delete - Removes an entry
+ * @property {function(): Promise<string[]>} keys - Lists all stored keys
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Cache
+ * @property {function(string): Promise<CacheEntry|null>} get - Returns an entry even if expired
+ * @property {function(string, T, number): Promise<CacheEntry>} set - Stores data with a TTL in milliseconds
+ * @property {function(string): Promise<void>} delete - Removes an entry
+ * @property {function(): Promise<string[]>} keys - Lists keys in this namespace
+ */
+
+/**
+ * Directory of the file backend
+ * @returns {string} Absolute path
+ */
+function getCacheDirectory() {
+  return path.resolve(process.cwd(), process.env.CACHE_DIR || '.cache')
+}
+
+/**
+ * Returns the configured cache adapter, creating it on first use
+ * The adapter lives on globalThis because Next.js bundles instrumentation.js
+ * separately from the routes; both must share one memory cache.
+ * @returns {CacheAdapter}
+ */
+export function getCacheAdapter() {
+  /** @type {CacheAdapter|undefined} */
+  let adapter = globalThis.__cacheAdapter
+
+  if (!adapter) {
+    const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase()
+
+    if (backend === 'file') {
+      adapter = createFileAdapter({ directory: getCacheDirectory() })
+    } else {
+      if (backend !== 'memory') {
+        console.warn(`Unknown CACHE_BACKEND "${backend}", falling back to memory`)
+      }
+      adapter = createMemoryAdapter()
+    }
+
+    console.log(`Using ${adapter.name} cache backend`)
+    globalThis.__cacheAdapter = adapter
+  }
+
+  return adapter
+}
+
+/**
+ * Returns the adapter of persistent namespaces: the configured adapter when
+ * it is the file backend, otherwise a file adapter under CACHE_DIR of their own
+ * @returns {CacheAdapter}
+ */
+function getPersistentCacheAdapter() {
+  const adapter = getCacheAdapter()
+  if (adapter.name === 'file') {
+    return adapter
+  }
+
+  if (!globalThis.__persistentCacheAdapter) {
+    const directory = getCacheDirectory()
+    console.log(`Using file cache backend under ${directory} for persistent namespaces`)
+    globalThis.__persistentCacheAdapter = createFileAdapter({ directory })
+  }
+  return globalThis.__persistentCacheAdapter
+}
+
+/**
+ * Whether a cache entry has passed its expiry time
+ * @param {CacheEntry} entry - Cache entry
+ * @param {number} [now] - Reference time in epoch milliseconds
+ * @returns {boolean}
+ */
+export function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt <= now
+}
+
+/**
+ * Creates a cache whose keys are isolated under a namespace
+ * Expired entries are kept so callers can still serve stale data
+ * @template T
+ * @param {string} namespace - Namespace prefix, e.g. "trends"
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.durable=false] - Never evict entries before they expire
+ *   (for state rather than cached data; the caller bounds the number of keys)
+ * @param {boolean} [options.persistent=false] - Store entries as files even with the
+ *   memory backend, so they survive restarts (implies durable)
+ * @returns {Cache<T>} Namespaced cache
+ */
+export function createCache(namespace, { durable = false, persistent = false } = {}) {
+  const prefix = `${namespace}:`
+  const getAdapter = persistent ? getPersistentCacheAdapter : getCacheAdapter
+  const setOptions = { durable: durable || persistent }
+
+  return {
+    async get(key) {
+      return getAdapter().get(prefix + key)
+    },
+
+    async set(key, data, ttl) {
+      const timestamp = Date.now()
+      /** @type {CacheEntry} */
+      const entry = { data, timestamp, expiresAt: timestamp + ttl }
+      await getAdapter().set(prefix + key, entry, setOptions)
+      return entry
+    },
+
+    async delete(key) {
+      await getAdapter().delete(prefix + key)
+    },
+
+    async keys() {
+      const keys = await getAdapter().keys()
+      return keys
+        .filter((key) => key.startsWith(prefix))
+        .map((key) => key.slice(prefix.length))
+    }
+  }
+}
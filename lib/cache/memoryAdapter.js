@@ -0,0 +1,88 @@
+/*
+ * In-Memory Cache Adapter
+ * Stores cache entries in a Map for the lifetime of the server process
+ */
+
+/**
+ * @typedef {import('./index.js').CacheAdapter} CacheAdapter
+ * @typedef {import('./index.js').CacheSetOptions} CacheSetOptions
+ * @typedef {import('../../types/index.js').CacheEntry<*>} CacheEntry
+ */
+
+/**
+ * Entries of one namespace
+ * @typedef {Object} NamespaceStore
+ * @property {Map<string, CacheEntry>} entries - Entries in write order
+ * @property {boolean} durable - Whether entries are exempt from eviction
+ */
+
+/**
+ * Namespace of a cache key ("trends" for "trends:topic=ai&...")
+ * @param {string} key - Cache key
+ * @returns {string}
+ */
+function namespaceOf(key) {
+  const index = key.indexOf(':')
+  return index === -1 ? '' : key.slice(0, index)
+}
+
+/**
+ * Creates an in-memory cache adapter
+ * Each namespace is bounded separately, so busy namespaces (e.g. per-repository
+ * entries) cannot evict others; entries beyond the bound are evicted
+ * least-recently-written first. Durable namespaces are never evicted.
+ * @param {Object} [options] - Adapter options
+ * @param {number} [options.maxEntriesPerNamespace=500] - Maximum number of entries kept per namespace
+ * @returns {CacheAdapter} Cache adapter
+ */
+export function createMemoryAdapter({ maxEntriesPerNamespace = 500 } = {}) {
+  /** @type {Map<string, NamespaceStore>} */
+  const namespaces = new Map()
+
+  /**
+   * Returns the store of a key's namespace, creating it on first write
+   * @param {string} key - Cache key
+   * @returns {NamespaceStore}
+   */
+  const storeFor = (key) => {
+    const namespace = namespaceOf(key)
+    let store = namespaces.get(namespace)
+    if (!store) {
+      store = { entries: new Map(), durable: false }
+      namespaces.set(namespace, store)
+    }
+    return store
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const store = namespaces.get(namespaceOf(key))
+      return (store && store.entries.get(key)) || null
+    },
+
+    async set(key, entry, { durable = false } = {}) {
+      const store = storeFor(key)
+      store.durable = store.durable || durable
+      store.entries.delete(key) // Re-insert so Map order tracks recency
+      store.entries.set(key, entry)
+
+      if (!store.durable && store.entries.size > maxEntriesPerNamespace) {
+        const oldestKey = store.entries.keys().next().value
+        store.entries.delete(oldestKey)
+      }
+    },
+
+    async delete(key) {
+      const store = namespaces.get(namespaceOf(key))
+      if (store) {
+        store.entries.delete(key)
+      }
+    },
+
+    async keys() {
+      return Array.from(namespaces.values()).flatMap((store) => Array.from(store.entries.keys()))
+    }
+  }
+}
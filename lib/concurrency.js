@@ -0,0 +1,53 @@
+/*
+ * Concurrency Helpers
+ * Runs async work over a list with a fixed number of tasks in flight, and
+ * queues read-modify-write updates so they run one at a time
+ */
+
+/**
+ * Calls worker for every item with at most `limit` calls running at once
+ * Items are started in order; a rejected worker does not stop the others.
+ * Once the signal is aborted no new items are started.
+ * @template T
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum concurrent workers (at least 1)
+ * @param {function(T, number): Promise<void>} worker - Called with each item and its index
+ * @param {AbortSignal} [signal] - Stops scheduling new items
+ * @returns {Promise<void>} Resolves when every started worker has settled
+ */
+export async function runWithConcurrency(items, limit, worker, signal) {
+  let nextIndex = 0
+
+  const runNext = async () => {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex++
+      try {
+        await worker(items[index], index)
+      } catch (error) {
+        // Workers report their own failures; keep the remaining items going
+        console.error(`Worker failed for item ${index}:`, error)
+      }
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: lanes }, runNext))
+}
+
+/**
+ * Runs a task after the tasks already queued under the same name
+ * Queues live on globalThis because Next.js bundles instrumentation.js
+ * separately from the routes, and updates from both must share one queue.
+ * @template T
+ * @param {string} queue - Queue name, e.g. "webhooks"
+ * @param {() => Promise<T>} task - Task to run
+ * @returns {Promise<T>} Result of the task
+ */
+export function runSerially(queue, task) {
+  /** @type {Map<string, Promise<void>>} */
+  const queues = globalThis.__serialQueues || (globalThis.__serialQueues = new Map())
+  const update = (queues.get(queue) || Promise.resolve()).then(task)
+  // Keep the queue going after a failed task; the caller still sees the error
+  queues.set(queue, update.then(() => {}, () => {}))
+  return update
+}
@@ -0,0 +1,398 @@
+/*
+ * Trends Digest
+ * Builds a newsletter digest of the top trending repositories of a period:
+ * a summary of each repository plus an AI-written overview of all of them,
+ * rendered as Markdown or HTML. Digests are saved in the persistent
+ * "digests" cache namespace (files under CACHE_DIR, whatever CACHE_BACKEND
+ * is) so past ones can be re-opened, also after a restart.
+ */
+
+import { DEFAULT_TRENDS_QUERY } from './trendsQuery'
+import { getTrendsPage } from './trends'
+import { summarizeRepository, generateText } from './summarize'
+import { buildDigestOverviewPrompt } from './prompts'
+import { runWithConcurrency, runSerially } from './concurrency'
+import { createCache } from './cache'
+
+/**
+ * One repository of a digest
+ * @typedef {Object} DigestEntry
+ * @property {number} id - GitHub repository id
+ * @property {string} full_name - Owner/repository
+ * @property {string} html_url - Repository URL on GitHub
+ * @property {string|null} description - Repository description
+ * @property {number} stars - Star count when the digest was made
+ * @property {string|null} language - Primary language
+ * @property {string[]} topics - Repository topics
+ * @property {string|null} summary - AI summary (null when it could not be generated)
+ * @property {string|null} error - Why the summary is missing
+ */
+
+/**
+ * @typedef {Object} Digest
+ * @property {string} id - Creation date and period, e.g. "2026-10-19-7d"
+ * @property {string} title - Digest heading
+ * @property {number} days - Length of the period in days
+ * @property {string} period_start - Start of the period (ISO 8601)
+ * @property {string} created_at - When the digest was generated (ISO 8601), the end of the period
+ * @property {string} overview - AI-written overview of the period
+ * @property {string} provider - Provider that wrote the overview
+ * @property {string} model - Model that wrote the overview
+ * @property {string} output_language - Language code of the summaries and overview
+ * @property {DigestEntry[]} repositories - Repositories, most starred first
+ */
+
+/**
+ * Saved digest as listed on the digest page
+ * @typedef {Pick<Digest, 'id'|'title'|'days'|'created_at'> & { count: number }} DigestListItem
+ */
+
+export const DEFAULT_DIGEST_DAYS = 7
+export const MAX_DIGEST_DAYS = 30
+export const DEFAULT_DIGEST_SIZE = 10
+// Repositories come from the first trends page (30 results)
+export const MAX_DIGEST_SIZE = 25
+
+const DIGEST_CONCURRENCY = 3 // Summaries generated at once
+const DIGEST_RETENTION = 365 * 24 * 60 * 60 * 1000 // Keep saved digests for a year
+const MAX_SAVED_DIGESTS = 100
+const INDEX_KEY = 'index'
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000 // Generations are counted over the last hour
+
+const digestCache = createCache('digests', { persistent: true })
+
+/**
+ * Thrown when a digest cannot be generated; status is the HTTP status to return
+ */
+export class DigestError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {number} status - HTTP status
+   * @param {number} [retryAfterSeconds] - When to retry a rate-limited request
+   */
+  constructor(message, status, retryAfterSeconds) {
+    super(message)
+    this.name = 'DigestError'
+    this.status = status
+    this.retryAfterSeconds = retryAfterSeconds
+  }
+}
+
+/**
+ * Digests that may be generated per hour, from DIGEST_GENERATIONS_PER_HOUR (default 5)
+ * @returns {number}
+ */
+function getGenerationsPerHour() {
+  const configured = parseInt(process.env.DIGEST_GENERATIONS_PER_HOUR || '', 10)
+  return Number.isInteger(configured) && configured > 0 ? configured : 5
+}
+
+/**
+ * Counts a digest generation against the hourly limit
+ * Generating is open to anyone and may use server-managed API keys, so the
+ * whole server shares one limit. Start times live on globalThis like the other
+ * state shared between route bundles.
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @throws {DigestError} With status 429 when the limit is reached
+ */
+function reserveGeneration(now = Date.now()) {
+  /** @type {number[]} */
+  const recent = (globalThis.__digestGenerations || []).filter((start) => now - start < RATE_LIMIT_WINDOW)
+
+  if (recent.length >= getGenerationsPerHour()) {
+    const retryAfterSeconds = Math.ceil((recent[0] + RATE_LIMIT_WINDOW - now) / 1000)
+    throw new DigestError(`Digest limit reached (${recent.length} per hour); try again in ${Math.ceil(retryAfterSeconds / 60)} minutes`, 429, retryAfterSeconds)
+  }
+
+  globalThis.__digestGenerations = [...recent, now]
+}
+
+/**
+ * Whether a string has the shape of a digest id
+ * @param {string} id - Digest id from a request
+ * @returns {boolean}
+ */
+export function isValidDigestId(id) {
+  return /^\d{4}-\d{2}-\d{2}-\d{1,2}d$/.test(id)
+}
+
+/**
+ * Formats a date for digest headings, e.g. "Oct 19, 2026"
+ * @param {string} isoDate - ISO 8601 timestamp
+ * @returns {string}
+ */
+function formatDate(isoDate) {
+  return new Date(isoDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+}
+
+/**
+ * Formats a star count, e.g. 1234 -> "1.2k"
+ * @param {number} count - Star count
+ * @returns {string}
+ */
+function formatStars(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count)
+}
+
+/**
+ * Generates a digest of the top repositories created in the last days and saves it
+ * Repositories whose summary fails are kept with their description; the
+ * overview is required, so its failure fails the digest.
+ * @param {Object} options - Digest options
+ * @param {number} options.days - Period in days
+ * @param {number} options.limit - Number of repositories
+ * @param {import('./summarize.js').SummarizeSettings} options.settings - Validated provider settings
+ * @param {AbortSignal} [options.signal] - Aborts provider requests
+ * @returns {Promise<Digest>} Saved digest
+ * @throws {DigestError|import('./summarize.js').SummarizeError} When the hourly limit is reached, there is nothing to summarize or the overview fails
+ */
+export async function generateDigest({ days, limit, settings, signal }) {
+  reserveGeneration()
+
+  const { entry } = await getTrendsPage({ ...DEFAULT_TRENDS_QUERY, days }, 1)
+  const top = entry.data.repositories.slice(0, limit)
+
+  if (top.length === 0) {
+    throw new DigestError(`No trending AI repositories were created in the last ${days} days`, 404)
+  }
+
+  console.log(`Generating digest of ${top.length} repositories from the last ${days} days with ${settings.chain[0].provider.id}`)
+
+  /** @type {DigestEntry[]} */
+  const repositories = top.map((repository) => ({
+    id: repository.id,
+    full_name: repository.full_name,
+    html_url: repository.html_url,
+    description: repository.description,
+    stars: repository.stargazers_count,
+    language: repository.language,
+    topics: repository.topics || [],
+    summary: null,
+    error: null
+  }))
+
+  await runWithConcurrency(top, DIGEST_CONCURRENCY, async (repository, index) => {
+    try {
+      const result = await summarizeRepository(
+        {
+          text: `${repository.name}: ${repository.description || 'No description'}`,
+          full_name: repository.full_name,
+          topics: repository.topics,
+          language: repository.language,
+          id: repository.id,
+          updated_at: repository.updated_at
+        },
+        settings,
+        { signal }
+      )
+      repositories[index].summary = result.summary
+    } catch (error) {
+      console.error(`Digest summary failed for ${repository.full_name}:`, error)
+      repositories[index].error = error instanceof Error ? error.message : 'Failed to generate summary'
+    }
+  }, signal)
+
+  const overview = await generateText(
+    buildDigestOverviewPrompt({ repositories, days, language: settings.outputLanguage }),
+    settings,
+    { signal }
+  )
+
+  const createdAt = new Date().toISOString()
+  const periodStart = new Date(Date.parse(createdAt) - days * 24 * 60 * 60 * 1000).toISOString()
+
+  /** @type {Digest} */
+  const digest = {
+    // One digest per day and period; generating it again replaces it
+    id: `${createdAt.slice(0, 10)}-${days}d`,
+    title: `AI Open Source Digest · ${formatDate(periodStart)} – ${formatDate(createdAt)}`,
+    days,
+    period_start: periodStart,
+    created_at: createdAt,
+    overview: overview.text,
+    provider: overview.provider,
+    model: overview.model,
+    output_language: settings.outputLanguage,
+    repositories
+  }
+
+  await saveDigest(digest)
+  console.log(`Saved digest ${digest.id} (${repositories.filter((item) => item.summary).length}/${repositories.length} summarized)`)
+
+  return digest
+}
+
+/**
+ * Stores a digest and adds it to the index, replacing one with the same id
+ * The oldest digests are removed beyond MAX_SAVED_DIGESTS. Index updates run
+ * one at a time so concurrent saves do not drop entries.
+ * @param {Digest} digest - Digest to save
+ * @returns {Promise<void>}
+ */
+function saveDigest(digest) {
+  return runSerially('digest-index', async () => {
+    await digestCache.set(`digest:${digest.id}`, digest, DIGEST_RETENTION)
+
+    const index = await listDigests()
+    /** @type {DigestListItem[]} */
+    const updated = [
+      { id: digest.id, title: digest.title, days: digest.days, created_at: digest.created_at, count: digest.repositories.length },
+      ...index.filter((item) => item.id !== digest.id)
+    ]
+
+    await Promise.all(updated.slice(MAX_SAVED_DIGESTS).map((item) => digestCache.delete(`digest:${item.id}`)))
+    await digestCache.set(INDEX_KEY, updated.slice(0, MAX_SAVED_DIGESTS), DIGEST_RETENTION)
+  })
+}
+
+/**
+ * Lists saved digests, newest first
+ * @returns {Promise<DigestListItem[]>}
+ */
+export async function listDigests() {
+  const entry = await digestCache.get(INDEX_KEY)
+  return entry ? entry.data : []
+}
+
+/**
+ * Loads a saved digest
+ * @param {string} id - Digest id
+ * @returns {Promise<Digest|null>} Digest, or null if it does not exist
+ */
+export async function getDigest(id) {
+  const entry = await digestCache.get(`digest:${id}`)
+  return entry ? entry.data : null
+}
+
+/**
+ * Escapes text for HTML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Turns generated text into HTML paragraphs (blank lines separate paragraphs)
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function toHtmlParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n')
+}
+
+/**
+ * Neutralizes HTML in text placed in Markdown; generated text may use Markdown itself
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeMarkdownHtml(text) {
+  return text.replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * Escapes Markdown syntax in plain text such as repository descriptions
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeMarkdownText(text) {
+  return escapeMarkdownHtml(text.replace(/[\\`*_[\]#|]/g, '\\$&'))
+}
+
+/**
+ * Line under each repository: language and topics
+ * @param {DigestEntry} item - Digest entry
+ * @returns {string}
+ */
+function describeEntry(item) {
+  return [item.language, item.topics.slice(0, 5).map((topic) => `#${topic}`).join(' ')]
+    .filter(Boolean)
+    .join(' · ')
+}
+
+/**
+ * Footer naming the period and the model that wrote the digest
+ * @param {Digest} digest - Digest
+ * @returns {string}
+ */
+function describeDigest(digest) {
+  return `Generated ${formatDate(digest.created_at)} by ${digest.provider} (${digest.model}) from AI repositories created on GitHub in the ${digest.days} days before.`
+}
+
+/**
+ * Renders a digest as Markdown
+ * @param {Digest} digest - Digest
+ * @returns {string}
+ */
+export function renderDigestMarkdown(digest) {
+  const entries = digest.repositories.map((item, index) => [
+    `### ${index + 1}. [${escapeMarkdownText(item.full_name)}](${item.html_url}) · ⭐ ${formatStars(item.stars)}`,
+    '',
+    item.summary ? escapeMarkdownHtml(item.summary) : escapeMarkdownText(item.description || 'No description available'),
+    ...(describeEntry(item) ? ['', `*${escapeMarkdownText(describeEntry(item))}*`] : [])
+  ].join('\n'))
+
+  return [
+    `# ${digest.title}`,
+    '',
+    escapeMarkdownHtml(digest.overview),
+    '',
+    `## Top ${digest.repositories.length} New AI Repositories`,
+    '',
+    entries.join('\n\n'),
+    '',
+    '---',
+    '',
+    `*${describeDigest(digest)}*`,
+    ''
+  ].join('\n')
+}
+
+/**
+ * Renders a digest as a standalone HTML document (paste the body into a newsletter)
+ * @param {Digest} digest - Digest
+ * @returns {string}
+ */
+export function renderDigestHtml(digest) {
+  const entries = digest.repositories.map((item, index) => [
+    '<li>',
+    `<h3><a href="${escapeHtml(item.html_url)}">${escapeHtml(item.full_name)}</a> · ⭐ ${formatStars(item.stars)}</h3>`,
+    toHtmlParagraphs(item.summary || item.description || 'No description available'),
+    describeEntry(item) ? `<p><em>${escapeHtml(describeEntry(item))}</em></p>` : '',
+    '</li>'
+  ].filter(Boolean).join('\n'))
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(digest.output_language)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(digest.title)}</title>`,
+    '</head>',
+    '<body>',
+    '<article>',
+    `<h1>${escapeHtml(digest.title)}</h1>`,
+    toHtmlParagraphs(digest.overview),
+    `<h2>Top ${digest.repositories.length} New AI Repositories</h2>`,
+    '<ol>',
+    ...entries,
+    '</ol>',
+    '<hr>',
+    `<p><small>${escapeHtml(describeDigest(digest))}</small></p>`,
+    '</article>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n')
+}
@@ -0,0 +1,184 @@
+/*
+ * Repository List Export
+ * Formats repositories (with their AI summaries) as JSON, CSV or a Markdown
+ * table for pasting into documents, and builds /api/export links.
+ * Safe to import from client components.
+ */
+
+import { toFilterQueryString } from './repositoryFilters'
+
+/**
+ * @typedef {'json'|'csv'|'md'} ExportFormat
+ */
+
+/**
+ * One exported repository
+ * @typedef {Object} ExportRecord
+ * @property {string} full_name - Owner/repository
+ * @property {string} url - Repository URL on GitHub
+ * @property {string} description - Description ("" when missing)
+ * @property {number} stars - Star count
+ * @property {string} language - Primary language ("" when unknown)
+ * @property {string[]} topics - Repository topics
+ * @property {string} created_at - Creation timestamp (ISO 8601, "" when unknown)
+ * @property {{ text: string, provider: string, model: string, timestamp: string }|null} summary - Latest AI summary
+ */
+
+export const EXPORT_FORMATS = [
+  { id: 'md', label: '📝 Markdown', extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  { id: 'csv', label: '📊 CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  { id: 'json', label: '🧾 JSON', extension: 'json', contentType: 'application/json; charset=utf-8' }
+]
+
+// Result pages one export may include (30 repositories each)
+export const MAX_EXPORT_PAGES = 10
+
+/**
+ * Parses the "ids" export parameter: comma-separated GitHub repository ids
+ * An empty value is valid and exports nothing (no repository is new).
+ * @param {string|null} value - Parameter value
+ * @returns {number[]|null} Ids, or null when the parameter is missing or malformed
+ */
+export function parseExportIds(value) {
+  if (value === null || !/^(\d+(,\d+)*)?$/.test(value)) {
+    return null
+  }
+  return value ? value.split(',').map(Number) : []
+}
+
+/**
+ * Builds the /api/export link for the Home page list
+ * @param {ExportFormat} format - Export format
+ * @param {import('./repositoryFilters.js').RepositoryFilters} filters - Current filters
+ * @param {number} pages - Trends result pages loaded on the page
+ * @param {Iterable<number>|null} [onlyIds] - Export only these repositories, e.g. the new
+ *   ones when "show only new" is on (new repositories are only known to the browser)
+ * @returns {string} Relative URL
+ */
+export function getExportUrl(format, filters, pages, onlyIds = null) {
+  const filterQuery = toFilterQueryString(filters).replace(/^\?/, '')
+  const clampedPages = Math.min(Math.max(pages, 1), MAX_EXPORT_PAGES)
+  const idsQuery = onlyIds ? `&ids=${Array.from(onlyIds).join(',')}` : ''
+  return `/api/export?format=${format}&pages=${clampedPages}${filterQuery ? `&${filterQuery}` : ''}${idsQuery}`
+}
+
+/**
+ * Collects the exported fields of repositories
+ * @param {import('../types/index.js').Repository[]} repositories - Repositories in display order
+ * @param {Object<string, import('../types/index.js').SummarizeResponse>} summaries - Latest summaries keyed by repository id
+ * @returns {ExportRecord[]}
+ */
+export function toExportRecords(repositories, summaries) {
+  return repositories.map((repository) => {
+    const summary = summaries[String(repository.id)]
+    return {
+      full_name: repository.full_name,
+      url: repository.html_url,
+      description: repository.description || '',
+      stars: repository.stargazers_count,
+      language: repository.language || '',
+      topics: repository.topics || [],
+      created_at: repository.created_at || '',
+      summary: summary
+        ? { text: summary.summary, provider: summary.provider, model: summary.model, timestamp: summary.timestamp }
+        : null
+    }
+  })
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180)
+ * Values a spreadsheet would run as a formula are prefixed with an apostrophe.
+ * @param {string|number} value - Field value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  let text = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * Backslashes and inline syntax are escaped, pipes cannot end the cell and
+ * line breaks become spaces so a row stays on one line.
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeMarkdownCell(text) {
+  return text
+    .replace(/[\\`*_[\]<>#~]/g, '\\$&')
+    .replace(/\|/g, '\\|')
+    .replace(/\s*[\r\n]+\s*/g, ' ')
+    .trim()
+}
+
+/**
+ * Formats records as JSON
+ * @param {ExportRecord[]} records - Exported repositories
+ * @param {Object} meta - Export details included at the top level
+ * @returns {string}
+ */
+export function toJsonExport(records, meta) {
+  return JSON.stringify({ ...meta, count: records.length, repositories: records }, null, 2) + '\n'
+}
+
+/**
+ * Formats records as CSV with a header row
+ * Starts with a byte order mark so spreadsheet apps detect UTF-8.
+ * @param {ExportRecord[]} records - Exported repositories
+ * @returns {string}
+ */
+export function toCsvExport(records) {
+  const header = ['name', 'url', 'stars', 'language', 'topics', 'description', 'summary', 'summary_provider', 'created_at']
+  const rows = records.map((record) => [
+    record.full_name,
+    record.url,
+    record.stars,
+    record.language,
+    record.topics.join(' '),
+    record.description,
+    record.summary ? record.summary.text : '',
+    record.summary ? record.summary.provider : '',
+    record.created_at
+  ])
+
+  return '\uFEFF' + [header, ...rows]
+    .map((row) => row.map(escapeCsvField).join(','))
+    .join('\r\n') + '\r\n'
+}
+
+/**
+ * Formats records as a Markdown document with one table row per repository
+ * @param {ExportRecord[]} records - Exported repositories
+ * @param {string} title - Document heading
+ * @param {string} subtitle - Line below the heading (e.g. date and filters)
+ * @returns {string}
+ */
+export function toMarkdownExport(records, title, subtitle) {
+  const rows = records.map((record) => {
+    // Parentheses would end the link target early
+    const url = record.url.replace(/\(/g, '%28').replace(/\)/g, '%29')
+    return [
+      `[${escapeMarkdownCell(record.full_name)}](${url})`,
+      String(record.stars),
+      escapeMarkdownCell(record.language),
+      escapeMarkdownCell(record.topics.join(', ')),
+      escapeMarkdownCell(record.description),
+      record.summary ? escapeMarkdownCell(record.summary.text) : ''
+    ]
+  })
+
+  return [
+    `# ${escapeMarkdownCell(title)}`,
+    '',
+    escapeMarkdownCell(subtitle),
+    '',
+    '| Repository | ⭐ Stars | Language | Topics | Description | AI Summary |',
+    '| --- | ---: | --- | --- | --- | --- |',
+    ...rows.map((cells) => `| ${cells.join(' | ')} |`),
+    ''
+  ].join('\n')
+}
@@ -0,0 +1,57 @@
+/*
+ * Repository Facets
+ * Counts topics and languages across a set of repositories, for facet
+ * navigation. Shared by /api/trends (every cached page of a query) and the
+ * Home page filters, so both count the same way; safe to import from client components.
+ */
+
+/**
+ * @typedef {import('../types/index.js').Repository} Repository
+ */
+
+/**
+ * @typedef {Object} FacetCount
+ * @property {string} value - Topic (lowercase) or language name
+ * @property {number} count - Repositories with this value
+ */
+
+/**
+ * @typedef {Object} RepositoryFacets
+ * @property {FacetCount[]} topics - Topics, most common first
+ * @property {FacetCount[]} languages - Primary languages, most common first
+ */
+
+/**
+ * Turns a count map into facet counts, most common first (ties alphabetical)
+ * @param {Map<string, number>} counts - Count per value
+ * @returns {FacetCount[]}
+ */
+function toFacetCounts(counts) {
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+}
+
+/**
+ * Counts topics and languages of repositories
+ * A repository counts once per topic, however its topics are capitalized.
+ * @param {Repository[]} repositories - Repositories to count
+ * @returns {RepositoryFacets}
+ */
+export function countFacets(repositories) {
+  /** @type {Map<string, number>} */
+  const topics = new Map()
+  /** @type {Map<string, number>} */
+  const languages = new Map()
+
+  repositories.forEach((repository) => {
+    if (repository.language) {
+      languages.set(repository.language, (languages.get(repository.language) || 0) + 1)
+    }
+    new Set((repository.topics || []).map((topic) => topic.toLowerCase())).forEach((topic) => {
+      topics.set(topic, (topics.get(topic) || 0) + 1)
+    })
+  })
+
+  return { topics: toFacetCounts(topics), languages: toFacetCounts(languages) }
+}
@@ -0,0 +1,321 @@
+/*
+ * Trends Feeds
+ * Builds RSS 2.0 and Atom feeds of trending repositories (with cached AI
+ * summaries) and answers conditional requests with ETag and Last-Modified.
+ * Used by the /api/feed.rss and /api/feed.atom routes.
+ */
+
+import crypto from 'crypto'
+import { NextResponse } from 'next/server'
+import { parseTrendsQuery, DEFAULT_TRENDS_QUERY } from './trendsQuery'
+import { getTrendsPage } from './trends'
+import { getLatestSummaries } from './summaryCache'
+import { GitHubRateLimitError } from './github'
+import { createCache } from './cache'
+
+/**
+ * @typedef {'rss'|'atom'} FeedFormat
+ */
+
+/**
+ * @typedef {Object} FeedItem
+ * @property {string} title - Repository full name
+ * @property {string} link - Repository URL on GitHub (also the item id)
+ * @property {string} html - Item body: description, AI summary and metadata
+ * @property {string[]} categories - Repository topics
+ * @property {Date} published - When the repository was created
+ * @property {Date} updated - Latest of creation and summary time
+ */
+
+/**
+ * @typedef {Object} Feed
+ * @property {string} title - Feed title
+ * @property {string} description - Feed subtitle
+ * @property {string} siteUrl - App home page
+ * @property {string} selfUrl - URL the feed was requested from
+ * @property {Date} updated - When the feed content last changed
+ * @property {FeedItem[]} items - Entries in trends order
+ */
+
+/**
+ * @typedef {Object} FeedState
+ * @property {string} etag - ETag of the feed content
+ * @property {number} changedAt - When the ETag last changed (epoch milliseconds, whole seconds)
+ */
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+}
+
+const FEED_TITLE = 'Trending AI Repositories'
+
+const FEED_STATE_TTL = 30 * 24 * 60 * 60 * 1000 // Forget feeds nobody requests for a month
+
+// Per feed URL and format: the current ETag and when it last changed
+const feedStateCache = createCache('feeds')
+
+/**
+ * Escapes text for use in XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Describes a trends query, e.g. "#llm · Rust · last 30 days"
+ * @param {import('./trendsQuery.js').TrendsQuery} query - Normalized trends query
+ * @returns {string}
+ */
+function describeQuery(query) {
+  const parts = [`#${query.topic}`]
+  if (query.language) {
+    parts.push(query.language)
+  }
+  parts.push(`last ${query.days} ${query.days === 1 ? 'day' : 'days'}`)
+  if (query.minStars > DEFAULT_TRENDS_QUERY.minStars) {
+    parts.push(`${query.minStars}+ stars`)
+  }
+  if (query.sort === 'velocity') {
+    parts.push('rising')
+  }
+  return parts.join(' · ')
+}
+
+/**
+ * Builds a feed item for a repository
+ * @param {import('./trends.js').GitHubRepository} repository - Trending repository
+ * @param {import('./summaryCache.js').CachedSummary} [summary] - Latest cached AI summary
+ * @returns {FeedItem}
+ */
+function toFeedItem(repository, summary) {
+  const published = new Date(repository.created_at)
+  const summaryTime = summary && summary.timestamp ? new Date(summary.timestamp) : null
+
+  const metadata = [`⭐ ${repository.stargazers_count}`]
+  if (repository.language) {
+    metadata.push(repository.language)
+  }
+  if (repository.topics && repository.topics.length > 0) {
+    metadata.push(repository.topics.map((topic) => `#${topic}`).join(' '))
+  }
+
+  const html = [
+    `<p>${escapeXml(repository.description || 'No description available')}</p>`,
+    summary
+      ? `<p><strong>✨ AI summary</strong> (${escapeXml(summary.provider)}): ${escapeXml(summary.summary)}</p>`
+      : '',
+    `<p>${escapeXml(metadata.join(' · '))}</p>`
+  ].join('')
+
+  return {
+    title: repository.full_name,
+    link: repository.html_url,
+    html,
+    categories: repository.topics || [],
+    published,
+    updated: summaryTime && summaryTime > published ? summaryTime : published
+  }
+}
+
+/**
+ * Renders a feed as RSS 2.0
+ * @param {Feed} feed - Feed content
+ * @returns {string} XML document
+ */
+function buildRssFeed(feed) {
+  const items = feed.items.map((item) => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.link)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    ...item.categories.map((category) => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(item.html)}</description>`,
+    '    </item>'
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Renders a feed as Atom 1.0
+ * @param {Feed} feed - Feed content
+ * @returns {string} XML document
+ */
+function buildAtomFeed(feed) {
+  const entries = feed.items.map((item) => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link href="${escapeXml(item.link)}"/>`,
+    `    <id>${escapeXml(item.link)}</id>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    ...item.categories.map((category) => `    <category term="${escapeXml(category)}"/>`),
+    `    <content type="html">${escapeXml(item.html)}</content>`,
+    '  </entry>'
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link href="${escapeXml(feed.siteUrl)}"/>`,
+    `  <link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>`,
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(FEED_TITLE)}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Whether a conditional request already has the current feed
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110)
+ * @param {Headers} headers - Request headers
+ * @param {string} etag - ETag of the current feed
+ * @param {Date} lastModified - Last-Modified of the current feed (whole seconds)
+ * @returns {boolean}
+ */
+function isNotModified(headers, etag, lastModified) {
+  const ifNoneMatch = headers.get('if-none-match')
+  if (ifNoneMatch) {
+    // Weak comparison: compressing proxies may add or drop the W/ prefix
+    const opaque = etag.replace(/^W\//, '')
+    return ifNoneMatch.split(',').some((tag) => {
+      const candidate = tag.trim()
+      return candidate === '*' || candidate.replace(/^W\//, '') === opaque
+    })
+  }
+
+  const ifModifiedSince = headers.get('if-modified-since')
+  if (ifModifiedSince) {
+    const since = Date.parse(ifModifiedSince)
+    return !Number.isNaN(since) && lastModified.getTime() <= since
+  }
+
+  return false
+}
+
+/**
+ * Returns when a feed's content last changed, recording a new ETag
+ * Item dates alone cannot tell: a repository joining or leaving the feed
+ * changes the content without changing the latest item date.
+ * @param {string} feedKey - Feed URL and format
+ * @param {string} etag - ETag of the current content
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {Promise<Date>} Last-Modified date (whole seconds)
+ */
+async function getLastModified(feedKey, etag, now = Date.now()) {
+  const entry = await feedStateCache.get(feedKey)
+  /** @type {FeedState|null} */
+  const state = entry ? entry.data : null
+  if (state && state.etag === etag) {
+    return new Date(state.changedAt)
+  }
+
+  /** @type {FeedState} */
+  const changed = { etag, changedAt: Math.floor(now / 1000) * 1000 }
+  await feedStateCache.set(feedKey, changed, FEED_STATE_TTL)
+  return new Date(changed.changedAt)
+}
+
+/**
+ * Answers a feed request: the first page of trends for the query string's
+ * filters (same parameters as /api/trends), as RSS or Atom
+ * @param {Request} request - The incoming request
+ * @param {FeedFormat} format - Feed format
+ * @returns {Promise<Response>} Feed document, 304 when unchanged, or a JSON error
+ */
+export async function createFeedResponse(request, format) {
+  const url = new URL(request.url)
+  const { query: trendsQuery, errors } = parseTrendsQuery(url.searchParams)
+  if (errors.length > 0) {
+    return NextResponse.json(
+      { error: `Invalid query parameters: ${errors.join('; ')}`, details: errors },
+      { status: 400 }
+    )
+  }
+
+  try {
+    const { entry, source } = await getTrendsPage(trendsQuery, 1)
+    const repositories = entry.data.repositories
+    const summaries = await getLatestSummaries(repositories.map((repository) => repository.id))
+    const items = repositories.map((repository) => toFeedItem(repository, summaries[String(repository.id)]))
+
+    const content = {
+      title: `${FEED_TITLE} · ${describeQuery(trendsQuery)}`,
+      description: `AI/ML repositories trending on GitHub (${describeQuery(trendsQuery)}), with AI summaries when available`,
+      siteUrl: `${url.origin}/`,
+      selfUrl: url.toString(),
+      items
+    }
+
+    // The ETag covers everything but the feed date, which is when the ETag last
+    // changed: a refresh that changes no item keeps both and readers get a 304
+    const etag = `W/"${crypto.createHash('sha1').update(`${format}\n${JSON.stringify(content)}`).digest('base64url')}"`
+    const lastModified = await getLastModified(`${format}:${content.selfUrl}`, etag)
+
+    /** @type {Feed} */
+    const feed = { ...content, updated: lastModified }
+    const body = format === 'atom' ? buildAtomFeed(feed) : buildRssFeed(feed)
+
+    /** @type {Record<string, string>} */
+    const headers = {
+      'ETag': etag,
+      'Last-Modified': lastModified.toUTCString()
+    }
+    // Stale data is being refreshed, so it should not be cached downstream
+    if (source === 'cache' || source === 'fresh') {
+      headers['Cache-Control'] = 'public, s-maxage=300, stale-while-revalidate=600' // 5min cache, 10min stale
+    }
+
+    if (isNotModified(request.headers, headers['ETag'], lastModified)) {
+      console.log(`Feed (${format}) not modified for ${url.search || 'default query'}`)
+      return new NextResponse(null, { status: 304, headers })
+    }
+
+    console.log(`Serving ${format} feed with ${items.length} items (${Object.keys(summaries).length} summarized)`)
+    return new NextResponse(body, {
+      headers: { ...headers, 'Content-Type': CONTENT_TYPES[format] }
+    })
+  } catch (error) {
+    console.error(`Error building ${format} feed:`, error)
+
+    // Tell feed readers when to retry if GitHub's quota is exhausted
+    if (error instanceof GitHubRateLimitError) {
+      return NextResponse.json(
+        { error: error.message, retry_after_seconds: error.retryAfterSeconds },
+        { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+      )
+    }
+
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to build feed' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,188 @@
+/*
+ * GitHub API Client
+ * Shared fetch wrapper that adds authentication and tracks rate-limit quota
+ * so API routes can back off instead of hammering GitHub
+ */
+
+const GITHUB_API_URL = 'https://api.github.com'
+
+/**
+ * @typedef {Object} RateLimitState
+ * @property {number|null} limit - Requests allowed per window
+ * @property {number|null} remaining - Requests left in the current window
+ * @property {number} resetAt - Epoch milliseconds when the window resets
+ * @property {number} updatedAt - Epoch milliseconds when the headers were last read
+ */
+
+// Quota per GitHub resource ("search" and "core" are limited separately), on
+// globalThis so the scheduler (bundled with instrumentation.js) and the routes
+// see the same quota
+/** @type {Map<string, RateLimitState>} */
+const rateLimits = (globalThis.__githubRateLimits ??= new Map())
+
+/**
+ * Thrown when GitHub's quota is exhausted and we are waiting for the reset
+ */
+export class GitHubRateLimitError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {number} resetAt - Epoch milliseconds when requests may resume
+   */
+  constructor(message, resetAt) {
+    super(message)
+    this.name = 'GitHubRateLimitError'
+    this.resetAt = resetAt
+  }
+
+  /**
+   * Seconds until the quota resets (for Retry-After headers)
+   * @returns {number}
+   */
+  get retryAfterSeconds() {
+    return Math.max(1, Math.ceil((this.resetAt - Date.now()) / 1000))
+  }
+}
+
+/**
+ * Returns the server-side GitHub token, ignoring the .env example placeholder
+ * @returns {string|null}
+ */
+function getToken() {
+  const token = process.env.GITHUB_TOKEN
+  if (!token || token === 'your_github_token_here') {
+    return null
+  }
+  return token
+}
+
+/**
+ * Whether requests are sent with a GITHUB_TOKEN
+ * @returns {boolean}
+ */
+export function isAuthenticated() {
+  return getToken() !== null
+}
+
+/**
+ * Maps an API path to the GitHub rate-limit resource it counts against
+ * @param {string} path - API path, e.g. "/search/repositories?q=..."
+ * @returns {string}
+ */
+function getResource(path) {
+  return path.startsWith('/search/') ? 'search' : 'core'
+}
+
+/**
+ * Records the X-RateLimit-* headers of a GitHub response
+ * @param {string} fallbackResource - Resource to use when GitHub omits X-RateLimit-Resource
+ * @param {Response} response - GitHub API response
+ */
+function recordRateLimit(fallbackResource, response) {
+  const resource = response.headers.get('x-ratelimit-resource') || fallbackResource
+  const limit = response.headers.get('x-ratelimit-limit')
+  const remaining = response.headers.get('x-ratelimit-remaining')
+  const reset = response.headers.get('x-ratelimit-reset')
+
+  if (remaining !== null && reset !== null) {
+    rateLimits.set(resource, {
+      limit: limit === null ? null : parseInt(limit, 10),
+      remaining: parseInt(remaining, 10),
+      resetAt: parseInt(reset, 10) * 1000, // GitHub sends epoch seconds
+      updatedAt: Date.now()
+    })
+  }
+
+  // Secondary rate limits send Retry-After without exhausting the quota
+  const retryAfter = response.headers.get('retry-after')
+  if (retryAfter !== null && (response.status === 403 || response.status === 429)) {
+    const state = rateLimits.get(resource)
+    rateLimits.set(resource, {
+      limit: state ? state.limit : null,
+      remaining: 0,
+      resetAt: Math.max(state ? state.resetAt : 0, Date.now() + parseInt(retryAfter, 10) * 1000),
+      updatedAt: Date.now()
+    })
+  }
+}
+
+/**
+ * Returns the epoch milliseconds until which a resource must not be called,
+ * or 0 if requests may be sent
+ * @param {string} resource - GitHub rate-limit resource
+ * @returns {number}
+ */
+function getBackoffUntil(resource) {
+  const state = rateLimits.get(resource)
+  if (state && state.remaining === 0 && state.resetAt > Date.now()) {
+    return state.resetAt
+  }
+  return 0
+}
+
+/**
+ * Fetches a GitHub API path with authentication and rate-limit tracking
+ * Throws GitHubRateLimitError without sending a request while backing off,
+ * and when GitHub itself answers with a rate-limit error
+ * @param {string} path - API path starting with "/", e.g. "/search/repositories?q=..."
+ * @param {RequestInit} [options] - Additional fetch options
+ * @returns {Promise<Response>} GitHub API response (may be non-OK)
+ */
+export async function githubFetch(path, options = {}) {
+  const resource = getResource(path)
+  const backoffUntil = getBackoffUntil(resource)
+
+  if (backoffUntil) {
+    throw new GitHubRateLimitError(
+      `GitHub API rate limit exceeded. Requests resume at ${new Date(backoffUntil).toISOString()}.`,
+      backoffUntil
+    )
+  }
+
+  const token = getToken()
+  const response = await fetch(`${GITHUB_API_URL}${path}`, {
+    ...options,
+    headers: {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'AI-News-Aggregator/1.0',
+      ...(token && { 'Authorization': `Bearer ${token}` }),
+      ...options.headers
+    }
+  })
+
+  recordRateLimit(resource, response)
+
+  const rateLimitedUntil = getBackoffUntil(resource)
+  if ((response.status === 403 || response.status === 429) && rateLimitedUntil) {
+    throw new GitHubRateLimitError(
+      `GitHub API rate limit exceeded. Please try again after ${new Date(rateLimitedUntil).toISOString()}.`,
+      rateLimitedUntil
+    )
+  }
+
+  return response
+}
+
+/**
+ * Returns the current quota state for reporting (e.g. OPTIONS /api/trends)
+ * @returns {Object} Authentication flag and per-resource quota
+ */
+export function getRateLimitStatus() {
+  const now = Date.now()
+  /** @type {Record<string, Object>} */
+  const resources = {}
+
+  rateLimits.forEach((state, resource) => {
+    resources[resource] = {
+      limit: state.limit,
+      remaining: state.remaining,
+      reset_at: new Date(state.resetAt).toISOString(),
+      backing_off: state.remaining === 0 && state.resetAt > now,
+      updated_at: new Date(state.updatedAt).toISOString()
+    }
+  })
+
+  return {
+    authenticated: isAuthenticated(),
+    resources
+  }
+}
@@ -0,0 +1,159 @@
+/*
+ * Summary Prompts
+ * Style presets and output languages for repository summaries, and the
+ * prompt built from them. Safe to import from client components.
+ */
+
+// Bump whenever a prompt changes so cached summaries are regenerated
+export const PROMPT_VERSION = 1
+
+/**
+ * @typedef {Object} SummaryStyle
+ * @property {string} id - Style identifier sent by clients
+ * @property {string} label - Display name
+ * @property {string} instructions - What the model is asked to write
+ * @property {number} maxTokens - Generation limit for this style
+ */
+
+/** @type {SummaryStyle[]} */
+export const SUMMARY_STYLES = [
+  {
+    id: 'three-sentence',
+    label: '📝 Three sentences',
+    instructions: `Summarize the given GitHub repository information in exactly 3 sentences. Focus on:
+1. What the repository does (main purpose/functionality)
+2. Key features or technologies used
+3. Target use case or audience
+
+Keep it concise, technical, and informative.`,
+    maxTokens: 150
+  },
+  {
+    id: 'tldr',
+    label: '⚡ TL;DR',
+    instructions: 'Summarize the given GitHub repository information in a single short sentence of at most 25 words that says what it is and why it matters.',
+    maxTokens: 80
+  },
+  {
+    id: 'bullets',
+    label: '• Bullet points',
+    instructions: `Summarize the given GitHub repository information as 3 to 5 short bullet points, each starting with "- ". Cover its purpose, key features, technologies and intended users.`,
+    maxTokens: 250
+  },
+  {
+    id: 'eli5',
+    label: '🧸 ELI5',
+    instructions: 'Explain what the given GitHub repository does as if to a curious 10-year-old, in 2 to 4 short sentences with everyday words and no jargon.',
+    maxTokens: 150
+  },
+  {
+    id: 'deep-dive',
+    label: '🔬 Technical deep-dive',
+    instructions: `Write a technical overview of the given GitHub repository in 2 short paragraphs for an experienced engineer. Cover:
+1. The problem it solves and how it works (architecture, notable techniques or models)
+2. Stack, integrations, maturity and trade-offs compared with common alternatives
+
+Only state what the provided information supports.`,
+    maxTokens: 400
+  }
+]
+
+/**
+ * @typedef {Object} OutputLanguage
+ * @property {string} code - ISO 639-1 code sent by clients
+ * @property {string} label - Display name (English and native)
+ * @property {string} name - English name used in the prompt
+ */
+
+/** @type {OutputLanguage[]} */
+export const OUTPUT_LANGUAGES = [
+  { code: 'en', label: 'English', name: 'English' },
+  { code: 'he', label: 'Hebrew (עברית)', name: 'Hebrew' },
+  { code: 'es', label: 'Spanish (Español)', name: 'Spanish' },
+  { code: 'fr', label: 'French (Français)', name: 'French' },
+  { code: 'de', label: 'German (Deutsch)', name: 'German' },
+  { code: 'it', label: 'Italian (Italiano)', name: 'Italian' },
+  { code: 'pt', label: 'Portuguese (Português)', name: 'Portuguese' },
+  { code: 'ru', label: 'Russian (Русский)', name: 'Russian' },
+  { code: 'uk', label: 'Ukrainian (Українська)', name: 'Ukrainian' },
+  { code: 'ar', label: 'Arabic (العربية)', name: 'Arabic' },
+  { code: 'hi', label: 'Hindi (हिन्दी)', name: 'Hindi' },
+  { code: 'zh', label: 'Chinese (中文)', name: 'Simplified Chinese' },
+  { code: 'ja', label: 'Japanese (日本語)', name: 'Japanese' },
+  { code: 'ko', label: 'Korean (한국어)', name: 'Korean' }
+]
+
+export const DEFAULT_SUMMARY_STYLE = 'three-sentence'
+export const DEFAULT_OUTPUT_LANGUAGE = 'en'
+
+/**
+ * Looks up a summary style
+ * @param {string} id - Style identifier
+ * @returns {SummaryStyle|null}
+ */
+export function getSummaryStyle(id) {
+  return SUMMARY_STYLES.find((style) => style.id === id) || null
+}
+
+/**
+ * Looks up an output language
+ * @param {string} code - Language code
+ * @returns {OutputLanguage|null}
+ */
+export function getOutputLanguage(code) {
+  return OUTPUT_LANGUAGES.find((language) => language.code === code) || null
+}
+
+/**
+ * Builds the summarization prompt for a style and output language
+ * @param {Object} options - Prompt options
+ * @param {string} options.context - Repository description, topics and README excerpt
+ * @param {string} [options.style] - Style identifier (defaults to three sentences)
+ * @param {string} [options.language] - Output language code (defaults to English)
+ * @returns {import('./providers/index.js').SummaryPrompt}
+ */
+export function buildSummaryPrompt({ context, style = DEFAULT_SUMMARY_STYLE, language = DEFAULT_OUTPUT_LANGUAGE }) {
+  const summaryStyle = getSummaryStyle(style) || getSummaryStyle(DEFAULT_SUMMARY_STYLE)
+  const outputLanguage = getOutputLanguage(language) || getOutputLanguage(DEFAULT_OUTPUT_LANGUAGE)
+
+  // Repository text is often English; ask explicitly so the model does not echo its language
+  const languageInstruction = outputLanguage.code === DEFAULT_OUTPUT_LANGUAGE
+    ? ''
+    : `\n\nWrite the entire answer in ${outputLanguage.name}, whatever the language of the repository information. Keep project names, code identifiers and technical terms without a common translation as they are.`
+
+  return {
+    system: `You are a technical summarizer. ${summaryStyle.instructions}${languageInstruction}`,
+    user: `Please summarize this GitHub repository:\n\n${context}`,
+    // Other languages (non-Latin scripts especially) need more tokens for the same text
+    maxTokens: outputLanguage.code === DEFAULT_OUTPUT_LANGUAGE ? summaryStyle.maxTokens : summaryStyle.maxTokens * 2
+  }
+}
+
+/**
+ * Builds the prompt for a digest overview: a short editorial about the
+ * repositories of a period, written from their summaries
+ * @param {Object} options - Prompt options
+ * @param {{ full_name: string, description: string|null, stars: number, summary: string|null }[]} options.repositories - Repositories of the digest, most popular first
+ * @param {number} options.days - Length of the period in days
+ * @param {string} [options.language] - Output language code (defaults to English)
+ * @returns {import('./providers/index.js').SummaryPrompt}
+ */
+export function buildDigestOverviewPrompt({ repositories, days, language = DEFAULT_OUTPUT_LANGUAGE }) {
+  const outputLanguage = getOutputLanguage(language) || getOutputLanguage(DEFAULT_OUTPUT_LANGUAGE)
+  const period = days === 7 ? 'this week' : `the last ${days} days`
+
+  const languageInstruction = outputLanguage.code === DEFAULT_OUTPUT_LANGUAGE
+    ? ''
+    : ` Write the entire overview in ${outputLanguage.name}, keeping project names as they are.`
+
+  const context = repositories.map((repository, index) => [
+    `${index + 1}. ${repository.full_name} (${repository.stars} stars)`,
+    repository.summary || repository.description || 'No description available'
+  ].join('\n')).join('\n\n')
+
+  return {
+    system: `You are the editor of a newsletter about AI open source. Write a short overview of what happened in AI open source ${period}, based only on the new repositories provided. In 2 or 3 paragraphs of plain prose, point out the main themes and trends they share and mention the most notable projects by name. Do not list every repository and do not invent facts.${languageInstruction}`,
+    user: `New trending AI repositories from ${period}:\n\n${context}`,
+    maxTokens: outputLanguage.code === DEFAULT_OUTPUT_LANGUAGE ? 500 : 1000
+  }
+}
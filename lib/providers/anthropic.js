@@ -0,0 +1,78 @@
+/*
+ * Anthropic Provider
+ * Anthropic Messages API: the system prompt is sent inline and streams use
+ * typed events such as "content_block_delta" and "message_stop"
+ */
+
+import { mapProviderError } from './errors'
+
+const MODEL = 'claude-3-haiku-20240307'
+
+/**
+ * @type {import('./index.js').LLMProviderDefinition}
+ */
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic (Claude)',
+  defaultModel: MODEL,
+  requiresApiKey: true,
+  requiresBaseUrl: false,
+  hint: '💡 Get your API key from console.anthropic.com',
+
+  validate(options) {
+    return options.apiKey || options.serverManaged ? null : 'An API key is required for Anthropic'
+  },
+
+  getModel() {
+    return MODEL
+  },
+
+  buildRequest(options, prompt) {
+    return {
+      endpoint: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': options.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      payload: {
+        model: MODEL,
+        max_tokens: prompt.maxTokens,
+        messages: [
+          {
+            role: 'user',
+            content: `${prompt.system}\n\n${prompt.user}`
+          }
+        ]
+      }
+    }
+  },
+
+  parseResponse(data) {
+    return data.content?.[0]?.text?.trim()
+  },
+
+  parseStreamEvent(message) {
+    let data
+    try {
+      data = JSON.parse(message.data)
+    } catch (e) {
+      return {} // Ignore keep-alives and malformed lines
+    }
+
+    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      return { text: data.delta.text }
+    }
+    if (data.type === 'message_stop') {
+      return { done: true }
+    }
+    if (data.type === 'error') {
+      return { error: data.error?.message || 'anthropic stream error' }
+    }
+    return {}
+  },
+
+  mapError(status) {
+    return mapProviderError('anthropic', status)
+  }
+}
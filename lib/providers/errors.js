@@ -0,0 +1,22 @@
+/*
+ * Provider Error Mapping
+ * Translates upstream LLM API HTTP errors into the message and status we return
+ */
+
+/**
+ * Maps an LLM provider HTTP error to the message and status we return
+ * @param {string} provider - Provider id
+ * @param {number} status - Upstream HTTP status
+ * @returns {{ error: string, status: number }}
+ */
+export function mapProviderError(provider, status) {
+  if (status === 401) {
+    return { error: 'Invalid API key. Please check your credentials.', status: 401 }
+  }
+
+  if (status === 429) {
+    return { error: 'Rate limit exceeded. Please try again later.', status: 429 }
+  }
+
+  return { error: `${provider} API error: ${status}`, status: 500 }
+}
@@ -0,0 +1,120 @@
+/*
+ * LLM Provider Registry
+ * Every summarization provider is defined in one place: how to build its
+ * request, read its response (complete or streamed) and map its HTTP errors.
+ * Safe to import from client components (no server-only dependencies).
+ *
+ * - openai, groq: hosted OpenAI-style chat completions APIs
+ * - anthropic: Anthropic Messages API
+ * - openai-compatible: any server speaking the OpenAI chat completions API
+ *   (Ollama, llama.cpp, vLLM, LM Studio) at a user-supplied base URL
+ */
+
+import { createOpenAICompatibleProvider } from './openaiCompatible'
+import { anthropicProvider } from './anthropic'
+
+/**
+ * User-supplied provider settings sent with each summarize request
+ *
+ * @typedef {Object} ProviderOptions
+ * @property {string} [apiKey] - Provider API key
+ * @property {string} [model] - Model override (required when the provider has no default model)
+ * @property {string} [baseUrl] - API base URL, e.g. "http://localhost:11434/v1"
+ * @property {boolean} [serverManaged] - The server supplies the API key (client-side validation only)
+ */
+
+/**
+ * Prompt passed to a provider's request builder
+ *
+ * @typedef {Object} SummaryPrompt
+ * @property {string} system - System instructions
+ * @property {string} user - User message with the repository context
+ * @property {number} maxTokens - Maximum tokens to generate
+ */
+
+/**
+ * HTTP request for a provider API
+ *
+ * @typedef {Object} ProviderRequest
+ * @property {string} endpoint - Absolute URL to POST to
+ * @property {Object<string, string>} headers - Request headers
+ * @property {Object} payload - JSON body (without the "stream" flag)
+ */
+
+/**
+ * Text extracted from one upstream stream event
+ *
+ * @typedef {Object} ProviderStreamEvent
+ * @property {string} [text] - Generated text delta
+ * @property {boolean} [done] - The provider finished generating
+ * @property {string} [error] - Error reported mid-stream
+ */
+
+/**
+ * Summarization provider definition
+ *
+ * @typedef {Object} LLMProviderDefinition
+ * @property {string} id - Provider identifier sent by clients
+ * @property {string} label - Display name
+ * @property {string|null} defaultModel - Model used unless overridden (null when the user must choose one)
+ * @property {boolean} requiresApiKey - Whether requests need an API key
+ * @property {boolean} requiresBaseUrl - Whether the user must supply the API base URL
+ * @property {string} hint - Setup hint shown in the configuration modal
+ * @property {function(ProviderOptions): string|null} validate - Returns an error message for unusable options
+ * @property {function(ProviderOptions): string} getModel - Model a request will use
+ * @property {function(ProviderOptions, SummaryPrompt): ProviderRequest} buildRequest - Builds the API request
+ * @property {function(Object): (string|undefined)} parseResponse - Extracts the summary from a JSON response
+ * @property {function(import('../sse.js').SSEMessage): ProviderStreamEvent} parseStreamEvent - Reads one stream event
+ * @property {function(number): { error: string, status: number }} mapError - Maps an upstream HTTP status to our error
+ */
+
+/** @type {Object<string, LLMProviderDefinition>} */
+const PROVIDERS = {
+  openai: createOpenAICompatibleProvider({
+    id: 'openai',
+    label: 'OpenAI (GPT)',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    defaultModel: 'gpt-3.5-turbo',
+    hint: '💡 Get your API key from platform.openai.com'
+  }),
+  anthropic: anthropicProvider,
+  groq: createOpenAICompatibleProvider({
+    id: 'groq',
+    label: 'Groq',
+    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+    defaultModel: 'mixtral-8x7b-32768',
+    hint: '💡 Get your API key from console.groq.com',
+    headers: { 'User-Agent': 'AI-News-Aggregator/1.0' }
+  }),
+  'openai-compatible': createOpenAICompatibleProvider({
+    id: 'openai-compatible',
+    label: 'OpenAI-compatible (Ollama, llama.cpp)',
+    endpoint: null,
+    defaultModel: null,
+    requiresApiKey: false,
+    hint: '💡 Point to a server allowed in OPENAI_COMPATIBLE_BASE_URLS, e.g. http://localhost:11434/v1 for Ollama or http://localhost:8080/v1 for llama.cpp'
+  })
+}
+
+/**
+ * Identifiers of all registered providers
+ * @type {string[]}
+ */
+export const PROVIDER_IDS = Object.keys(PROVIDERS)
+
+/**
+ * Looks up a provider by id
+ * @param {string} id - Provider identifier
+ * @returns {LLMProviderDefinition|null} Provider, or null if unknown
+ */
+export function getProvider(id) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, id) ? PROVIDERS[id] : null
+}
+
+/**
+ * Lists all registered providers in display order
+ * @returns {LLMProviderDefinition[]}
+ */
+export function listProviders() {
+  return Object.values(PROVIDERS)
+}
@@ -0,0 +1,146 @@
+/*
+ * OpenAI-Compatible Providers
+ * Chat completions request/response handling shared by OpenAI, Groq and any
+ * self-hosted server that implements the same API (Ollama, llama.cpp, vLLM)
+ */
+
+import { mapProviderError } from './errors'
+
+/**
+ * @typedef {import('./index.js').LLMProviderDefinition} LLMProviderDefinition
+ * @typedef {import('./index.js').ProviderOptions} ProviderOptions
+ */
+
+/**
+ * Resolves the chat completions endpoint for a user-supplied base URL
+ * Accepts either the API root ("http://host:11434/v1") or the full endpoint
+ * @param {string} baseUrl - Base URL entered by the user
+ * @returns {string} Chat completions endpoint
+ */
+function toChatCompletionsEndpoint(baseUrl) {
+  const trimmed = baseUrl.trim().replace(/\/+$/, '')
+  return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`
+}
+
+/**
+ * Whether a string is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value)
+    return url.protocol === 'http:' || url.protocol === 'https:'
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Creates a provider for an OpenAI-style chat completions API
+ * Without a fixed endpoint the user must supply a base URL and a model
+ * @param {Object} config - Provider configuration
+ * @param {string} config.id - Provider identifier
+ * @param {string} config.label - Display name
+ * @param {string|null} config.endpoint - Chat completions endpoint (null to use the user's base URL)
+ * @param {string|null} config.defaultModel - Default model (null to require the user's model)
+ * @param {string} config.hint - Setup hint for the configuration modal
+ * @param {boolean} [config.requiresApiKey=true] - Whether an API key is required
+ * @param {Object<string, string>} [config.headers] - Extra request headers
+ * @returns {LLMProviderDefinition}
+ */
+export function createOpenAICompatibleProvider({
+  id,
+  label,
+  endpoint,
+  defaultModel,
+  hint,
+  requiresApiKey = true,
+  headers = {}
+}) {
+  /**
+   * Hosted providers keep their default; custom endpoints serve whatever the user loaded
+   * @param {ProviderOptions} options - User-supplied options
+   * @returns {string}
+   */
+  const getModel = (options) => (!defaultModel && options.model) || defaultModel
+
+  return {
+    id,
+    label,
+    defaultModel,
+    requiresApiKey,
+    requiresBaseUrl: !endpoint,
+    hint,
+
+    validate(options) {
+      if (requiresApiKey && !options.apiKey && !options.serverManaged) {
+        return `An API key is required for ${label}`
+      }
+      if (!endpoint && (!options.baseUrl || !isHttpUrl(options.baseUrl))) {
+        return 'A valid http(s) baseUrl is required, e.g. "http://localhost:11434/v1"'
+      }
+      if (!defaultModel && !options.model) {
+        return `A model is required for ${label}, e.g. "llama3"`
+      }
+      return null
+    },
+
+    getModel,
+
+    buildRequest(options, prompt) {
+      return {
+        endpoint: endpoint || toChatCompletionsEndpoint(options.baseUrl),
+        headers: {
+          'Content-Type': 'application/json',
+          // Local servers usually accept requests without a key
+          ...(options.apiKey && { 'Authorization': `Bearer ${options.apiKey}` }),
+          ...headers
+        },
+        payload: {
+          model: getModel(options),
+          messages: [
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+          ],
+          max_tokens: prompt.maxTokens,
+          temperature: 0.3,
+          top_p: 1,
+          frequency_penalty: 0,
+          presence_penalty: 0
+        }
+      }
+    },
+
+    parseResponse(data) {
+      return data.choices?.[0]?.message?.content?.trim()
+    },
+
+    // Stream chunks are "data: {choices:[{delta:{content}}]}" ending with "data: [DONE]"
+    parseStreamEvent(message) {
+      if (message.data === '[DONE]') {
+        return { done: true }
+      }
+
+      let data
+      try {
+        data = JSON.parse(message.data)
+      } catch (e) {
+        return {} // Ignore keep-alives and malformed lines
+      }
+
+      if (data.error) {
+        return { error: data.error.message || `${label} stream error` }
+      }
+
+      return { text: data.choices?.[0]?.delta?.content || '' }
+    },
+
+    mapError(status) {
+      if (!endpoint && status === 404) {
+        return { error: `${label} endpoint or model not found. Check the base URL and model name.`, status: 502 }
+      }
+      return mapProviderError(id, status)
+    }
+  }
+}
@@ -0,0 +1,95 @@
+/*
+ * Server-Managed Provider Credentials
+ * Provider API keys set by the operator in environment variables, so clients
+ * can summarize without sending a key, and the self-hosted servers clients may
+ * choose as base URL. Server-only: never import from client components.
+ *
+ * Only hosted providers with a fixed endpoint qualify for keys; a key for a
+ * request's base URL would be sent to whatever server the client names.
+ * Base URLs are limited to an operator allowlist so requests cannot make the
+ * server call arbitrary (internal) hosts.
+ */
+
+/** @type {Object<string, string>} Provider id to the environment variable holding its key */
+const SERVER_KEY_ENV = {
+  openai: 'OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  groq: 'GROQ_API_KEY'
+}
+
+/**
+ * Returns the operator's API key for a provider, ignoring .env example placeholders
+ * @param {string} providerId - Provider identifier
+ * @returns {string|null}
+ */
+export function getServerApiKey(providerId) {
+  const variable = Object.prototype.hasOwnProperty.call(SERVER_KEY_ENV, providerId) ? SERVER_KEY_ENV[providerId] : null
+  const key = variable ? process.env[variable] : null
+  if (!key || /^your_.*_here$/.test(key)) {
+    return null
+  }
+  return key
+}
+
+/**
+ * Reduces a base URL to a comparable form: origin and path without trailing
+ * slashes or "/chat/completions"
+ * @param {string} value - Base URL
+ * @returns {string|null} Normalized URL, or null if it is not an http(s) URL
+ */
+function normalizeBaseUrl(value) {
+  try {
+    const url = new URL(value.trim())
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null
+    }
+    return `${url.origin}${url.pathname.replace(/\/+$/, '').replace(/\/chat\/completions$/, '')}`
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Base URLs of the OpenAI-compatible servers requests may use
+ * Read from OPENAI_COMPATIBLE_BASE_URLS (comma-separated); none when unset.
+ * @returns {string[]} Normalized base URLs
+ */
+export function getAllowedBaseUrls() {
+  const value = process.env.OPENAI_COMPATIBLE_BASE_URLS || ''
+  if (/^your_.*_here$/.test(value)) {
+    return []
+  }
+  return value.split(',').map(normalizeBaseUrl).filter(Boolean)
+}
+
+/**
+ * Resolves the base URL a request asks for against the allowlist
+ * A request without one uses the only allowed server, if exactly one is configured.
+ * @param {string} [baseUrl] - Base URL from the request
+ * @returns {string|null} Allowed base URL, or null when it is not allowed
+ */
+export function resolveAllowedBaseUrl(baseUrl) {
+  const allowed = getAllowedBaseUrls()
+  if (!baseUrl) {
+    return allowed.length === 1 ? allowed[0] : null
+  }
+  const normalized = normalizeBaseUrl(baseUrl)
+  return normalized && allowed.includes(normalized) ? normalized : null
+}
+
+/**
+ * Whether the server holds the API key for a provider
+ * @param {string} providerId - Provider identifier
+ * @returns {boolean}
+ */
+export function isServerManaged(providerId) {
+  return getServerApiKey(providerId) !== null
+}
+
+/**
+ * Identifiers of the providers whose key is set on the server
+ * @returns {string[]}
+ */
+export function listServerManagedProviders() {
+  return Object.keys(SERVER_KEY_ENV).filter(isServerManaged)
+}
@@ -0,0 +1,123 @@
+/*
+ * Repository README Loader
+ * Fetches a repository README from GitHub and condenses it into prompt-ready
+ * plain text: badges, images, HTML and code blocks are removed and the result
+ * is trimmed to a token budget
+ */
+
+import { githubFetch } from './github'
+import { createCache } from './cache'
+
+const README_CACHE_DURATION = 60 * 60 * 1000 // 1 hour in milliseconds
+const CHARS_PER_TOKEN = 4 // Rough average for English text with GPT-style tokenizers
+
+// GitHub owner/name: letters, numbers, ".", "-" and "_"
+const FULL_NAME_PATTERN = /^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/
+
+// Raw README markdown keyed by full_name ("" when a repository has none)
+const readmeCache = createCache('readmes')
+
+/**
+ * Whether a string is a valid "owner/name" repository identifier
+ * @param {string} fullName - Repository full name
+ * @returns {boolean}
+ */
+export function isValidFullName(fullName) {
+  return typeof fullName === 'string' && FULL_NAME_PATTERN.test(fullName) && !fullName.includes('..')
+}
+
+/**
+ * Fetches the raw README markdown of a repository
+ * @param {string} fullName - Repository full name, e.g. "facebook/react"
+ * @returns {Promise<string|null>} README markdown, or null if the repository has none
+ */
+export async function fetchReadme(fullName) {
+  if (!isValidFullName(fullName)) {
+    throw new Error(`Invalid repository name: ${fullName}`)
+  }
+
+  const cached = await readmeCache.get(fullName)
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data || null
+  }
+
+  const response = await githubFetch(`/repos/${fullName}/readme`, {
+    headers: { 'Accept': 'application/vnd.github.raw' }
+  })
+
+  if (response.status === 404) {
+    await readmeCache.set(fullName, '', README_CACHE_DURATION)
+    return null
+  }
+
+  if (!response.ok) {
+    throw new Error(`GitHub README request failed: ${response.status}`)
+  }
+
+  const markdown = await response.text()
+  await readmeCache.set(fullName, markdown, README_CACHE_DURATION)
+  return markdown
+}
+
+/**
+ * Strips markdown noise that carries little meaning for a summary
+ * @param {string} markdown - Raw README markdown
+ * @returns {string} Plain-ish text with headings and paragraphs preserved
+ */
+export function cleanReadme(markdown) {
+  return markdown
+    .replace(/\r\n/g, '\n')
+    .replace(/<!--[\s\S]*?-->/g, '') // HTML comments
+    .replace(/```[\s\S]*?```/g, '') // Fenced code blocks
+    .replace(/~~~[\s\S]*?~~~/g, '')
+    .replace(/\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '') // Linked badges: [![alt](img)](link)
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // Images and badges: ![alt](img)
+    .replace(/!\[[^\]]*\]\[[^\]]*\]/g, '') // Reference-style images
+    .replace(/^\s*\[[^\]]+\]:\s*\S+.*$/gm, '') // Link reference definitions
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Inline links keep their text
+    .replace(/<[^>]+>/g, '') // HTML tags (centered logos, <img>, <p align>)
+    .replace(/^#{1,6}\s*/gm, '') // Heading markers
+    .replace(/^\s*(?:[-*_]\s*){3,}$/gm, '') // Horizontal rules
+    .replace(/^\s*\|?\s*:?-{3,}.*$/gm, '') // Table separator rows
+    .replace(/(\*\*|__)(.*?)\1/g, '$2') // Bold
+    .replace(/`([^`]+)`/g, '$1') // Inline code
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * Trims text to roughly fit a token budget, preferring paragraph or sentence boundaries
+ * @param {string} text - Text to trim
+ * @param {number} maxTokens - Approximate maximum number of tokens
+ * @returns {string} Trimmed text ("…" appended when cut)
+ */
+export function fitToTokenBudget(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN
+  if (text.length <= maxChars) {
+    return text
+  }
+
+  const slice = text.slice(0, maxChars)
+  const boundary = Math.max(slice.lastIndexOf('\n\n'), slice.lastIndexOf('. '))
+
+  // Only cut at a boundary if it keeps most of the budget
+  const cut = boundary > maxChars * 0.6 ? slice.slice(0, boundary + 1) : slice
+  return `${cut.trim()}…`
+}
+
+/**
+ * Fetches a README and prepares it for a summarization prompt
+ * @param {string} fullName - Repository full name
+ * @param {number} maxTokens - Approximate token budget for the README excerpt
+ * @returns {Promise<string|null>} Cleaned excerpt, or null if there is no usable README
+ */
+export async function getReadmeExcerpt(fullName, maxTokens) {
+  const markdown = await fetchReadme(fullName)
+  if (!markdown) {
+    return null
+  }
+
+  const cleaned = cleanReadme(markdown)
+  return cleaned ? fitToTokenBudget(cleaned, maxTokens) : null
+}
@@ -0,0 +1,74 @@
+/*
+ * Repository Metadata
+ * Looks up current metadata of individual repositories by id (ids survive
+ * renames and transfers), cached briefly to spare the GitHub quota
+ */
+
+import { githubFetch } from './github'
+import { createCache, isExpired } from './cache'
+
+/**
+ * @typedef {import('../types/index.js').Repository} Repository
+ */
+
+const repositoryCache = createCache('repositories')
+
+const CACHE_DURATION = 10 * 60 * 1000 // 10 minutes in milliseconds
+
+/**
+ * Keeps the Repository fields of a GitHub API repository object
+ * @param {Object} data - Repository from the GitHub API
+ * @returns {Repository}
+ */
+export function toRepository(data) {
+  return {
+    id: data.id,
+    name: data.name,
+    full_name: data.full_name,
+    description: data.description,
+    stargazers_count: data.stargazers_count,
+    html_url: data.html_url,
+    topics: data.topics || [],
+    updated_at: data.updated_at,
+    language: data.language,
+    created_at: data.created_at
+  }
+}
+
+/**
+ * Fetches current metadata of a repository
+ * Falls back to the last known metadata when GitHub cannot be reached
+ * @param {number|string} id - GitHub repository id
+ * @returns {Promise<Repository|null>} Repository, or null if it was deleted or made private
+ * @throws {import('./github.js').GitHubRateLimitError} While GitHub's quota is exhausted and nothing is cached
+ */
+export async function fetchRepository(id) {
+  const cacheKey = String(id)
+  const cached = await repositoryCache.get(cacheKey)
+  if (cached && !isExpired(cached)) {
+    return cached.data
+  }
+
+  try {
+    const response = await githubFetch(`/repositories/${id}`)
+
+    if (response.status === 404) {
+      await repositoryCache.set(cacheKey, null, CACHE_DURATION)
+      return null
+    }
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`)
+    }
+
+    const repository = toRepository(await response.json())
+    await repositoryCache.set(cacheKey, repository, CACHE_DURATION)
+    return repository
+  } catch (error) {
+    if (cached) {
+      console.log(`Returning stale metadata for repository ${id} due to error:`, error instanceof Error ? error.message : error)
+      return cached.data
+    }
+    throw error
+  }
+}
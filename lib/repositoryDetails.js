@@ -0,0 +1,285 @@
+/*
+ * Repository Details
+ * Everything the repository page shows beyond the card: the README as
+ * sanitized HTML, language breakdown, recent releases, top contributors and
+ * license. Cached briefly per repository; sections GitHub cannot provide
+ * right now are returned as null so the rest still loads.
+ */
+
+import { githubFetch } from './github'
+import { toRepository } from './repositories'
+import { isValidFullName } from './readme'
+import { sanitizeHtml } from './sanitizeHtml'
+import { createCache, isExpired } from './cache'
+import { getLatestSummaries } from './summaryCache'
+
+/**
+ * @typedef {Object} LanguageShare
+ * @property {string} name - Language name
+ * @property {number} bytes - Bytes of code in the language
+ * @property {number} percent - Share of all code, rounded to one decimal
+ */
+
+/**
+ * @typedef {Object} Release
+ * @property {string} name - Release title (the tag when untitled)
+ * @property {string} tag_name - Git tag
+ * @property {string} html_url - Release page on GitHub
+ * @property {string|null} published_at - Publication time (ISO 8601)
+ * @property {boolean} prerelease - Whether it is marked as a pre-release
+ */
+
+/**
+ * @typedef {Object} Contributor
+ * @property {string} login - GitHub username
+ * @property {string} avatar_url - Avatar image URL
+ * @property {string} html_url - Profile page on GitHub
+ * @property {number} contributions - Commits to the default branch
+ */
+
+/**
+ * @typedef {import('../types/index.js').Repository & {
+ *   forks_count: number,
+ *   open_issues_count: number,
+ *   homepage: string|null,
+ *   default_branch: string,
+ *   archived: boolean,
+ *   pushed_at: string,
+ *   license: { spdx_id: string|null, name: string, url: string|null }|null
+ * }} DetailedRepository
+ */
+
+/**
+ * @typedef {Object} RepositoryDetails
+ * @property {DetailedRepository} repository - Repository metadata
+ * @property {string|null} readme_html - Sanitized README HTML ("" when the repository has none, null when unavailable)
+ * @property {LanguageShare[]|null} languages - Largest languages first (null when unavailable)
+ * @property {Release[]|null} releases - Newest releases first (null when unavailable)
+ * @property {Contributor[]|null} contributors - Top contributors (null when unavailable)
+ * @property {string} fetched_at - When the details were fetched from GitHub (ISO 8601)
+ */
+
+/**
+ * @typedef {RepositoryDetails & { summary: import('./summaryCache.js').CachedSummary|null }} RepositoryPageDetails
+ */
+
+const DETAILS_CACHE_DURATION = 30 * 60 * 1000 // 30 minutes in milliseconds
+const PARTIAL_DETAILS_CACHE_DURATION = 2 * 60 * 1000 // Retry missing sections soon
+const MAX_RELEASES = 5
+const MAX_CONTRIBUTORS = 12
+const MAX_README_LENGTH = 1024 * 1024 // Longer rendered READMEs are not shown
+
+const detailsCache = createCache('repositoryDetails')
+
+/**
+ * Fetches a GitHub API path as JSON
+ * @param {string} path - API path
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} For non-2xx responses
+ */
+async function fetchJson(path) {
+  const response = await githubFetch(path)
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status}`)
+  }
+  // Contributors of an empty repository come back as 204 No Content
+  return response.status === 204 ? [] : response.json()
+}
+
+/**
+ * Keeps the detail fields of a GitHub API repository object
+ * @param {Object} data - Repository from the GitHub API
+ * @returns {DetailedRepository}
+ */
+function toDetailedRepository(data) {
+  return {
+    ...toRepository(data),
+    forks_count: data.forks_count,
+    open_issues_count: data.open_issues_count,
+    // Shown as a link, so only web URLs are kept
+    homepage: /^https?:\/\//i.test(data.homepage || '') ? data.homepage : null,
+    default_branch: data.default_branch,
+    archived: Boolean(data.archived),
+    pushed_at: data.pushed_at,
+    license: data.license
+      ? {
+          spdx_id: data.license.spdx_id && data.license.spdx_id !== 'NOASSERTION' ? data.license.spdx_id : null,
+          name: data.license.name,
+          url: data.license.spdx_id && data.license.spdx_id !== 'NOASSERTION'
+            ? `https://choosealicense.com/licenses/${data.license.spdx_id.toLowerCase()}/`
+            : null
+        }
+      : null
+  }
+}
+
+/**
+ * Converts language byte counts into shares
+ * @param {Object<string, number>} languages - Bytes keyed by language
+ * @returns {LanguageShare[]}
+ */
+function toLanguageShares(languages) {
+  const total = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0)
+  return Object.entries(languages)
+    .map(([name, bytes]) => ({ name, bytes, percent: total ? Math.round((bytes / total) * 1000) / 10 : 0 }))
+    .sort((a, b) => b.bytes - a.bytes)
+}
+
+/**
+ * Fetches the README rendered to HTML by GitHub and sanitizes it
+ * Relative links point to the file on GitHub and relative images to the raw file.
+ * @param {DetailedRepository} repository - Repository
+ * @returns {Promise<string>} Sanitized HTML ("" when the repository has no README)
+ */
+async function fetchReadmeHtml(repository) {
+  const response = await githubFetch(`/repos/${repository.full_name}/readme`, {
+    headers: { 'Accept': 'application/vnd.github.html+json' }
+  })
+
+  if (response.status === 404) {
+    return ''
+  }
+  if (!response.ok) {
+    throw new Error(`GitHub README request failed: ${response.status}`)
+  }
+
+  const html = await response.text()
+  if (html.length > MAX_README_LENGTH) {
+    throw new Error('README is too large to display')
+  }
+
+  const branch = encodeURIComponent(repository.default_branch)
+  return sanitizeHtml(html, {
+    resolveUrl(url, attribute) {
+      if (url.startsWith('//')) {
+        return `https:${url}`
+      }
+      if (url.startsWith('/')) {
+        return `https://github.com${url}`
+      }
+      const base = attribute === 'src'
+        ? `https://raw.githubusercontent.com/${repository.full_name}/${branch}/`
+        : `https://github.com/${repository.full_name}/blob/${branch}/`
+      return new URL(url, base).toString()
+    }
+  })
+}
+
+/**
+ * Runs a section request, turning failures into null
+ * @template T
+ * @param {string} section - Section name for logging
+ * @param {() => Promise<T>} load - Section request
+ * @returns {Promise<T|null>}
+ */
+async function loadSection(section, load) {
+  try {
+    return await load()
+  } catch (error) {
+    console.error(`Could not load ${section}:`, error instanceof Error ? error.message : error)
+    return null
+  }
+}
+
+/**
+ * Fetches the details of a repository from GitHub
+ * @param {string} fullName - Repository full name
+ * @returns {Promise<RepositoryDetails|null>} Details, or null if the repository does not exist
+ */
+async function fetchRepositoryDetails(fullName) {
+  const response = await githubFetch(`/repos/${fullName}`)
+  if (response.status === 404) {
+    return null
+  }
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status}`)
+  }
+
+  const repository = toDetailedRepository(await response.json())
+
+  const [readmeHtml, languages, releases, contributors] = await Promise.all([
+    loadSection('README', () => fetchReadmeHtml(repository)),
+    loadSection('languages', async () => toLanguageShares(await fetchJson(`/repos/${repository.full_name}/languages`))),
+    loadSection('releases', async () => {
+      const data = await fetchJson(`/repos/${repository.full_name}/releases?per_page=${MAX_RELEASES}`)
+      return data.map((release) => ({
+        name: release.name || release.tag_name,
+        tag_name: release.tag_name,
+        html_url: release.html_url,
+        published_at: release.published_at,
+        prerelease: Boolean(release.prerelease)
+      }))
+    }),
+    loadSection('contributors', async () => {
+      const data = await fetchJson(`/repos/${repository.full_name}/contributors?per_page=${MAX_CONTRIBUTORS}`)
+      return data
+        .filter((contributor) => contributor.type !== 'Anonymous')
+        .map((contributor) => ({
+          login: contributor.login,
+          avatar_url: contributor.avatar_url,
+          html_url: contributor.html_url,
+          contributions: contributor.contributions
+        }))
+    })
+  ])
+
+  return {
+    repository,
+    readme_html: readmeHtml,
+    languages,
+    releases,
+    contributors,
+    fetched_at: new Date().toISOString()
+  }
+}
+
+/**
+ * Returns the details of a repository, from the cache when possible
+ * Falls back to the last known details when GitHub cannot be reached.
+ * @param {string} fullName - Repository full name
+ * @returns {Promise<RepositoryDetails|null>} Details, or null if the repository does not exist
+ */
+async function getCachedRepositoryDetails(fullName) {
+  // GitHub names are case-insensitive
+  const cacheKey = fullName.toLowerCase()
+  const cached = await detailsCache.get(cacheKey)
+  if (cached && !isExpired(cached)) {
+    return cached.data
+  }
+
+  try {
+    const details = await fetchRepositoryDetails(fullName)
+    if (details) {
+      const isPartial = [details.readme_html, details.languages, details.releases, details.contributors].includes(null)
+      await detailsCache.set(cacheKey, details, isPartial ? PARTIAL_DETAILS_CACHE_DURATION : DETAILS_CACHE_DURATION)
+    }
+    return details
+  } catch (error) {
+    if (cached) {
+      console.log(`Returning stale details for ${fullName} due to error:`, error instanceof Error ? error.message : error)
+      return cached.data
+    }
+    throw error
+  }
+}
+
+/**
+ * Returns what the repository page shows, with the latest AI summary
+ * The summary is looked up on every call, so one generated elsewhere shows up at once.
+ * @param {string} fullName - Repository full name, e.g. "facebook/react"
+ * @returns {Promise<RepositoryPageDetails|null>} Details, or null if the repository does not exist
+ * @throws {GitHubRateLimitError} While GitHub's quota is exhausted and nothing is cached
+ */
+export async function getRepositoryDetails(fullName) {
+  if (!isValidFullName(fullName)) {
+    throw new Error(`Invalid repository name: ${fullName}`)
+  }
+
+  const details = await getCachedRepositoryDetails(fullName)
+  if (!details) {
+    return null
+  }
+
+  const summaries = await getLatestSummaries([details.repository.id])
+  return { ...details, summary: summaries[details.repository.id] || null }
+}
@@ -0,0 +1,268 @@
+/*
+ * Repository Filters
+ * Client-side search, language/topic filters and sorting of loaded repositories,
+ * the period and minimum stars requested from /api/trends, and their
+ * representation in the page URL so a filtered view can be shared.
+ * Safe to import from client components.
+ */
+
+import { countFacets } from './facets'
+import { DEFAULT_TRENDS_QUERY, MAX_DAYS } from './trendsQuery'
+
+/**
+ * @typedef {import('../types/index.js').Repository} Repository
+ */
+
+/**
+ * @typedef {Object} RepositoryFilters
+ * @property {string} q - Free-text search over name, description and topics
+ * @property {string[]} languages - Show repositories in any of these languages (all when empty)
+ * @property {string[]} topics - Show repositories with any of these topics (all when empty)
+ * @property {'trending'|'rising'|'stars'|'created'|'updated'} sort - Order of the grid ("trending" keeps API order)
+ * @property {number} days - Trends period: repositories created within this many days (fetched from the server)
+ * @property {number} minStars - Trends minimum star count (fetched from the server)
+ */
+
+/** @type {RepositoryFilters} */
+export const DEFAULT_REPOSITORY_FILTERS = {
+  q: '',
+  languages: [],
+  topics: [],
+  sort: 'trending',
+  days: DEFAULT_TRENDS_QUERY.days,
+  minStars: DEFAULT_TRENDS_QUERY.minStars
+}
+
+export const PERIOD_OPTIONS = [
+  { days: 1, label: '📅 Last 24 hours' },
+  { days: 7, label: '📅 Last 7 days' },
+  { days: 14, label: '📅 Last 14 days' },
+  { days: 30, label: '📅 Last 30 days' },
+  { days: 90, label: '📅 Last 90 days' }
+]
+
+export const MIN_STARS_OPTIONS = [
+  { minStars: 0, label: '⭐ Any stars' },
+  { minStars: 10, label: '⭐ 10+ stars' },
+  { minStars: 100, label: '⭐ 100+ stars' },
+  { minStars: 1000, label: '⭐ 1k+ stars' }
+]
+
+export const REPOSITORY_SORT_OPTIONS = [
+  { id: 'trending', label: '🔥 Trending' },
+  { id: 'rising', label: '🚀 Rising (stars/day)' },
+  { id: 'stars', label: '⭐ Most stars' },
+  { id: 'created', label: '🆕 Newest' },
+  { id: 'updated', label: '🕒 Recently updated' }
+]
+
+const MAX_QUERY_LENGTH = 100
+
+/**
+ * Splits a comma-separated query parameter into unique, non-empty values
+ * @param {string|null} value - Raw parameter value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return [...new Set((value || '').split(',').map((item) => item.trim()).filter(Boolean))]
+}
+
+/**
+ * Parses a whole-number query parameter within bounds
+ * @param {string|null} value - Raw parameter value
+ * @param {number} fallback - Value used when the parameter is absent or invalid
+ * @param {number} max - Largest allowed value
+ * @param {number} [min=0] - Smallest allowed value
+ * @returns {number}
+ */
+function parseBoundedInteger(value, fallback, max, min = 0) {
+  const parsed = /^\d+$/.test(value || '') ? parseInt(value, 10) : NaN
+  return parsed >= min && parsed <= max ? parsed : fallback
+}
+
+/**
+ * Reads filters from a page query string; invalid values fall back to defaults
+ * @param {URLSearchParams} searchParams - Page query string
+ * @returns {RepositoryFilters}
+ */
+export function parseRepositoryFilters(searchParams) {
+  const sort = searchParams.get('sort')
+
+  return {
+    q: (searchParams.get('q') || '').slice(0, MAX_QUERY_LENGTH),
+    languages: parseList(searchParams.get('language')),
+    topics: parseList(searchParams.get('topic')).map((topic) => topic.toLowerCase()),
+    sort: REPOSITORY_SORT_OPTIONS.some((option) => option.id === sort)
+      ? /** @type {RepositoryFilters['sort']} */ (sort)
+      : DEFAULT_REPOSITORY_FILTERS.sort,
+    days: parseBoundedInteger(searchParams.get('days'), DEFAULT_REPOSITORY_FILTERS.days, MAX_DAYS, 1),
+    minStars: parseBoundedInteger(searchParams.get('minStars'), DEFAULT_REPOSITORY_FILTERS.minStars, 1000000)
+  }
+}
+
+/**
+ * Builds the page query string for filters, leaving out defaults
+ * @param {RepositoryFilters} filters - Current filters
+ * @returns {string} Query string including "?", or "" when every filter is at its default
+ */
+export function toFilterQueryString(filters) {
+  const params = new URLSearchParams()
+
+  if (filters.q.trim()) {
+    params.set('q', filters.q.trim())
+  }
+  if (filters.languages.length > 0) {
+    params.set('language', filters.languages.join(','))
+  }
+  if (filters.topics.length > 0) {
+    params.set('topic', filters.topics.join(','))
+  }
+  if (filters.sort !== DEFAULT_REPOSITORY_FILTERS.sort) {
+    params.set('sort', filters.sort)
+  }
+  if (filters.days !== DEFAULT_REPOSITORY_FILTERS.days) {
+    params.set('days', String(filters.days))
+  }
+  if (filters.minStars !== DEFAULT_REPOSITORY_FILTERS.minStars) {
+    params.set('minStars', String(filters.minStars))
+  }
+
+  // Commas are valid in a query string; keep lists readable in shared links
+  const query = params.toString().replace(/%2C/g, ',')
+  return query ? `?${query}` : ''
+}
+
+/**
+ * Builds the /api/trends query string for the period and minimum stars
+ * The other filters apply to loaded repositories and are not sent.
+ * @param {RepositoryFilters} filters - Current filters
+ * @returns {string} e.g. "days=30&minStars=10" ("" for the defaults)
+ */
+export function toTrendsQueryParams(filters) {
+  const params = new URLSearchParams()
+  if (filters.days !== DEFAULT_TRENDS_QUERY.days) {
+    params.set('days', String(filters.days))
+  }
+  if (filters.minStars !== DEFAULT_TRENDS_QUERY.minStars) {
+    params.set('minStars', String(filters.minStars))
+  }
+  return params.toString()
+}
+
+/**
+ * Whether any filter narrows the list (sorting alone does not)
+ * @param {RepositoryFilters} filters - Current filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Boolean(filters.q.trim()) || filters.languages.length > 0 || filters.topics.length > 0
+}
+
+/**
+ * Adds a value to a filter selection, or removes it when already selected
+ * @param {string[]} selected - Selected values
+ * @param {string} value - Toggled value
+ * @returns {string[]} New selection
+ */
+export function toggleFilterValue(selected, value) {
+  return selected.includes(value)
+    ? selected.filter((item) => item !== value)
+    : [...selected, value]
+}
+
+/**
+ * Whether a repository matches every search word (in its name, description or topics)
+ * @param {Repository} repository - Repository to check
+ * @param {string[]} words - Lowercase search words
+ * @returns {boolean}
+ */
+function matchesSearch(repository, words) {
+  const haystack = [
+    repository.name,
+    repository.full_name,
+    repository.description || '',
+    ...(repository.topics || [])
+  ].join(' ').toLowerCase()
+
+  return words.every((word) => haystack.includes(word))
+}
+
+/**
+ * Stars gained per day, or -1 when unknown so those repositories sort last
+ * @param {Repository} repository - Repository with optional star_velocity
+ * @returns {number}
+ */
+function velocityOf(repository) {
+  return repository.star_velocity ? repository.star_velocity.stars_per_day : -1
+}
+
+/**
+ * Compares repositories for a sort option (descending)
+ * @param {RepositoryFilters['sort']} sort - Sort option
+ * @returns {function(Repository, Repository): number|null} Comparator, or null to keep API order
+ */
+function getComparator(sort) {
+  switch (sort) {
+    case 'rising':
+      // Across every loaded page, unlike /api/trends?sort=velocity which ranks within a page
+      return (a, b) => velocityOf(b) - velocityOf(a)
+    case 'stars':
+      return (a, b) => b.stargazers_count - a.stargazers_count
+    case 'created':
+      return (a, b) => (b.created_at || '').localeCompare(a.created_at || '')
+    case 'updated':
+      return (a, b) => b.updated_at.localeCompare(a.updated_at)
+    default:
+      return null
+  }
+}
+
+/**
+ * Filters and sorts repositories
+ * Values of one filter are alternatives (any language selected); different filters must all match.
+ * @param {Repository[]} repositories - Repositories in API order
+ * @param {RepositoryFilters} filters - Current filters
+ * @returns {Repository[]} Matching repositories in the chosen order
+ */
+export function applyRepositoryFilters(repositories, filters) {
+  const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean)
+  const languages = new Set(filters.languages)
+  const topics = new Set(filters.topics)
+
+  const matching = repositories.filter((repository) =>
+    (words.length === 0 || matchesSearch(repository, words)) &&
+    (languages.size === 0 || (repository.language !== null && languages.has(repository.language))) &&
+    (topics.size === 0 || (repository.topics || []).some((topic) => topics.has(topic.toLowerCase())))
+  )
+
+  const comparator = getComparator(filters.sort)
+  return comparator ? [...matching].sort(comparator) : matching
+}
+
+/**
+ * Languages and topics of the loaded repositories, most common first
+ * Selected values are always included (with a count of 0 when no loaded
+ * repository has them) so they can be deselected.
+ * @param {Repository[]} repositories - Loaded repositories
+ * @param {RepositoryFilters} filters - Current filters
+ * @returns {import('./facets.js').RepositoryFacets}
+ */
+export function collectFilterOptions(repositories, filters) {
+  const facets = countFacets(repositories)
+
+  /**
+   * @param {import('./facets.js').FacetCount[]} counts - Counted values
+   * @param {string[]} selected - Selected values
+   */
+  const withSelected = (counts, selected) => [
+    ...counts,
+    ...selected
+      .filter((value) => !counts.some((facet) => facet.value === value))
+      .map((value) => ({ value, count: 0 }))
+  ]
+
+  return {
+    topics: withSelected(facets.topics, filters.topics),
+    languages: withSelected(facets.languages, filters.languages)
+  }
+}
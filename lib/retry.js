@@ -0,0 +1,73 @@
+/*
+ * Retry Helpers
+ * Backoff delays with jitter, Retry-After parsing and abortable waits for
+ * retrying transient upstream failures
+ */
+
+/**
+ * Whether an HTTP status is worth retrying (rate limited or server error)
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+export function isTransientStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status <= 599)
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @param {number} [now] - Reference time in epoch milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000
+  }
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - now)
+}
+
+/**
+ * Exponential backoff delay with full jitter
+ * @param {number} attempt - Attempt that just failed (1 for the first)
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.baseDelay=500] - Delay ceiling after the first failure in milliseconds
+ * @param {number} [options.maxDelay=8000] - Largest delay ceiling in milliseconds
+ * @returns {number} Delay in milliseconds, random between 0 and the ceiling
+ */
+export function getBackoffDelay(attempt, { baseDelay = 500, maxDelay = 8000 } = {}) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1))
+  return Math.round(Math.random() * ceiling)
+}
+
+/**
+ * Waits for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Aborted'))
+      return
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    function onAbort() {
+      clearTimeout(timer)
+      reject(new Error('Aborted'))
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
@@ -0,0 +1,262 @@
+/*
+ * HTML Sanitizer
+ * Allowlist sanitizer for README HTML rendered by GitHub. The output is
+ * rebuilt from parsed tokens: only listed tags and attributes are kept, text
+ * is escaped, URLs are limited to http(s), mailto and anchors, and every
+ * opened tag is closed, so the result can be inserted into the page as is.
+ */
+
+// Tags kept, with the attributes each may keep
+/** @type {Record<string, string[]>} */
+const ALLOWED_TAGS = {
+  a: ['href', 'title', 'id'],
+  abbr: ['title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: [],
+  dd: [],
+  del: [],
+  details: ['open'],
+  div: ['align'],
+  dl: [],
+  dt: [],
+  em: [],
+  h1: ['align', 'id'],
+  h2: ['align', 'id'],
+  h3: ['align', 'id'],
+  h4: ['align', 'id'],
+  h5: ['align', 'id'],
+  h6: ['align', 'id'],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title', 'width', 'height', 'align'],
+  ins: [],
+  kbd: [],
+  li: [],
+  ol: ['start'],
+  p: ['align'],
+  pre: [],
+  s: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align', 'colspan', 'rowspan'],
+  tfoot: [],
+  th: ['align', 'colspan', 'rowspan'],
+  thead: [],
+  tr: [],
+  ul: []
+}
+
+const VOID_TAGS = new Set(['br', 'hr', 'img'])
+
+// Tags removed together with everything inside them
+const DROPPED_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'select', 'svg', 'math'])
+
+// GitHub prefixes README ids so they cannot clobber ids of the page
+const ID_PREFIX = 'user-content-'
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[^>]*>?|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+/**
+ * @typedef {Object} SanitizeOptions
+ * @property {function(string, 'href'|'src'): string} [resolveUrl] - Turns relative URLs into absolute ones
+ */
+
+/**
+ * Decodes character references in an attribute value
+ * Unknown named references are left as they are (and later escaped).
+ * @param {string} value - Raw attribute value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : ''
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+/**
+ * Escapes text for HTML content and double-quoted attributes
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Escapes a text run, keeping the character references it already contains
+ * @param {string} text - Text between tags
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text
+    .replace(/&(?!(?:#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * Checks a URL attribute
+ * @param {string} value - Decoded URL
+ * @param {'href'|'src'} attribute - Attribute name
+ * @param {SanitizeOptions} options - Sanitizer options
+ * @returns {string|null} URL to keep, or null to drop the attribute
+ */
+function sanitizeUrl(value, attribute, options) {
+  // Browsers ignore whitespace and control characters (U+0000 to U+0020, U+007F) inside schemes
+  const compact = Array.from(value)
+    .filter((char) => char.charCodeAt(0) > 0x20 && char.charCodeAt(0) !== 0x7f)
+    .join('')
+  const url = value.trim()
+  if (!compact) {
+    return null
+  }
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact)
+  if (scheme) {
+    const allowed = attribute === 'href' ? ['http', 'https', 'mailto'] : ['http', 'https']
+    return allowed.includes(scheme[1].toLowerCase()) ? url : null
+  }
+
+  if (compact.startsWith('#')) {
+    // In-page links target the prefixed ids, as on github.com
+    if (attribute !== 'href') {
+      return null
+    }
+    return url.length === 1 || url.startsWith(`#${ID_PREFIX}`) ? url : `#${ID_PREFIX}${url.slice(1)}`
+  }
+
+  return options.resolveUrl ? options.resolveUrl(url, attribute) : null
+}
+
+/**
+ * Keeps the allowed attributes of a tag
+ * @param {string} tag - Lowercase tag name
+ * @param {string} attributeText - Raw attributes
+ * @param {SanitizeOptions} options - Sanitizer options
+ * @returns {string} Serialized attributes, each preceded by a space
+ */
+function sanitizeAttributes(tag, attributeText, options) {
+  const allowed = ALLOWED_TAGS[tag]
+  /** @type {Map<string, string>} */
+  const kept = new Map()
+
+  for (const match of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase()
+    if (!allowed.includes(name) || kept.has(name)) {
+      continue
+    }
+
+    let value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '')
+    if (name === 'href' || name === 'src') {
+      const url = sanitizeUrl(value, name, options)
+      if (url === null) {
+        continue
+      }
+      value = url
+    } else if (name === 'id' && !value.startsWith(ID_PREFIX)) {
+      continue
+    } else if (['width', 'height', 'colspan', 'rowspan', 'start'].includes(name) && !/^\d+%?$/.test(value)) {
+      continue
+    }
+    kept.set(name, value)
+  }
+
+  // External links open in a new tab without access to this page
+  if (tag === 'a' && /^https?:/i.test(kept.get('href') || '')) {
+    kept.set('target', '_blank')
+    kept.set('rel', 'noopener noreferrer nofollow')
+  }
+  if (tag === 'img') {
+    kept.set('loading', 'lazy')
+  }
+
+  return [...kept].map(([name, value]) => (value === '' && name === 'open' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`)).join('')
+}
+
+/**
+ * Sanitizes an HTML fragment
+ * @param {string} html - Untrusted HTML
+ * @param {SanitizeOptions} [options] - Sanitizer options
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  let output = ''
+  let position = 0
+  /** @type {string[]} */
+  const openTags = []
+  // Tag whose content is being skipped, e.g. "script"
+  /** @type {string|null} */
+  let droppedTag = null
+
+  for (const match of html.matchAll(TOKEN_PATTERN)) {
+    const [token, rawName, attributeText = ''] = match
+    if (!droppedTag) {
+      output += escapeText(html.slice(position, match.index))
+    }
+    position = match.index + token.length
+
+    // Comments, doctypes and processing instructions are dropped
+    if (!rawName) {
+      continue
+    }
+
+    const tag = rawName.toLowerCase()
+    const isClosing = token[1] === '/'
+
+    if (droppedTag) {
+      if (isClosing && tag === droppedTag) {
+        droppedTag = null
+      }
+      continue
+    }
+
+    if (DROPPED_CONTENT_TAGS.has(tag)) {
+      if (!isClosing && !token.endsWith('/>')) {
+        droppedTag = tag
+      }
+      continue
+    }
+
+    if (!ALLOWED_TAGS[tag]) {
+      continue
+    }
+
+    if (isClosing) {
+      // Close tags only when open, closing any left open inside them
+      const index = openTags.lastIndexOf(tag)
+      if (index !== -1) {
+        output += openTags.splice(index).reverse().map((name) => `</${name}>`).join('')
+      }
+      continue
+    }
+
+    output += `<${tag}${sanitizeAttributes(tag, attributeText, options)}>`
+    if (!VOID_TAGS.has(tag)) {
+      openTags.push(tag)
+    }
+  }
+
+  if (!droppedTag) {
+    output += escapeText(html.slice(position))
+  }
+
+  return output + openTags.reverse().map((name) => `</${name}>`).join('')
+}
@@ -0,0 +1,169 @@
+/*
+ * Trends Scheduler
+ * Refreshes the Home page trends from GitHub on a fixed interval, so the cache
+ * stays warm without visitors, webhooks hear about new repositories promptly
+ * and each refresh is diffed against the previous one. Started from
+ * instrumentation.js when TRENDS_REFRESH_INTERVAL_MINUTES is set.
+ */
+
+import { DEFAULT_TRENDS_QUERY } from './trendsQuery'
+import { getTrendsPage } from './trends'
+import { recordTrendsSnapshot } from './trendsChanges'
+import { GitHubRateLimitError } from './github'
+import { createCache } from './cache'
+
+/**
+ * @typedef {Object} SchedulerConfig
+ * @property {boolean} enabled - Whether scheduled refreshes run
+ * @property {number} intervalMinutes - Minutes between refreshes
+ * @property {number} pages - Trends pages refreshed each time
+ */
+
+/**
+ * Outcome of the last scheduled refresh
+ * @typedef {Object} SchedulerRun
+ * @property {string} started_at - When the refresh started (ISO 8601)
+ * @property {string} finished_at - When it finished (ISO 8601)
+ * @property {'ok'|'error'} status - Whether the trends were refreshed
+ * @property {string|null} error - Why the refresh failed
+ * @property {number} repositories - Repositories in the refreshed list
+ * @property {{ added: number, dropped: number, moved: number }|null} changes - Change counts (null when nothing changed)
+ * @property {string} next_run_at - When the next refresh is due (ISO 8601)
+ */
+
+export const MAX_REFRESH_PAGES = 5
+const MIN_INTERVAL_MINUTES = 1
+const STATUS_KEY = 'scheduler'
+const STATUS_RETENTION = 7 * 24 * 60 * 60 * 1000
+
+// Shared with /api/trends/changes, which runs in a different bundle than instrumentation
+const schedulerCache = createCache('changes', { durable: true })
+
+/**
+ * Reads the scheduler settings from the environment
+ * - TRENDS_REFRESH_INTERVAL_MINUTES: minutes between refreshes (unset or 0 disables the scheduler)
+ * - TRENDS_REFRESH_PAGES: pages of 30 repositories refreshed each time (default 1, max 5)
+ * @returns {SchedulerConfig}
+ */
+export function getSchedulerConfig() {
+  const interval = Number(process.env.TRENDS_REFRESH_INTERVAL_MINUTES || 0)
+  const pages = Number(process.env.TRENDS_REFRESH_PAGES || 1)
+
+  return {
+    enabled: Number.isFinite(interval) && interval > 0,
+    intervalMinutes: Number.isFinite(interval) ? Math.max(interval, MIN_INTERVAL_MINUTES) : 0,
+    pages: Number.isInteger(pages) ? Math.min(Math.max(pages, 1), MAX_REFRESH_PAGES) : 1
+  }
+}
+
+/**
+ * Returns the outcome of the last scheduled refresh
+ * @returns {Promise<SchedulerRun|null>} Last run, or null if none has run
+ */
+export async function getLastSchedulerRun() {
+  const entry = await schedulerCache.get(STATUS_KEY)
+  return entry ? entry.data : null
+}
+
+/**
+ * Refreshes the configured trends pages from GitHub and records the changes
+ * @param {SchedulerConfig} config - Scheduler settings
+ * @returns {Promise<SchedulerRun>} Outcome, also stored for /api/trends/changes
+ */
+export async function runScheduledRefresh(config) {
+  const startedAt = new Date().toISOString()
+  let delay = config.intervalMinutes * 60 * 1000
+
+  /** @type {Omit<SchedulerRun, 'started_at'|'finished_at'|'next_run_at'>} */
+  let outcome
+
+  try {
+    /** @type {import('./trends.js').GitHubRepository[]} */
+    const repositories = []
+    const seenIds = new Set()
+
+    for (let page = 1; page <= config.pages; page++) {
+      const { entry, source } = await getTrendsPage(DEFAULT_TRENDS_QUERY, page, { forceRefresh: true })
+      // Diffing the last known data again would hide that nothing was refreshed
+      if (source === 'fallback') {
+        throw new Error('GitHub refresh failed; the last known trends were kept')
+      }
+
+      entry.data.repositories.forEach((repository) => {
+        if (!seenIds.has(repository.id)) {
+          seenIds.add(repository.id)
+          repositories.push(repository)
+        }
+      })
+      if (!entry.data.hasMore) {
+        break
+      }
+    }
+
+    const changeSet = await recordTrendsSnapshot(repositories)
+    outcome = {
+      status: 'ok',
+      error: null,
+      repositories: repositories.length,
+      changes: changeSet
+        ? { added: changeSet.added.length, dropped: changeSet.dropped.length, moved: changeSet.moved.length }
+        : null
+    }
+  } catch (error) {
+    console.error('Scheduled trends refresh failed:', error)
+
+    // Wait for GitHub's quota to reset when that is later than the next run
+    if (error instanceof GitHubRateLimitError) {
+      delay = Math.max(delay, error.retryAfterSeconds * 1000)
+    }
+
+    outcome = {
+      status: 'error',
+      error: error instanceof Error ? error.message : 'Refresh failed',
+      repositories: 0,
+      changes: null
+    }
+  }
+
+  const finishedAt = new Date()
+  /** @type {SchedulerRun} */
+  const run = {
+    started_at: startedAt,
+    finished_at: finishedAt.toISOString(),
+    ...outcome,
+    next_run_at: new Date(finishedAt.getTime() + delay).toISOString()
+  }
+
+  await schedulerCache.set(STATUS_KEY, run, STATUS_RETENTION).catch((error) => {
+    console.error('Could not store scheduler status:', error)
+  })
+  return run
+}
+
+/**
+ * Starts scheduled refreshes if configured; the first runs right away
+ * Safe to call more than once (e.g. after a dev server reload).
+ * @returns {boolean} Whether the scheduler is running
+ */
+export function startTrendsScheduler() {
+  const config = getSchedulerConfig()
+  if (!config.enabled) {
+    return false
+  }
+
+  if (globalThis.__trendsSchedulerStarted) {
+    return true
+  }
+  globalThis.__trendsSchedulerStarted = true
+
+  console.log(`Scheduling trends refresh every ${config.intervalMinutes} minute(s) (${config.pages} page(s))`)
+
+  const tick = async () => {
+    const run = await runScheduledRefresh(config)
+    // Timers do not keep the process alive on shutdown
+    setTimeout(tick, Date.parse(run.next_run_at) - Date.now()).unref()
+  }
+  setTimeout(tick, 0).unref()
+
+  return true
+}
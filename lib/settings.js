@@ -0,0 +1,255 @@
+/*
+ * User Settings Store
+ * Single source of the AI settings kept in localStorage: a versioned JSON
+ * record that every component reads and writes through this module.
+ * Settings saved by older versions under separate keys are migrated on first load.
+ * Client-only (uses localStorage and window events).
+ */
+
+import { getProvider, listProviders } from './providers'
+import {
+  getSummaryStyle,
+  getOutputLanguage,
+  DEFAULT_SUMMARY_STYLE,
+  DEFAULT_OUTPUT_LANGUAGE
+} from './prompts'
+
+/**
+ * @typedef {import('../types/index.js').UserSettings} UserSettings
+ */
+
+export const SETTINGS_STORAGE_KEY = 'ai-news-settings'
+
+// Bump when the stored shape changes and add a migration from the previous version
+export const SETTINGS_VERSION = 1
+
+// Dispatched on window after a save; storage events only reach other tabs
+const SETTINGS_CHANGE_EVENT = 'ai-news-settings-change'
+
+/**
+ * Providers that can back up the selected one: hosted providers other than it
+ * Fallbacks are sent with an API key only, so providers that need a base URL
+ * and model (OpenAI-compatible servers) are not offered.
+ * @param {string} provider - Selected provider id
+ * @returns {import('./providers/index.js').LLMProviderDefinition[]}
+ */
+export function listFallbackProviders(provider) {
+  return listProviders().filter((option) => !option.requiresBaseUrl && option.id !== provider)
+}
+
+/** @type {UserSettings} */
+export const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  provider: 'openai',
+  apiKey: '',
+  baseUrl: '',
+  model: '',
+  summaryStyle: DEFAULT_SUMMARY_STYLE,
+  outputLanguage: DEFAULT_OUTPUT_LANGUAGE,
+  fallbackProvider: '',
+  fallbackApiKey: '',
+  lastUpdated: null
+}
+
+// Separate keys written before settings were versioned (AIConfigModal and SettingsModal)
+const LEGACY_KEYS = [
+  'ai_api_key',
+  'ai_provider',
+  'ai_base_url',
+  'ai_model',
+  'ai_summary_style',
+  'ai_output_language',
+  'ai_fallback_provider',
+  'ai_fallback_api_key',
+  'ai-news-api-key',
+  'ai-news-provider'
+]
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {
+  // Version 0: the legacy keys, read by readLegacySettings
+  0: (legacy) => ({
+    // AIConfigModal keys win; SettingsModal keys fill in a missing provider and key
+    provider: legacy.ai_provider || legacy['ai-news-provider'],
+    apiKey: legacy.ai_api_key || (!legacy.ai_provider || legacy.ai_provider === legacy['ai-news-provider'] ? legacy['ai-news-api-key'] : ''),
+    baseUrl: legacy.ai_base_url,
+    model: legacy.ai_model,
+    summaryStyle: legacy.ai_summary_style,
+    outputLanguage: legacy.ai_output_language,
+    fallbackProvider: legacy.ai_fallback_provider,
+    fallbackApiKey: legacy.ai_fallback_api_key,
+    version: 1
+  })
+}
+
+/**
+ * Coerces stored values into valid settings, dropping unknown providers, styles and languages
+ * @param {Object} value - Parsed settings
+ * @returns {UserSettings}
+ */
+function normalizeSettings(value) {
+  /** @param {*} field */
+  const toText = (field) => (typeof field === 'string' ? field : '')
+
+  const provider = getProvider(value.provider) ? value.provider : DEFAULT_SETTINGS.provider
+  const fallbackProvider = listFallbackProviders(provider).some((option) => option.id === value.fallbackProvider)
+    ? value.fallbackProvider
+    : ''
+
+  return {
+    version: SETTINGS_VERSION,
+    provider,
+    apiKey: toText(value.apiKey),
+    baseUrl: toText(value.baseUrl),
+    model: toText(value.model),
+    summaryStyle: getSummaryStyle(value.summaryStyle) ? value.summaryStyle : DEFAULT_SUMMARY_STYLE,
+    outputLanguage: getOutputLanguage(value.outputLanguage) ? value.outputLanguage : DEFAULT_OUTPUT_LANGUAGE,
+    fallbackProvider,
+    fallbackApiKey: fallbackProvider ? toText(value.fallbackApiKey) : '',
+    lastUpdated: typeof value.lastUpdated === 'string' ? value.lastUpdated : null
+  }
+}
+
+/**
+ * Upgrades stored settings to the current version
+ * @param {Object} value - Parsed settings of any version
+ * @returns {Object} Settings in the current shape (not yet normalized)
+ */
+export function migrateSettings(value) {
+  let migrated = value
+  let version = Number.isInteger(value.version) ? value.version : 0
+
+  while (version < SETTINGS_VERSION && MIGRATIONS[version]) {
+    migrated = MIGRATIONS[version](migrated)
+    version = migrated.version
+  }
+
+  return migrated
+}
+
+/**
+ * Reads the legacy per-field keys
+ * @returns {Object|null} Version 0 settings, or null if none were saved
+ */
+function readLegacySettings() {
+  /** @type {Object<string, string>} */
+  const legacy = {}
+  LEGACY_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key)
+    if (value !== null) {
+      legacy[key] = value
+    }
+  })
+
+  return Object.keys(legacy).length > 0 ? { ...legacy, version: 0 } : null
+}
+
+/**
+ * Loads the settings, migrating older formats and persisting the result
+ * @returns {UserSettings}
+ */
+export function loadSettings() {
+  try {
+    const stored = localStorage.getItem(SETTINGS_STORAGE_KEY)
+    const parsed = stored ? JSON.parse(stored) : readLegacySettings()
+    if (!parsed || typeof parsed !== 'object') {
+      return { ...DEFAULT_SETTINGS }
+    }
+
+    const settings = normalizeSettings(migrateSettings(parsed))
+
+    if (parsed.version !== SETTINGS_VERSION) {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+      LEGACY_KEYS.forEach((key) => localStorage.removeItem(key))
+      console.log(`Migrated settings from version ${parsed.version || 0} to ${SETTINGS_VERSION}`)
+    }
+
+    return settings
+  } catch (error) {
+    console.error('Error loading settings:', error)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+/**
+ * Saves changed fields and notifies every subscriber, in this tab and others
+ * @param {Partial<UserSettings>} changes - Fields to update
+ * @returns {UserSettings} Saved settings
+ */
+export function saveSettings(changes) {
+  const settings = normalizeSettings({
+    ...loadSettings(),
+    ...changes,
+    lastUpdated: new Date().toISOString()
+  })
+
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+  window.dispatchEvent(new CustomEvent(SETTINGS_CHANGE_EVENT, { detail: settings }))
+
+  return settings
+}
+
+/**
+ * Calls listener whenever the settings change, including saves in other tabs
+ * @param {function(UserSettings): void} listener - Receives the new settings
+ * @returns {function(): void} Unsubscribes the listener
+ */
+export function subscribeToSettings(listener) {
+  /** @param {StorageEvent} event */
+  const handleStorage = (event) => {
+    // A null key means another tab cleared localStorage
+    if (event.key === SETTINGS_STORAGE_KEY || event.key === null) {
+      listener(loadSettings())
+    }
+  }
+
+  /** @param {Event} event */
+  const handleChange = (event) => listener(/** @type {CustomEvent<UserSettings>} */ (event).detail)
+
+  window.addEventListener('storage', handleStorage)
+  window.addEventListener(SETTINGS_CHANGE_EVENT, handleChange)
+
+  return () => {
+    window.removeEventListener('storage', handleStorage)
+    window.removeEventListener(SETTINGS_CHANGE_EVENT, handleChange)
+  }
+}
+
+/**
+ * Provider fields for summarize requests
+ * @param {UserSettings} settings - Current settings
+ * @param {string[]} [serverManagedProviders] - Providers whose API key is set on the server
+ * @returns {Object|null} Request fields, or null if the provider is not configured
+ */
+export function toSummarizeOptions(settings, serverManagedProviders = []) {
+  const { provider, apiKey, baseUrl, model } = settings
+  const providerDefinition = getProvider(provider)
+
+  // Local servers need no API key, but do need a base URL and model; server-managed providers need no key
+  const serverManaged = serverManagedProviders.includes(provider)
+  if (!providerDefinition || providerDefinition.validate({ apiKey, baseUrl, model, serverManaged })) {
+    return null
+  }
+
+  // Optional provider tried when the selected one keeps failing
+  const fallbackDefinition = listFallbackProviders(provider).find((option) => option.id === settings.fallbackProvider)
+  const fallbacks = fallbackDefinition && !fallbackDefinition.validate({
+    apiKey: settings.fallbackApiKey,
+    serverManaged: serverManagedProviders.includes(settings.fallbackProvider)
+  })
+    ? [{ provider: settings.fallbackProvider, apiKey: settings.fallbackApiKey }]
+    : undefined
+
+  return {
+    apiKey,
+    provider,
+    baseUrl: baseUrl || undefined,
+    model: model || undefined,
+    style: settings.summaryStyle,
+    output_language: settings.outputLanguage,
+    fallbacks
+  }
+}
@@ -0,0 +1,98 @@
+/*
+ * Server-Sent Events Helpers
+ * Parses and formats "text/event-stream" data; shared by API routes (to read
+ * upstream LLM streams and write normalized events) and by the browser client
+ */
+
+// Response headers for event streams sent by API routes
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive'
+}
+
+/**
+ * @typedef {Object} SSEMessage
+ * @property {string} event - Event name ("message" when the stream omits it)
+ * @property {string} data - Raw data payload (multiple data lines joined with "\n")
+ */
+
+/**
+ * Parses a byte stream of Server-Sent Events into messages
+ * @param {ReadableStream<Uint8Array>} stream - Response body
+ * @returns {AsyncGenerator<SSEMessage>} Messages in arrival order
+ */
+export async function* parseSSEStream(stream) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true })
+
+      // Messages are separated by a blank line (CRLF is normalized first)
+      buffer = buffer.replace(/\r\n/g, '\n')
+      let separator = buffer.indexOf('\n\n')
+
+      while (separator !== -1) {
+        const message = parseMessage(buffer.slice(0, separator))
+        buffer = buffer.slice(separator + 2)
+        if (message) {
+          yield message
+        }
+        separator = buffer.indexOf('\n\n')
+      }
+
+      if (done) {
+        const message = parseMessage(buffer)
+        if (message) {
+          yield message
+        }
+        return
+      }
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Parses a single SSE message block
+ * @param {string} block - Lines of one message
+ * @returns {SSEMessage|null} Parsed message, or null for comments and empty blocks
+ */
+function parseMessage(block) {
+  let event = 'message'
+  /** @type {string[]} */
+  const dataLines = []
+
+  block.split('\n').forEach((line) => {
+    if (!line || line.startsWith(':')) {
+      return // Blank line or comment (keep-alive)
+    }
+
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+
+    if (field === 'event') {
+      event = value
+    } else if (field === 'data') {
+      dataLines.push(value)
+    }
+  })
+
+  return dataLines.length > 0 ? { event, data: dataLines.join('\n') } : null
+}
+
+/**
+ * Formats a named event with a JSON payload
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string} SSE message text
+ */
+export function formatSSE(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+}
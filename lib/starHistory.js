@@ -0,0 +1,169 @@
+/*
+ * Star History
+ * Records timestamped star-count snapshots of the repositories on each
+ * results page and derives star velocity (stars gained per hour/day) from them
+ */
+
+import { createCache } from './cache'
+import { runSerially } from './concurrency'
+
+/**
+ * @typedef {Object} StarSnapshot
+ * @property {number} t - Snapshot time in epoch milliseconds
+ * @property {number} stars - stargazers_count at that time
+ */
+
+/**
+ * @typedef {Object} StarVelocity
+ * @property {number} stars_today - Stars gained over the last 24 hours (estimated)
+ * @property {number} stars_per_day - Average stars gained per day
+ * @property {number} stars_per_hour - Average stars gained per hour
+ * @property {number} window_hours - Time span the averages are based on
+ * @property {'snapshots'|'created_at'} basis - Whether history or the creation date was used
+ */
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+const SNAPSHOT_INTERVAL = 15 * 60 * 1000 // At most one snapshot per repo every 15 minutes
+const MAX_SNAPSHOTS = 200 // ~2 days of history at the minimum interval
+const HISTORY_TTL = 30 * DAY // Drop history for pages we stop fetching
+const DEPARTED_RETENTION = 2 * DAY // Keep history of repos that left a page, in case they return
+const MIN_WINDOW = HOUR // Shorter spans are too noisy to extrapolate from
+
+// One history entry per results page: snapshots of its repositories keyed by GitHub id
+const starHistoryCache = createCache('stars')
+
+/**
+ * Appends the current star count of each repository to the history of a results page
+ * Reads and writes a single cache entry per page; updates of one page run one
+ * at a time so concurrent fetches do not overwrite each other's snapshots.
+ * @param {string} historyKey - Results page the repositories were fetched for
+ * @param {import('../types/index.js').Repository[]} repositories - Freshly fetched repositories
+ * @param {number} [now] - Snapshot time in epoch milliseconds
+ * @returns {Promise<Map<number, StarSnapshot[]>>} Updated history per repository id
+ */
+export function recordStarSnapshots(historyKey, repositories, now = Date.now()) {
+  return runSerially(`stars:${historyKey}`, () => updateStarHistory(historyKey, repositories, now))
+}
+
+/**
+ * Read-modify-write of a page's star history (see recordStarSnapshots)
+ * @param {string} historyKey - Results page the repositories were fetched for
+ * @param {import('../types/index.js').Repository[]} repositories - Freshly fetched repositories
+ * @param {number} now - Snapshot time in epoch milliseconds
+ * @returns {Promise<Map<number, StarSnapshot[]>>}
+ */
+async function updateStarHistory(historyKey, repositories, now) {
+  const entry = await starHistoryCache.get(historyKey)
+  /** @type {Object<string, StarSnapshot[]>} */
+  const previous = entry ? entry.data : {}
+
+  /** @type {Object<string, StarSnapshot[]>} */
+  const history = {}
+  for (const [id, snapshots] of Object.entries(previous)) {
+    if (snapshots.length > 0 && now - snapshots[snapshots.length - 1].t < DEPARTED_RETENTION) {
+      history[id] = snapshots
+    }
+  }
+
+  let changed = Object.keys(history).length !== Object.keys(previous).length
+  for (const repository of repositories) {
+    const snapshots = history[repository.id] || []
+    const latest = snapshots[snapshots.length - 1]
+    if (!latest || now - latest.t >= SNAPSHOT_INTERVAL) {
+      history[repository.id] = [...snapshots, { t: now, stars: repository.stargazers_count }].slice(-MAX_SNAPSHOTS)
+      changed = true
+    }
+  }
+
+  if (changed) {
+    await starHistoryCache.set(historyKey, history, HISTORY_TTL)
+  }
+
+  return new Map(repositories.map((repository) => [repository.id, history[repository.id] || []]))
+}
+
+/**
+ * Computes star velocity for a repository
+ *
+ * The baseline is the newest snapshot at least 24 hours old. Without one we
+ * fall back to the oldest snapshot, and for brand-new history to the creation
+ * date (when the repository had 0 stars).
+ *
+ * @param {import('../types/index.js').Repository} repository - Repository with current star count
+ * @param {StarSnapshot[]} snapshots - Star history, oldest first
+ * @param {number} [now] - Reference time in epoch milliseconds
+ * @returns {StarVelocity|null} Velocity, or null if there is not enough data
+ */
+export function computeStarVelocity(repository, snapshots, now = Date.now()) {
+  const createdAt = repository.created_at ? new Date(repository.created_at).getTime() : NaN
+  const olderThanADay = snapshots.filter((snapshot) => snapshot.t <= now - DAY)
+
+  /** @type {StarSnapshot|null} */
+  let baseline = olderThanADay.length > 0 ? olderThanADay[olderThanADay.length - 1] : null
+  /** @type {StarVelocity['basis']} */
+  let basis = 'snapshots'
+
+  if (!baseline && snapshots.length > 0 && now - snapshots[0].t >= MIN_WINDOW) {
+    baseline = snapshots[0]
+  }
+
+  if (!baseline && !isNaN(createdAt) && now - createdAt >= MIN_WINDOW) {
+    baseline = { t: createdAt, stars: 0 }
+    basis = 'created_at'
+  }
+
+  if (!baseline) {
+    return null
+  }
+
+  const windowHours = (now - baseline.t) / HOUR
+  const starsPerHour = Math.max(0, repository.stargazers_count - baseline.stars) / windowHours
+
+  // A repository cannot have gained stars before it existed
+  const hoursToday = isNaN(createdAt) ? 24 : Math.min(24, Math.max(0, (now - createdAt) / HOUR))
+
+  return {
+    stars_today: Math.round(starsPerHour * hoursToday),
+    stars_per_day: Math.round(starsPerHour * 24 * 10) / 10,
+    stars_per_hour: Math.round(starsPerHour * 100) / 100,
+    window_hours: Math.round(windowHours * 10) / 10,
+    basis
+  }
+}
+
+/**
+ * Records snapshots and attaches star_velocity to each repository
+ * @param {string} historyKey - Results page the repositories were fetched for
+ * @param {import('../types/index.js').Repository[]} repositories - Freshly fetched repositories
+ * @returns {Promise<import('../types/index.js').Repository[]>} Repositories with star_velocity
+ */
+export async function withStarVelocity(historyKey, repositories) {
+  const now = Date.now()
+  const histories = await recordStarSnapshots(historyKey, repositories, now)
+
+  return repositories.map((repository) => ({
+    ...repository,
+    star_velocity: computeStarVelocity(repository, histories.get(repository.id) || [], now)
+  }))
+}
+
+/**
+ * Sorts repositories by stars gained per day ("Rising")
+ * Repositories without velocity data sort last. Used per results page, so
+ * the order applies within a page, not across the whole result set.
+ * @param {import('../types/index.js').Repository[]} repositories - Repositories with star_velocity
+ * @param {'asc'|'desc'} [order] - Sort direction
+ * @returns {import('../types/index.js').Repository[]} New sorted array
+ */
+export function sortByVelocity(repositories, order = 'desc') {
+  const direction = order === 'asc' ? 1 : -1
+
+  return [...repositories].sort((a, b) => {
+    if (!a.star_velocity || !b.star_velocity) {
+      return (a.star_velocity ? 0 : 1) - (b.star_velocity ? 0 : 1)
+    }
+    return direction * (a.star_velocity.stars_per_day - b.star_velocity.stars_per_day)
+  })
+}
@@ -0,0 +1,520 @@
+/*
+ * Repository Summarization
+ * Core of /api/summarize and /api/summarize/batch: validates a request,
+ * builds the prompt from the repository context, calls the provider (complete
+ * or streamed) and caches the result. generateText runs other prompts (such as
+ * the digest overview) through the same provider chain.
+ *
+ * Transient provider failures (429, 5xx, network errors) are retried with
+ * exponential backoff and jitter, honoring Retry-After. When a provider keeps
+ * failing, the request moves on to the next entry of its fallback chain.
+ */
+
+import { getReadmeExcerpt, isValidFullName } from './readme'
+import { parseSSEStream } from './sse'
+import { isTransientStatus, parseRetryAfter, getBackoffDelay, sleep } from './retry'
+import { getCachedSummary, storeSummary } from './summaryCache'
+import { fetchRepository } from './repositories'
+import { getProvider, PROVIDER_IDS } from './providers'
+import { getServerApiKey, resolveAllowedBaseUrl } from './providers/serverCredentials'
+import {
+  buildSummaryPrompt,
+  getSummaryStyle,
+  getOutputLanguage,
+  PROMPT_VERSION,
+  SUMMARY_STYLES,
+  OUTPUT_LANGUAGES,
+  DEFAULT_SUMMARY_STYLE,
+  DEFAULT_OUTPUT_LANGUAGE
+} from './prompts'
+
+/**
+ * @typedef {import('../types/index.js').SummarizeRequest} SummarizeRequest
+ * @typedef {import('../types/index.js').SummarizeResponse} SummarizeResponse
+ * @typedef {import('./providers/index.js').LLMProviderDefinition} LLMProviderDefinition
+ * @typedef {import('./providers/index.js').ProviderOptions} ProviderOptions
+ */
+
+/**
+ * How a summary is generated, reported to clients before the text arrives
+ * @typedef {Omit<SummarizeResponse, 'summary'|'timestamp'|'cached'>} SummaryDetails
+ */
+
+/**
+ * One provider of the fallback chain
+ *
+ * @typedef {Object} ProviderCandidate
+ * @property {LLMProviderDefinition} provider - Provider definition
+ * @property {ProviderOptions} providerOptions - User-supplied key, model and base URL
+ * @property {string} model - Model the provider will use
+ * @property {boolean} shareable - Whether its summaries may be shared through the cache
+ *   (not when the request chose the base URL, since anything could answer there)
+ */
+
+/**
+ * Provider and prompt settings shared by every repository in a request
+ *
+ * @typedef {Object} SummarizeSettings
+ * @property {ProviderCandidate[]} chain - Requested provider followed by its fallbacks, in order
+ * @property {string} style - Summary style preset
+ * @property {string} outputLanguage - Output language code
+ */
+
+/**
+ * @typedef {Object} SummarizeCallbacks
+ * @property {AbortSignal} [signal] - Aborts the upstream provider request
+ * @property {function(SummaryDetails & { cached: boolean }): void} [onMeta] - Called once the provider accepted the request
+ * @property {function(string): void} [onDelta] - Called with each chunk of generated text (streams the request)
+ */
+
+const README_TOKEN_BUDGET = 1500 // Approximate tokens of README included in the prompt
+const MAX_FALLBACKS = 3
+const MAX_ATTEMPTS_PER_PROVIDER = 3
+const MAX_RETRY_DELAY = 10 * 1000 // Waiting longer than this moves on to the next provider instead
+
+/**
+ * Thrown for requests that cannot be summarized; status is the HTTP status to return
+ */
+export class SummarizeError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {number} status - HTTP status
+   */
+  constructor(message, status) {
+    super(message)
+    this.name = 'SummarizeError'
+    this.status = status
+  }
+}
+
+/**
+ * Validates one provider entry of a request
+ * @param {import('../types/index.js').ProviderFallback} entry - Provider id and its options
+ * @param {string} field - Field name used in error messages
+ * @returns {ProviderCandidate}
+ * @throws {SummarizeError} When the provider is unknown or its options are unusable
+ */
+function resolveCandidate(entry, field) {
+  if (!entry || !entry.provider) {
+    throw new SummarizeError(`Missing required field: ${field}`, 400)
+  }
+
+  const provider = getProvider(entry.provider)
+  if (!provider) {
+    throw new SummarizeError(`Invalid ${field}. Must be one of: ${PROVIDER_IDS.join(', ')}`, 400)
+  }
+
+  // Self-hosted servers must be on the operator's allowlist (OPENAI_COMPATIBLE_BASE_URLS)
+  let baseUrl
+  if (provider.requiresBaseUrl) {
+    baseUrl = resolveAllowedBaseUrl(entry.baseUrl)
+    if (!baseUrl) {
+      const message = 'baseUrl must be one of the servers allowed in OPENAI_COMPATIBLE_BASE_URLS'
+      throw new SummarizeError(field === 'provider' ? message : `${field}: ${message}`, 400)
+    }
+  }
+
+  // A key sent by the client wins; otherwise use the operator's key if one is configured.
+  // Operator keys only go to hosted providers' fixed endpoints, never to a base URL.
+  /** @type {ProviderOptions} */
+  const providerOptions = {
+    apiKey: entry.apiKey || (baseUrl ? null : getServerApiKey(provider.id)) || undefined,
+    model: entry.model,
+    baseUrl
+  }
+  const optionsError = provider.validate(providerOptions)
+  if (optionsError) {
+    throw new SummarizeError(field === 'provider' ? optionsError : `${field}: ${optionsError}`, 400)
+  }
+
+  return { provider, providerOptions, model: provider.getModel(providerOptions), shareable: !entry.baseUrl }
+}
+
+/**
+ * Validates the provider chain, style and language settings of a request
+ * @param {SummarizeRequest} body - Request body
+ * @returns {SummarizeSettings}
+ * @throws {SummarizeError} When a setting is missing or invalid
+ */
+export function resolveSummarizeSettings(body) {
+  const fallbacks = body.fallbacks || []
+  if (!Array.isArray(fallbacks) || fallbacks.length > MAX_FALLBACKS) {
+    throw new SummarizeError(`"fallbacks" must be an array of at most ${MAX_FALLBACKS} providers`, 400)
+  }
+
+  const chain = [
+    resolveCandidate(body, 'provider'),
+    ...fallbacks.map((fallback, index) => resolveCandidate(fallback, `fallbacks[${index}].provider`))
+  ]
+
+  const style = body.style || DEFAULT_SUMMARY_STYLE
+  if (!getSummaryStyle(style)) {
+    throw new SummarizeError(`Invalid style. Must be one of: ${SUMMARY_STYLES.map((option) => option.id).join(', ')}`, 400)
+  }
+
+  const outputLanguage = body.output_language || DEFAULT_OUTPUT_LANGUAGE
+  if (!getOutputLanguage(outputLanguage)) {
+    throw new SummarizeError(`Invalid output_language. Must be one of: ${OUTPUT_LANGUAGES.map((option) => option.code).join(', ')}`, 400)
+  }
+
+  return { chain, style, outputLanguage }
+}
+
+/**
+ * Validates the repository fields of a request
+ * @param {SummarizeRequest} body - Request body
+ * @throws {SummarizeError} When there is nothing to summarize
+ */
+export function validateRepositoryFields(body) {
+  if (!body.text && !body.full_name) {
+    throw new SummarizeError('Missing required fields: text or full_name', 400)
+  }
+
+  if (body.full_name && !isValidFullName(body.full_name)) {
+    throw new SummarizeError('Invalid full_name. Expected "owner/name"', 400)
+  }
+}
+
+/**
+ * Confirms the id and updated_at of a request against GitHub by full_name
+ * Cached summaries are shown to every visitor (cards, feeds, exports,
+ * webhooks), so only summaries of verified repository revisions are shared.
+ * @param {SummarizeRequest} body - Request body with id, updated_at and full_name
+ * @returns {Promise<import('../types/index.js').Repository|null>} GitHub metadata, or null when
+ *   it does not match the request or cannot be checked right now
+ */
+async function verifyRepository(body) {
+  if (!/^\d+$/.test(String(body.id))) {
+    return null
+  }
+
+  try {
+    const repository = await fetchRepository(body.id)
+    if (
+      repository &&
+      repository.full_name.toLowerCase() === body.full_name.toLowerCase() &&
+      repository.updated_at === body.updated_at
+    ) {
+      return repository
+    }
+    console.warn(`Not sharing summary: repository ${body.id} does not match ${body.full_name} at ${body.updated_at}`)
+  } catch (error) {
+    console.warn(`Not sharing summary: could not verify repository ${body.id}:`, error instanceof Error ? error.message : error)
+  }
+  return null
+}
+
+/**
+ * Builds the repository description used in the prompt
+ * The README is optional: if it cannot be fetched we summarize from the rest
+ * @param {SummarizeRequest} body - Request body
+ * @returns {Promise<{ context: string, sources: string[] }>} Prompt context and the sources it includes
+ */
+async function buildRepositoryContext(body) {
+  /** @type {string[]} */
+  const sections = []
+  /** @type {string[]} */
+  const sources = []
+
+  if (body.full_name) {
+    sections.push(`Repository: ${body.full_name}`)
+  }
+
+  if (body.text) {
+    sections.push(`Description: ${body.text}`)
+    sources.push('description')
+  }
+
+  if (body.language) {
+    sections.push(`Primary language: ${body.language}`)
+    sources.push('language')
+  }
+
+  if (Array.isArray(body.topics) && body.topics.length > 0) {
+    sections.push(`Topics: ${body.topics.slice(0, 20).join(', ')}`)
+    sources.push('topics')
+  }
+
+  if (body.full_name) {
+    try {
+      const readme = await getReadmeExcerpt(body.full_name, README_TOKEN_BUDGET)
+      if (readme) {
+        sections.push(`README (excerpt):\n${readme}`)
+        sources.push('readme')
+      }
+    } catch (error) {
+      console.warn(`Could not load README for ${body.full_name}:`, error instanceof Error ? error.message : error)
+    }
+  }
+
+  return { context: sections.join('\n\n'), sources }
+}
+
+/**
+ * Reads a streamed completion, reporting each text chunk
+ * @param {LLMProviderDefinition} provider - Provider definition
+ * @param {Response} response - Provider response with an event-stream body
+ * @param {function(string): void} onDelta - Called with each chunk of text
+ * @returns {Promise<string>} Complete generated text
+ */
+async function readStreamedSummary(provider, response, onDelta) {
+  let summary = ''
+
+  for await (const message of parseSSEStream(response.body)) {
+    const event = provider.parseStreamEvent(message)
+    if (event.error) {
+      throw new Error(event.error)
+    }
+    if (event.text) {
+      summary += event.text
+      onDelta(event.text)
+    }
+    if (event.done) {
+      break
+    }
+  }
+
+  return summary.trim()
+}
+
+/**
+ * Sends a provider request, retrying transient failures with backoff
+ * @param {ProviderCandidate} candidate - Provider to call
+ * @param {import('./providers/index.js').SummaryPrompt} prompt - Summary prompt
+ * @param {Object} options - Request options
+ * @param {boolean} options.isStreaming - Ask the provider to stream its response
+ * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+ * @param {{ attempts: number }} options.stats - Attempt counter shared across the fallback chain
+ * @returns {Promise<Response>} Successful provider response
+ * @throws {SummarizeError} When the provider rejects the request or keeps failing
+ */
+async function requestWithRetry({ provider, providerOptions }, prompt, { isStreaming, signal, stats }) {
+  const providerRequest = provider.buildRequest(providerOptions, prompt)
+
+  for (let attempt = 1; ; attempt++) {
+    stats.attempts++
+    console.log(`Making ${isStreaming ? 'streaming ' : ''}${provider.id} API request for summarization (attempt ${attempt})`)
+
+    /** @type {SummarizeError} */
+    let failure
+    let retryAfter = null
+
+    try {
+      // Make request to the LLM API
+      const response = await fetch(providerRequest.endpoint, {
+        method: 'POST',
+        headers: providerRequest.headers,
+        body: JSON.stringify(isStreaming ? { ...providerRequest.payload, stream: true } : providerRequest.payload),
+        signal
+      })
+
+      if (response.ok && (!isStreaming || response.body)) {
+        return response
+      }
+
+      const errorText = await response.text()
+      console.error(`${provider.id} API error:`, response.status, errorText)
+
+      // Handle specific error cases
+      const { error, status } = provider.mapError(response.status)
+      failure = new SummarizeError(error, status)
+
+      if (!isTransientStatus(response.status)) {
+        throw failure
+      }
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+    } catch (error) {
+      if (error === failure || signal?.aborted) {
+        throw error
+      }
+
+      // Network failure (connection refused, DNS, reset): worth retrying
+      console.error(`${provider.id} request failed:`, error)
+      failure = new SummarizeError(`Could not reach ${provider.label}: ${error instanceof Error ? error.message : error}`, 502)
+    }
+
+    const delay = retryAfter ?? getBackoffDelay(attempt)
+    if (attempt >= MAX_ATTEMPTS_PER_PROVIDER || delay > MAX_RETRY_DELAY) {
+      throw failure
+    }
+
+    console.warn(`Retrying ${provider.id} in ${delay}ms after: ${failure.message}`)
+    await sleep(delay, signal)
+  }
+}
+
+/**
+ * Sends a prompt to the providers of the chain in order until one accepts it
+ * @param {ProviderCandidate[]} chain - Requested provider followed by its fallbacks
+ * @param {import('./providers/index.js').SummaryPrompt} prompt - Prompt to send
+ * @param {Object} options - Request options
+ * @param {boolean} options.isStreaming - Ask the provider to stream its response
+ * @param {AbortSignal} [options.signal] - Aborts the requests
+ * @param {{ attempts: number }} options.stats - Attempt counter
+ * @returns {Promise<{ candidate: ProviderCandidate, response: Response, fallbackIndex: number }>}
+ *   Provider that accepted the request, its response and its position in the chain
+ * @throws {SummarizeError} When every provider of the chain rejects the request
+ */
+async function requestFromChain(chain, prompt, { isStreaming, signal, stats }) {
+  for (let fallbackIndex = 0; ; fallbackIndex++) {
+    const candidate = chain[fallbackIndex]
+    try {
+      const response = await requestWithRetry(candidate, prompt, { isStreaming, signal, stats })
+      return { candidate, response, fallbackIndex }
+    } catch (error) {
+      const nextCandidate = chain[fallbackIndex + 1]
+      if (signal?.aborted || !nextCandidate) {
+        throw error
+      }
+      console.warn(`${candidate.provider.id} failed (${error instanceof Error ? error.message : error}), falling back to ${nextCandidate.provider.id}`)
+    }
+  }
+}
+
+/**
+ * Generates text for an arbitrary prompt with the provider chain (not cached)
+ * @param {import('./providers/index.js').SummaryPrompt} prompt - Prompt to send
+ * @param {SummarizeSettings} settings - Validated provider settings (see resolveSummarizeSettings)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal
+ * @returns {Promise<{ text: string, provider: string, model: string, attempts: number, fallback: boolean }>}
+ * @throws {SummarizeError} When every provider of the chain rejects the request
+ */
+export async function generateText(prompt, settings, { signal } = {}) {
+  const stats = { attempts: 0 }
+  const { candidate, response, fallbackIndex } = await requestFromChain(settings.chain, prompt, { isStreaming: false, signal, stats })
+  const text = candidate.provider.parseResponse(await response.json())
+
+  if (!text) {
+    throw new Error('No text generated by the AI model')
+  }
+
+  return {
+    text,
+    provider: candidate.provider.id,
+    model: candidate.model,
+    attempts: stats.attempts,
+    fallback: fallbackIndex > 0
+  }
+}
+
+/**
+ * Summarizes one repository, using the cache unless regenerate is set
+ * Passing onDelta streams the provider response and reports text as it is generated
+ * (a cached summary is reported as a single chunk)
+ * Providers of the chain are tried in order until one accepts the request; once
+ * a provider has started answering, its failures are not retried.
+ * @param {SummarizeRequest} body - Request body
+ * @param {SummarizeSettings} settings - Validated provider settings (see resolveSummarizeSettings)
+ * @param {SummarizeCallbacks} [callbacks] - Streaming callbacks and abort signal
+ * @returns {Promise<SummarizeResponse>} Generated or cached summary
+ * @throws {SummarizeError} When every provider of the chain rejects the request
+ */
+export async function summarizeRepository(body, settings, { signal, onMeta, onDelta } = {}) {
+  validateRepositoryFields(body)
+
+  const { chain, style, outputLanguage } = settings
+
+  // Summaries are cached per repository revision, and only for revisions verified
+  // on GitHub, whose own metadata then goes into the prompt; regenerate bypasses the cache
+  const repository = body.id && body.updated_at && body.full_name ? await verifyRepository(body) : null
+  /** @type {SummarizeRequest} */
+  const promptFields = repository
+    ? {
+        ...body,
+        text: `${repository.name}: ${repository.description || 'No description'}`,
+        topics: repository.topics,
+        language: repository.language
+      }
+    : body
+
+  /** @param {ProviderCandidate} candidate */
+  const toCacheKey = ({ provider, model, shareable }) => repository && shareable
+    ? { id: repository.id, updatedAt: repository.updated_at, provider: provider.id, model, style, language: outputLanguage, promptVersion: PROMPT_VERSION }
+    : null
+
+  if (toCacheKey(chain[0]) && !body.regenerate) {
+    for (const candidate of chain) {
+      const cacheKey = toCacheKey(candidate)
+      const cachedSummary = cacheKey && await getCachedSummary(cacheKey)
+      if (cachedSummary) {
+        console.log(`Returning cached ${candidate.provider.id} summary for repository ${body.id}`)
+        /** @type {SummarizeResponse} */
+        const result = { ...cachedSummary, attempts: 0, cached: true }
+        onMeta?.({
+          provider: result.provider,
+          model: result.model,
+          style: result.style,
+          output_language: result.output_language,
+          sources: result.sources,
+          attempts: 0,
+          fallback: result.fallback,
+          cached: true
+        })
+        onDelta?.(result.summary)
+        return result
+      }
+    }
+  }
+
+  // Prepare the prompt for summarization
+  const { context, sources } = await buildRepositoryContext(promptFields)
+  const prompt = buildSummaryPrompt({ context, style, language: outputLanguage })
+  const isStreaming = Boolean(onDelta)
+  const stats = { attempts: 0 }
+
+  const { candidate, response, fallbackIndex } = await requestFromChain(chain, prompt, { isStreaming, signal, stats })
+  const { provider, model } = candidate
+
+  /** @type {SummaryDetails} */
+  const details = {
+    provider: provider.id,
+    model,
+    style,
+    output_language: outputLanguage,
+    sources,
+    attempts: stats.attempts,
+    fallback: fallbackIndex > 0
+  }
+
+  onMeta?.({ ...details, cached: false })
+
+  // Extract the summary from the provider-specific response format
+  const summary = isStreaming
+    ? await readStreamedSummary(provider, response, onDelta)
+    : provider.parseResponse(await response.json())
+
+  if (!summary) {
+    throw new Error('No summary generated by the AI model')
+  }
+
+  // Validate that we got approximately 3 sentences
+  if (style === 'three-sentence') {
+    const sentenceCount = summary.split(/[.!?]+/).filter(s => s.trim().length > 0).length
+
+    if (sentenceCount < 2) {
+      console.warn(`Summary only contains ${sentenceCount} sentences, expected 3`)
+    }
+  }
+
+  console.log(`Successfully generated summary using ${provider.id} after ${stats.attempts} attempt(s)`)
+
+  /** @type {SummarizeResponse} */
+  const result = {
+    summary,
+    ...details,
+    timestamp: new Date().toISOString(),
+    cached: false
+  }
+
+  // Cache failures must not fail the request
+  const cacheKey = toCacheKey(candidate)
+  if (cacheKey) {
+    try {
+      await storeSummary(cacheKey, result)
+    } catch (error) {
+      console.error('Failed to cache summary:', error)
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,88 @@
+/*
+ * Summary Cache
+ * Stores generated summaries keyed by repository revision, provider, model,
+ * style, output language and prompt version, so repeated requests do not
+ * call the LLM again
+ */
+
+import { createCache } from './cache'
+
+const SUMMARY_CACHE_DURATION = 30 * 24 * 60 * 60 * 1000 // 30 days in milliseconds
+
+// Summaries by full key, plus the most recent summary of each repository
+const summaryCache = createCache('summaries')
+
+/**
+ * Identifies one generated summary
+ *
+ * @typedef {Object} SummaryCacheKey
+ * @property {number|string} id - GitHub repository id
+ * @property {string} updatedAt - Repository updated_at (a new push invalidates the summary)
+ * @property {string} provider - LLM provider
+ * @property {string} model - LLM model
+ * @property {string} style - Summary style preset
+ * @property {string} language - Output language code
+ * @property {number} promptVersion - Version of the summarization prompt
+ */
+
+/**
+ * @typedef {import('../types/index.js').SummarizeResponse & { updated_at: string }} CachedSummary
+ */
+
+/**
+ * Builds the storage key for a summary
+ * @param {SummaryCacheKey} key - Summary identity
+ * @returns {string}
+ */
+function toCacheKey({ id, updatedAt, provider, model, style, language, promptVersion }) {
+  return [id, updatedAt, provider, model, style, language, `v${promptVersion}`].join(':')
+}
+
+/**
+ * Returns a previously generated summary
+ * @param {SummaryCacheKey} key - Summary identity
+ * @returns {Promise<CachedSummary|null>}
+ */
+export async function getCachedSummary(key) {
+  const entry = await summaryCache.get(toCacheKey(key))
+  return entry && entry.expiresAt > Date.now() ? entry.data : null
+}
+
+/**
+ * Stores a generated summary and records it as the repository's latest
+ * @param {SummaryCacheKey} key - Summary identity
+ * @param {import('../types/index.js').SummarizeResponse} result - Generated summary
+ * @returns {Promise<CachedSummary>} Stored summary
+ */
+export async function storeSummary(key, result) {
+  /** @type {CachedSummary} */
+  const cached = { ...result, updated_at: key.updatedAt }
+
+  await Promise.all([
+    summaryCache.set(toCacheKey(key), cached, SUMMARY_CACHE_DURATION),
+    summaryCache.set(`latest:${key.id}`, cached, SUMMARY_CACHE_DURATION)
+  ])
+
+  return cached
+}
+
+/**
+ * Returns the most recent summary of each repository, from any provider
+ * @param {Array<number|string>} ids - GitHub repository ids
+ * @returns {Promise<Object<string, CachedSummary>>} Summaries keyed by repository id (missing ids omitted)
+ */
+export async function getLatestSummaries(ids) {
+  const entries = await Promise.all(ids.map((id) => summaryCache.get(`latest:${id}`)))
+  const now = Date.now()
+
+  /** @type {Object<string, CachedSummary>} */
+  const summaries = {}
+  ids.forEach((id, index) => {
+    const entry = entries[index]
+    if (entry && entry.expiresAt > now) {
+      summaries[String(id)] = entry.data
+    }
+  })
+
+  return summaries
+}
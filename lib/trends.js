@@ -0,0 +1,297 @@
+/*
+ * Trends Data
+ * Fetches trending AI/ML repositories from GitHub and caches them per query page.
+ * Serves the last known data right away (also after a restart when a persistent
+ * cache backend is configured) and refreshes expired entries in the background.
+ * Shared by /api/trends and the feed routes; refreshes notify webhooks.
+ */
+
+import {
+  buildSearchQuery,
+  getTrendsCacheKey,
+  hasMorePages,
+  getGitHubSort,
+  PER_PAGE,
+  MAX_PAGE
+} from './trendsQuery'
+import { githubFetch } from './github'
+import { createCache, getCacheAdapter, isExpired } from './cache'
+import { withStarVelocity, sortByVelocity } from './starHistory'
+import { notifyNewRepositories } from './webhooks'
+
+/**
+ * @typedef {Object} GitHubRepository
+ * @property {number} id
+ * @property {string} name
+ * @property {string} full_name
+ * @property {string|null} description
+ * @property {number} stargazers_count
+ * @property {string} html_url
+ * @property {string[]} topics
+ * @property {string} updated_at
+ * @property {string|null} language
+ * @property {string} created_at
+ * @property {import('./starHistory.js').StarVelocity|null} [star_velocity] - Added from star snapshots
+ */
+
+/**
+ * @typedef {Object} GitHubSearchResponse
+ * @property {number} total_count
+ * @property {boolean} incomplete_results
+ * @property {GitHubRepository[]} items
+ */
+
+/**
+ * One cached page of trends results
+ * @typedef {Object} TrendsPage
+ * @property {GitHubRepository[]} repositories
+ * @property {boolean} hasMore - Whether GitHub has results beyond this page
+ */
+
+/**
+ * @typedef {import('../types/index.js').CacheEntry<TrendsPage>} TrendsCacheEntry
+ */
+
+/**
+ * A trends page and where it came from
+ * @typedef {Object} TrendsResult
+ * @property {TrendsCacheEntry} entry - Cached page
+ * @property {'cache'|'fresh'|'stale'|'fallback'} source - "cache" (still valid), "fresh" (just fetched),
+ *   "stale" (expired, refreshing in the background) or "fallback" (expired, the refresh failed)
+ */
+
+// Shared cache keyed by normalized query and page (backend chosen by CACHE_BACKEND)
+const trendsCache = createCache('trends')
+
+export const CACHE_DURATION = 5 * 60 * 1000 // 5 minutes in milliseconds
+
+// Refreshes in progress, so concurrent requests share one GitHub call; on
+// globalThis so the scheduler (bundled with instrumentation.js) shares it too
+/** @type {Map<string, Promise<TrendsCacheEntry>>} */
+const pendingRefreshes = globalThis.__pendingTrendsRefreshes || (globalThis.__pendingTrendsRefreshes = new Map())
+
+/**
+ * Checks that a repository is relevant to AI/ML
+ * Be more lenient with star count since new repos (< 7 days) rarely have many stars
+ * @param {GitHubRepository} repo - Repository from GitHub search
+ * @returns {boolean}
+ */
+function isAIRepository(repo) {
+  const topics = repo.topics || []
+  const aiTopics = ['ai', 'machine-learning', 'llm', 'artificial-intelligence', 'deep-learning', 'neural-network', 'tensorflow', 'pytorch', 'opencv']
+  const hasAITopic = topics.some(topic =>
+    aiTopics.some(aiTopic => topic.toLowerCase().includes(aiTopic.toLowerCase()))
+  )
+  // Also check if repo name or description contains AI-related terms
+  const nameOrDescHasAI = (repo.name + ' ' + (repo.description || '')).toLowerCase().match(/(ai|artificial|intelligence|machine|learning|neural|deep|ml|nlp|computer.vision|data.science)/i)
+
+  // For new repos, accept any star count (stars:>0) since they're newly created
+  return Boolean(hasAITopic || nameOrDescHasAI) && repo.stargazers_count >= 0
+}
+
+/**
+ * Fetches one page of trending repositories from GitHub
+ * @param {import('./trendsQuery.js').TrendsQuery} trendsQuery - Normalized query
+ * @param {number} page - 1-based page number
+ * @returns {Promise<TrendsPage>} AI-relevant repositories and pagination state
+ */
+async function fetchTrendsPage(trendsQuery, page) {
+  console.log('=== GitHub API Request ===')
+  console.log('Current time:', new Date().toISOString())
+
+  // STRICT QUERY: Only projects created in the requested window (7 days by default)
+  // No star filter by default since new repos rarely have many stars
+  const query = buildSearchQuery(trendsQuery)
+
+  console.log('Search query:', query)
+
+  // Construct GitHub API path with proper encoding
+  const { sort, order } = getGitHubSort(trendsQuery)
+  const url = `/search/repositories?q=${encodeURIComponent(query)}&sort=${sort}&order=${order}&per_page=${PER_PAGE}&page=${page}`
+
+  console.log('GitHub API path:', url)
+
+  // Make request to GitHub API (authenticated when GITHUB_TOKEN is set)
+  // Throws GitHubRateLimitError while backing off until the quota resets
+  const response = await githubFetch(url)
+
+  console.log('GitHub API response status:', response.status)
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    console.error('=== GitHub API Error ===')
+    console.error('Status:', response.status)
+    console.error('Status Text:', response.statusText)
+    console.error('Error Body:', errorText)
+    console.error('Request URL:', url)
+
+    // Handle specific error cases (rate limits are thrown by githubFetch)
+    if (response.status === 403) {
+      throw new Error('GitHub API access forbidden. Check the configured GITHUB_TOKEN.')
+    }
+
+    throw new Error(`GitHub API error: ${response.status}`)
+  }
+
+  /** @type {GitHubSearchResponse} */
+  const data = await response.json()
+
+  console.log(`Strict ${trendsQuery.days}-day query returned ${data.items.length} repositories`)
+
+  // Use the results from the strict date filter only, keeping AI/ML relevant ones
+  // Each fetch also records a star snapshot used to compute star velocity; the
+  // history is kept per GitHub results page, shared by sorts that fetch the same page
+  const historyKey = getTrendsCacheKey({ ...trendsQuery, ...getGitHubSort(trendsQuery) }, page)
+  let repositories = await withStarVelocity(historyKey, data.items.filter(isAIRepository))
+
+  // "Rising" ranks the fetched page by stars gained per day (within the page only)
+  if (trendsQuery.sort === 'velocity') {
+    repositories = sortByVelocity(repositories, trendsQuery.order)
+  }
+
+  return {
+    repositories,
+    hasMore: hasMorePages(page, data.total_count)
+  }
+}
+
+/**
+ * Fetches a page from GitHub and stores it in the cache
+ * Concurrent refreshes of the same key share a single request. Webhooks are
+ * notified of newly trending repositories in the background.
+ * @param {import('./trendsQuery.js').TrendsQuery} trendsQuery - Normalized query
+ * @param {number} page - 1-based page number
+ * @param {string} cacheKey - Cache key for the query page
+ * @returns {Promise<TrendsCacheEntry>} Fresh cache entry
+ */
+function refreshTrendsPage(trendsQuery, page, cacheKey) {
+  const pending = pendingRefreshes.get(cacheKey)
+  if (pending) {
+    return pending
+  }
+
+  const refresh = (async () => {
+    try {
+      const trendsPage = await fetchTrendsPage(trendsQuery, page)
+      const entry = await trendsCache.set(cacheKey, trendsPage, CACHE_DURATION)
+      console.log(`Successfully fetched and cached ${trendsPage.repositories.length} repositories`)
+
+      notifyNewRepositories(trendsQuery, page, trendsPage.repositories).catch((error) => {
+        console.error('Webhook notification failed:', error)
+      })
+      return entry
+    } finally {
+      pendingRefreshes.delete(cacheKey)
+    }
+  })()
+
+  pendingRefreshes.set(cacheKey, refresh)
+  return refresh
+}
+
+/**
+ * Returns a page of trending repositories, from the cache when possible
+ * Expired pages are returned right away and refreshed in the background; when
+ * a refresh fails, the last known page is returned instead of the error.
+ * @param {import('./trendsQuery.js').TrendsQuery} trendsQuery - Normalized query
+ * @param {number} page - 1-based page number
+ * @param {{ forceRefresh?: boolean }} [options] - Skip the cache and fetch from GitHub
+ * @returns {Promise<TrendsResult>}
+ * @throws {Error} When GitHub cannot be reached and nothing is cached
+ *   (GitHubRateLimitError while GitHub's quota is exhausted)
+ */
+export async function getTrendsPage(trendsQuery, page, { forceRefresh = false } = {}) {
+  const cacheKey = getTrendsCacheKey(trendsQuery, page)
+
+  /** @type {TrendsCacheEntry|null} */
+  let cached = null
+
+  try {
+    cached = await trendsCache.get(cacheKey)
+
+    if (!forceRefresh && cached) {
+      const ageSeconds = Math.round((Date.now() - cached.timestamp) / 1000)
+
+      // Return cached data if still valid
+      if (!isExpired(cached)) {
+        console.log(`Returning cached data for ${cacheKey} (age: ${ageSeconds}s)`)
+        return { entry: cached, source: 'cache' }
+      }
+
+      // Serve the last known data right away and refresh it in the background
+      console.log(`Returning stale data for ${cacheKey} (age: ${ageSeconds}s), refreshing in background`)
+      refreshTrendsPage(trendsQuery, page, cacheKey).catch((error) => {
+        console.error('Background trends refresh failed:', error)
+      })
+      return { entry: cached, source: 'stale' }
+    }
+
+    console.log(forceRefresh ? 'Force refresh requested' : `No cached data for ${cacheKey}, fetching fresh data`)
+
+    return { entry: await refreshTrendsPage(trendsQuery, page, cacheKey), source: 'fresh' }
+  } catch (error) {
+    // Return cached data if available, even if stale
+    if (cached) {
+      console.error('Error fetching trends:', error)
+      console.log('Returning stale cached data due to error')
+      return { entry: cached, source: 'fallback' }
+    }
+    throw error
+  }
+}
+
+/**
+ * Repositories of every cached page of a query, in page order without duplicates
+ * Reads pages from the first until one is not cached or is the last page;
+ * expired pages count too, since they are still served.
+ * @param {import('./trendsQuery.js').TrendsQuery} trendsQuery - Normalized query
+ * @returns {Promise<GitHubRepository[]>}
+ */
+export async function getCachedQueryRepositories(trendsQuery) {
+  /** @type {GitHubRepository[]} */
+  const repositories = []
+  const seenIds = new Set()
+
+  for (let page = 1; page <= MAX_PAGE; page++) {
+    /** @type {TrendsCacheEntry|null} */
+    const entry = await trendsCache.get(getTrendsCacheKey(trendsQuery, page))
+    if (!entry) {
+      break
+    }
+    entry.data.repositories.forEach((repository) => {
+      if (!seenIds.has(repository.id)) {
+        seenIds.add(repository.id)
+        repositories.push(repository)
+      }
+    })
+    if (!entry.data.hasMore) {
+      break
+    }
+  }
+
+  return repositories
+}
+
+/**
+ * Describes the cached trends pages, for API information endpoints
+ * @returns {Promise<Object>} Cache backend, entry count and age of each cached page
+ */
+export async function getTrendsCacheStatus() {
+  const now = Date.now()
+  const keys = await trendsCache.keys()
+  const entries = await Promise.all(keys.map((key) => trendsCache.get(key)))
+
+  return {
+    backend: getCacheAdapter().name,
+    entries: keys.length,
+    queries: keys.map((key, index) => {
+      const entry = entries[index]
+      return {
+        key,
+        last_fetch: entry ? new Date(entry.timestamp).toISOString() : null,
+        age_seconds: entry ? Math.round((now - entry.timestamp) / 1000) : null,
+        is_valid: entry ? !isExpired(entry, now) : false
+      }
+    })
+  }
+}
@@ -0,0 +1,203 @@
+/*
+ * Trends Changes
+ * Compares each scheduled refresh of the Home page trends with the previous
+ * snapshot: repositories added, dropped and moved in the ranking. Changes
+ * are kept for a week in the cache ("changes" namespace) and served by
+ * /api/trends/changes.
+ */
+
+import { createCache } from './cache'
+import { runSerially } from './concurrency'
+
+/**
+ * A repository's place in a snapshot
+ * @typedef {Object} RankedRepository
+ * @property {number} id - GitHub repository id
+ * @property {string} full_name - Owner/repository
+ * @property {string} html_url - Repository URL on GitHub
+ * @property {number} stars - Star count at the time of the snapshot
+ * @property {number} rank - 1-based position in the trends list
+ */
+
+/**
+ * @typedef {Object} TrendsSnapshot
+ * @property {string} taken_at - When the trends were refreshed (ISO 8601)
+ * @property {RankedRepository[]} repositories - Repositories in rank order
+ */
+
+/**
+ * A repository whose presence or rank changed
+ * @typedef {Object} RepositoryChange
+ * @property {number} id - GitHub repository id
+ * @property {string} full_name - Owner/repository
+ * @property {string} html_url - Repository URL on GitHub
+ * @property {number} stars - Latest known star count
+ * @property {number|null} rank - New rank (null when dropped)
+ * @property {number|null} previous_rank - Earlier rank (null when added)
+ */
+
+/**
+ * Differences between two consecutive snapshots
+ * @typedef {Object} TrendsChangeSet
+ * @property {string} created_at - When the newer snapshot was taken (ISO 8601)
+ * @property {string} previous_at - When the older snapshot was taken (ISO 8601)
+ * @property {RepositoryChange[]} added - New in the list, by rank
+ * @property {RepositoryChange[]} dropped - No longer in the list, by earlier rank
+ * @property {RepositoryChange[]} moved - Ranked differently, by rank
+ */
+
+const CHANGES_RETENTION = 7 * 24 * 60 * 60 * 1000 // Change sets are kept for a week
+const MAX_CHANGE_SETS = 500
+const SNAPSHOT_KEY = 'snapshot'
+const LOG_KEY = 'log'
+
+const changesCache = createCache('changes', { durable: true })
+
+/**
+ * Ranks repositories in list order
+ * @param {import('./trends.js').GitHubRepository[]} repositories - Trends list
+ * @returns {RankedRepository[]}
+ */
+function toRankedRepositories(repositories) {
+  return repositories.map((repository, index) => ({
+    id: repository.id,
+    full_name: repository.full_name,
+    html_url: repository.html_url,
+    stars: repository.stargazers_count,
+    rank: index + 1
+  }))
+}
+
+/**
+ * Compares two snapshots
+ * @param {TrendsSnapshot} previous - Older snapshot
+ * @param {TrendsSnapshot} current - Newer snapshot
+ * @returns {TrendsChangeSet}
+ */
+export function diffSnapshots(previous, current) {
+  const previousById = new Map(previous.repositories.map((repository) => [repository.id, repository]))
+  const currentIds = new Set(current.repositories.map((repository) => repository.id))
+
+  /** @type {TrendsChangeSet} */
+  const changeSet = { created_at: current.taken_at, previous_at: previous.taken_at, added: [], dropped: [], moved: [] }
+
+  current.repositories.forEach(({ rank, ...repository }) => {
+    const before = previousById.get(repository.id)
+    if (!before) {
+      changeSet.added.push({ ...repository, rank, previous_rank: null })
+    } else if (before.rank !== rank) {
+      changeSet.moved.push({ ...repository, rank, previous_rank: before.rank })
+    }
+  })
+
+  previous.repositories.forEach(({ rank, ...repository }) => {
+    if (!currentIds.has(repository.id)) {
+      changeSet.dropped.push({ ...repository, rank: null, previous_rank: rank })
+    }
+  })
+
+  return changeSet
+}
+
+/**
+ * Whether a change set has any changes
+ * @param {TrendsChangeSet} changeSet - Change set
+ * @returns {boolean}
+ */
+function hasChanges(changeSet) {
+  return changeSet.added.length > 0 || changeSet.dropped.length > 0 || changeSet.moved.length > 0
+}
+
+/**
+ * Returns the latest snapshot
+ * @returns {Promise<TrendsSnapshot|null>} Snapshot, or null before the first refresh
+ */
+export async function getLatestSnapshot() {
+  const entry = await changesCache.get(SNAPSHOT_KEY)
+  return entry ? entry.data : null
+}
+
+/**
+ * Lists recorded change sets, oldest first
+ * @returns {Promise<TrendsChangeSet[]>}
+ */
+async function getChangeLog() {
+  const entry = await changesCache.get(LOG_KEY)
+  return entry ? entry.data : []
+}
+
+/**
+ * Stores a refreshed trends list as the latest snapshot and records how it
+ * differs from the previous one
+ * @param {import('./trends.js').GitHubRepository[]} repositories - Refreshed trends list in rank order
+ * @returns {Promise<TrendsChangeSet|null>} Recorded changes, or null for the first snapshot or when nothing changed
+ */
+export function recordTrendsSnapshot(repositories) {
+  // Snapshot updates run one at a time so concurrent refreshes diff in order
+  return runSerially('trendsChanges', async () => {
+    /** @type {TrendsSnapshot} */
+    const snapshot = { taken_at: new Date().toISOString(), repositories: toRankedRepositories(repositories) }
+    const previous = await getLatestSnapshot()
+    await changesCache.set(SNAPSHOT_KEY, snapshot, CHANGES_RETENTION)
+
+    if (!previous) {
+      console.log(`Recorded first trends snapshot (${repositories.length} repositories)`)
+      return null
+    }
+
+    const changeSet = diffSnapshots(previous, snapshot)
+    if (!hasChanges(changeSet)) {
+      return null
+    }
+
+    // Drop change sets past the retention period, then the oldest beyond the limit
+    const cutoff = Date.now() - CHANGES_RETENTION
+    const log = (await getChangeLog()).filter((item) => Date.parse(item.created_at) > cutoff)
+    await changesCache.set(LOG_KEY, [...log, changeSet].slice(-MAX_CHANGE_SETS), CHANGES_RETENTION)
+
+    console.log(`Trends changed: ${changeSet.added.length} added, ${changeSet.dropped.length} dropped, ${changeSet.moved.length} moved`)
+    return changeSet
+  })
+}
+
+/**
+ * Combines consecutive change sets into the overall change between the first
+ * and last snapshot (a repository added and dropped again is left out)
+ * @param {TrendsChangeSet[]} changeSets - Change sets, oldest first
+ * @returns {{ added: RepositoryChange[], dropped: RepositoryChange[], moved: RepositoryChange[] }}
+ */
+export function mergeChangeSets(changeSets) {
+  /** @type {Map<number, RepositoryChange>} */
+  const merged = new Map()
+
+  changeSets.forEach((changeSet) => {
+    [...changeSet.added, ...changeSet.dropped, ...changeSet.moved].forEach((change) => {
+      const earlier = merged.get(change.id)
+      // Keep the first known previous rank and the latest rank and stars
+      merged.set(change.id, { ...change, previous_rank: earlier ? earlier.previous_rank : change.previous_rank })
+    })
+  })
+
+  const changes = [...merged.values()]
+  const byRank = (a, b) => a.rank - b.rank
+  return {
+    added: changes.filter((change) => change.previous_rank === null && change.rank !== null).sort(byRank),
+    dropped: changes
+      .filter((change) => change.previous_rank !== null && change.rank === null)
+      .sort((a, b) => a.previous_rank - b.previous_rank),
+    moved: changes
+      .filter((change) => change.previous_rank !== null && change.rank !== null && change.rank !== change.previous_rank)
+      .sort(byRank)
+  }
+}
+
+/**
+ * Returns the changes recorded after a point in time
+ * @param {number|null} since - Epoch milliseconds (null for all retained changes)
+ * @returns {Promise<{ changes: TrendsChangeSet[], net: ReturnType<typeof mergeChangeSets> }>}
+ *   Change sets oldest first, and their combined effect
+ */
+export async function getTrendsChanges(since) {
+  const changes = (await getChangeLog()).filter((item) => since === null || Date.parse(item.created_at) > since)
+  return { changes, net: mergeChangeSets(changes) }
+}
@@ -0,0 +1,269 @@
+/*
+ * Trends Query Parameters
+ * Parses, validates and normalizes the query string accepted by /api/trends
+ * and turns it into a GitHub search query
+ */
+
+/**
+ * @typedef {Object} TrendsQuery
+ * @property {string} topic - GitHub topic to search (e.g. "ai", "llm")
+ * @property {string|null} language - Primary language filter (e.g. "rust")
+ * @property {number} days - Only include repositories created within this many days
+ * @property {number} minStars - Minimum star count
+ * @property {'stars'|'forks'|'updated'|'velocity'} sort - Sort field ("velocity" ranks each page by stars gained per day)
+ * @property {'asc'|'desc'} order - Sort direction
+ */
+
+/** @type {TrendsQuery} */
+export const DEFAULT_TRENDS_QUERY = {
+  topic: 'ai',
+  language: null,
+  days: 7,
+  minStars: 0,
+  sort: 'stars',
+  order: 'desc'
+}
+
+export const MAX_DAYS = 365
+export const PER_PAGE = 30
+// GitHub search only exposes the first 1000 results of any query
+export const MAX_SEARCH_RESULTS = 1000
+export const MAX_PAGE = Math.ceil(MAX_SEARCH_RESULTS / PER_PAGE)
+export const SORT_OPTIONS = ['stars', 'forks', 'updated', 'velocity']
+export const ORDER_OPTIONS = ['asc', 'desc']
+
+// GitHub topics are lowercase letters, numbers and hyphens (max 50 chars)
+const TOPIC_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/
+// Covers names like "C++", "C#", "Objective-C" and "Jupyter Notebook"
+const LANGUAGE_PATTERN = /^[a-z0-9+#.\- ]{1,30}$/
+
+/**
+ * Parses an integer query parameter within bounds
+ * @param {string|null} value - Raw parameter value
+ * @param {string} name - Parameter name (for error messages)
+ * @param {number} fallback - Value used when the parameter is absent
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {string[]} errors - Collected validation errors
+ * @returns {number} Parsed value
+ */
+function parseInteger(value, name, fallback, min, max, errors) {
+  if (value === null || value.trim() === '') {
+    return fallback
+  }
+
+  if (!/^\d+$/.test(value.trim())) {
+    errors.push(`"${name}" must be a whole number`)
+    return fallback
+  }
+
+  const parsed = parseInt(value, 10)
+  if (parsed < min || parsed > max) {
+    errors.push(`"${name}" must be between ${min} and ${max}`)
+    return fallback
+  }
+
+  return parsed
+}
+
+/**
+ * Parses and validates trends query parameters
+ * Unknown parameters (such as the "t" cache-buster) are ignored
+ * @param {URLSearchParams} searchParams - Query string of the incoming request
+ * @returns {{ query: TrendsQuery, errors: string[] }} Normalized query and validation errors
+ */
+export function parseTrendsQuery(searchParams) {
+  /** @type {string[]} */
+  const errors = []
+  const query = { ...DEFAULT_TRENDS_QUERY }
+
+  const topic = searchParams.get('topic')
+  if (topic !== null && topic.trim() !== '') {
+    const normalized = topic.trim().toLowerCase()
+    if (TOPIC_PATTERN.test(normalized)) {
+      query.topic = normalized
+    } else {
+      errors.push('"topic" may only contain letters, numbers and hyphens (max 50 characters)')
+    }
+  }
+
+  const language = searchParams.get('language')
+  if (language !== null && language.trim() !== '') {
+    const normalized = language.trim().toLowerCase()
+    if (LANGUAGE_PATTERN.test(normalized)) {
+      query.language = normalized
+    } else {
+      errors.push('"language" contains unsupported characters')
+    }
+  }
+
+  query.days = parseInteger(searchParams.get('days'), 'days', DEFAULT_TRENDS_QUERY.days, 1, MAX_DAYS, errors)
+  query.minStars = parseInteger(searchParams.get('minStars'), 'minStars', DEFAULT_TRENDS_QUERY.minStars, 0, 1000000, errors)
+
+  const sort = searchParams.get('sort')
+  if (sort !== null && sort !== '') {
+    if (SORT_OPTIONS.includes(sort)) {
+      query.sort = /** @type {TrendsQuery['sort']} */ (sort)
+    } else {
+      errors.push(`"sort" must be one of: ${SORT_OPTIONS.join(', ')}`)
+    }
+  }
+
+  const order = searchParams.get('order')
+  if (order !== null && order !== '') {
+    if (ORDER_OPTIONS.includes(order)) {
+      query.order = /** @type {TrendsQuery['order']} */ (order)
+    } else {
+      errors.push(`"order" must be one of: ${ORDER_OPTIONS.join(', ')}`)
+    }
+  }
+
+  return { query, errors }
+}
+
+/**
+ * Serializes a normalized query as a query string, leaving out defaults
+ * @param {TrendsQuery} query - Normalized trends query
+ * @returns {string} e.g. "language=rust&days=30" ("" for the default query)
+ */
+export function toTrendsQueryString(query) {
+  const params = new URLSearchParams()
+  Object.keys(DEFAULT_TRENDS_QUERY).forEach((name) => {
+    if (query[name] !== DEFAULT_TRENDS_QUERY[name] && query[name] !== null) {
+      params.set(name, String(query[name]))
+    }
+  })
+  return params.toString()
+}
+
+/**
+ * Encodes a page of a query as an opaque pagination cursor
+ * The query travels with the cursor, so following it needs no other parameters.
+ * @param {number} page - 1-based page number
+ * @param {TrendsQuery} query - Normalized query the page belongs to
+ * @returns {string} Cursor for the "cursor" query parameter
+ */
+export function encodeCursor(page, query) {
+  // btoa instead of Buffer keeps this module small in client bundles
+  return btoa(JSON.stringify({ page, query: toTrendsQueryString(query) }))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Decodes a pagination cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor string
+ * @returns {{ page: number, query: TrendsQuery|null }|null} Page and query (null in cursors
+ *   without one), or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { page, query } = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')))
+    if (!Number.isInteger(page)) {
+      return null
+    }
+    if (typeof query !== 'string') {
+      return { page, query: null }
+    }
+
+    // Validated like any request, since clients can craft cursors
+    const parsed = parseTrendsQuery(new URLSearchParams(query))
+    return parsed.errors.length === 0 ? { page, query: parsed.query } : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Parses the requested results page from either "cursor" or "page"
+ * A cursor takes precedence when both are present, and its query replaces
+ * the query parameters of the request.
+ * @param {URLSearchParams} searchParams - Query string of the incoming request
+ * @returns {{ page: number, query: TrendsQuery|null, errors: string[] }} 1-based page number,
+ *   query from the cursor (if any) and validation errors
+ */
+export function parsePage(searchParams) {
+  /** @type {string[]} */
+  const errors = []
+  const cursor = searchParams.get('cursor')
+
+  if (cursor !== null && cursor !== '') {
+    const decoded = decodeCursor(cursor)
+    if (decoded === null || decoded.page < 1 || decoded.page > MAX_PAGE) {
+      errors.push('"cursor" is invalid')
+      return { page: 1, query: null, errors }
+    }
+    return { page: decoded.page, query: decoded.query, errors }
+  }
+
+  const page = parseInteger(searchParams.get('page'), 'page', 1, 1, MAX_PAGE, errors)
+  return { page, query: null, errors }
+}
+
+/**
+ * Whether more results exist after a page of a GitHub search
+ * @param {number} page - 1-based page number that was fetched
+ * @param {number} totalCount - total_count reported by GitHub
+ * @returns {boolean}
+ */
+export function hasMorePages(page, totalCount) {
+  return page * PER_PAGE < Math.min(totalCount, MAX_SEARCH_RESULTS)
+}
+
+/**
+ * Builds the GitHub search "q" parameter for a trends query
+ * @param {TrendsQuery} query - Normalized trends query
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {string} GitHub search query, e.g. "topic:ai created:>2024-01-01"
+ */
+export function buildSearchQuery(query, now = new Date()) {
+  const date = new Date(now.getTime())
+  date.setDate(date.getDate() - query.days)
+  const dateString = date.toISOString().split('T')[0] // YYYY-MM-DD format
+
+  const qualifiers = [`topic:${query.topic}`, `created:>${dateString}`]
+
+  if (query.language) {
+    // Multi-word languages need quoting, e.g. language:"jupyter notebook"
+    qualifiers.push(query.language.includes(' ') ? `language:"${query.language}"` : `language:${query.language}`)
+  }
+
+  if (query.minStars > 0) {
+    qualifiers.push(`stars:>=${query.minStars}`)
+  }
+
+  return qualifiers.join(' ')
+}
+
+/**
+ * Maps a trends sort to the sort and order GitHub search understands
+ * "velocity" is computed locally, so the most-starred candidates are fetched
+ * @param {TrendsQuery} query - Normalized trends query
+ * @returns {{ sort: 'stars'|'forks'|'updated', order: 'asc'|'desc' }}
+ */
+export function getGitHubSort(query) {
+  if (query.sort === 'velocity') {
+    return { sort: 'stars', order: 'desc' }
+  }
+  return { sort: query.sort, order: query.order }
+}
+
+/**
+ * Builds a stable cache key for a normalized trends query
+ * Equivalent requests (different parameter order, casing or defaults) share a key
+ * @param {TrendsQuery} query - Normalized trends query
+ * @param {number} [page] - 1-based results page (each page is cached separately)
+ * @returns {string} Cache key
+ */
+export function getTrendsCacheKey(query, page = 1) {
+  return [
+    `topic=${query.topic}`,
+    `language=${query.language || ''}`,
+    `days=${query.days}`,
+    `minStars=${query.minStars}`,
+    `sort=${query.sort}`,
+    `order=${query.order}`,
+    `page=${page}`
+  ].join('&')
+}
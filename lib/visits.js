@@ -0,0 +1,148 @@
+/*
+ * Visit History
+ * Remembers which repositories were on the Home page, and at what rank,
+ * during the current and the previous visit, so new arrivals and rank
+ * movement can be shown. Kept in localStorage. Client-only.
+ */
+
+export const VISITS_STORAGE_KEY = 'ai-news-visits'
+
+// Bump when the stored shape changes
+export const VISITS_VERSION = 1
+
+// Opening the app after this much inactivity starts a new visit
+export const VISIT_GAP = 30 * 60 * 1000
+
+/**
+ * One visit: when it happened and the rank of each repository seen
+ * @typedef {Object} Visit
+ * @property {string} startedAt - When the visit started (ISO 8601)
+ * @property {string} lastSeenAt - Last time the page was open (ISO 8601)
+ * @property {Object<string, number>} ranks - 1-based trends rank keyed by repository id
+ */
+
+/**
+ * @typedef {Object} VisitHistory
+ * @property {Visit|null} current - Visit in progress
+ * @property {Visit|null} previous - Visit before it (null on the first visit)
+ */
+
+/**
+ * Whether a value looks like a stored visit
+ * @param {*} visit - Value to check
+ * @returns {boolean}
+ */
+function isVisit(visit) {
+  return Boolean(visit) &&
+    typeof visit.startedAt === 'string' &&
+    typeof visit.lastSeenAt === 'string' &&
+    Boolean(visit.ranks) && typeof visit.ranks === 'object'
+}
+
+/**
+ * Loads the stored visits
+ * @returns {VisitHistory}
+ */
+function loadVisitHistory() {
+  try {
+    const stored = localStorage.getItem(VISITS_STORAGE_KEY)
+    const parsed = stored ? JSON.parse(stored) : null
+    if (!parsed || parsed.version !== VISITS_VERSION) {
+      return { current: null, previous: null }
+    }
+
+    return {
+      current: isVisit(parsed.current) ? parsed.current : null,
+      previous: isVisit(parsed.previous) ? parsed.previous : null
+    }
+  } catch (error) {
+    console.error('Error loading visit history:', error)
+    return { current: null, previous: null }
+  }
+}
+
+/**
+ * Stores the visits
+ * @param {VisitHistory} history - Visits to store
+ */
+function storeVisitHistory(history) {
+  try {
+    localStorage.setItem(VISITS_STORAGE_KEY, JSON.stringify({ version: VISITS_VERSION, ...history }))
+  } catch (error) {
+    console.error('Error saving visit history:', error)
+  }
+}
+
+/**
+ * Starts a visit, or continues the current one if the page was open recently
+ * A new visit makes the current one the previous visit.
+ * @param {number} [now] - Reference time in epoch milliseconds
+ * @returns {Visit|null} The previous visit, to compare the current page with
+ */
+export function beginVisit(now = Date.now()) {
+  const history = loadVisitHistory()
+  const timestamp = new Date(now).toISOString()
+
+  if (history.current && now - Date.parse(history.current.lastSeenAt) < VISIT_GAP) {
+    storeVisitHistory({ ...history, current: { ...history.current, lastSeenAt: timestamp } })
+    return history.previous
+  }
+
+  // A visit where nothing loaded is not worth comparing with
+  const previous = history.current && Object.keys(history.current.ranks).length > 0 ? history.current : history.previous
+  storeVisitHistory({ current: { startedAt: timestamp, lastSeenAt: timestamp, ranks: {} }, previous })
+  return previous
+}
+
+/**
+ * Records the ranks of the repositories shown during the current visit
+ * @param {import('../types/index.js').Repository[]} repositories - Loaded repositories in trends order
+ * @param {number} [now] - Reference time in epoch milliseconds
+ */
+export function recordVisitRanks(repositories, now = Date.now()) {
+  const history = loadVisitHistory()
+  const timestamp = new Date(now).toISOString()
+  const current = history.current || { startedAt: timestamp, lastSeenAt: timestamp, ranks: {} }
+
+  /** @type {Object<string, number>} */
+  const ranks = { ...current.ranks }
+  repositories.forEach((repository, index) => {
+    ranks[repository.id] = index + 1
+  })
+
+  storeVisitHistory({ ...history, current: { ...current, lastSeenAt: timestamp, ranks } })
+}
+
+/**
+ * Compares the loaded repositories with the previous visit
+ * Only repositories within the ranks seen last time can be new; further ones
+ * may simply not have been loaded then.
+ * @param {Visit|null} previous - Previous visit
+ * @param {import('../types/index.js').Repository[]} repositories - Loaded repositories in trends order
+ * @returns {{ newIds: Set<number>, rankChanges: Map<number, number> }} New repository ids, and
+ *   places moved up (positive) or down (negative) for returning ones that moved
+ */
+export function compareWithVisit(previous, repositories) {
+  /** @type {Set<number>} */
+  const newIds = new Set()
+  /** @type {Map<number, number>} */
+  const rankChanges = new Map()
+
+  if (!previous) {
+    return { newIds, rankChanges }
+  }
+
+  const lowestSeenRank = Math.max(0, ...Object.values(previous.ranks))
+  repositories.forEach((repository, index) => {
+    const previousRank = previous.ranks[repository.id]
+    if (previousRank === undefined) {
+      if (index < lowestSeenRank) {
+        newIds.add(repository.id)
+      }
+    } else if (previousRank !== index + 1) {
+      rankChanges.set(repository.id, previousRank - (index + 1))
+    }
+  })
+
+  return { newIds, rankChanges }
+}
@@ -0,0 +1,566 @@
+/*
+ * Webhook Notifications
+ * Registered URLs are notified when a refresh of the Home page trends (the
+ * default query) finds repositories that were not in the earlier results.
+ * Deliveries are signed with the webhook's secret, retried on failure and
+ * recorded in a delivery log. Registrations, the log and the repositories
+ * already seen are kept in the cache ("webhooks" namespace); use a persistent
+ * CACHE_BACKEND to keep them across restarts.
+ *
+ * Managing webhooks requires WEBHOOK_ADMIN_TOKEN (disabled without it), and
+ * receivers on private, loopback or link-local addresses are refused.
+ */
+
+import crypto from 'crypto'
+import dns from 'dns/promises'
+import net from 'net'
+import { DEFAULT_TRENDS_QUERY, getTrendsCacheKey } from './trendsQuery'
+import { getLatestSummaries } from './summaryCache'
+import { isTransientStatus, parseRetryAfter, getBackoffDelay, sleep } from './retry'
+import { createCache } from './cache'
+import { runSerially } from './concurrency'
+
+/**
+ * @typedef {'json'|'slack'} WebhookFormat
+ */
+
+/**
+ * @typedef {Object} Webhook
+ * @property {string} id - Webhook id
+ * @property {string} url - Receiver URL
+ * @property {WebhookFormat} format - "json" (generic payload) or "slack" (incoming webhook message)
+ * @property {string} secret - HMAC secret that signs deliveries
+ * @property {boolean} include_summaries - Whether payloads carry cached AI summaries
+ * @property {string} created_at - Registration time (ISO 8601)
+ */
+
+/**
+ * One attempt to deliver a payload
+ * @typedef {Object} WebhookAttempt
+ * @property {string} attempted_at - When the request was sent (ISO 8601)
+ * @property {number|null} status_code - Receiver response status (null when no response)
+ * @property {string|null} error - Network error or non-2xx reason
+ * @property {number} duration_ms - Request time in milliseconds
+ */
+
+/**
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id - Delivery id (sent as X-Webhook-Delivery)
+ * @property {string} webhook_id - Webhook the payload was sent to
+ * @property {string} url - Receiver URL at the time of delivery
+ * @property {string} event - "repositories.new" or "ping"
+ * @property {number[]} repository_ids - Repositories in the payload
+ * @property {'delivered'|'failed'} status - Outcome after all attempts
+ * @property {WebhookAttempt[]} attempts - Attempts in order
+ * @property {string} created_at - When the first attempt was sent (ISO 8601)
+ * @property {string} completed_at - When the last attempt finished (ISO 8601)
+ */
+
+export const WEBHOOK_FORMATS = ['json', 'slack']
+export const MAX_WEBHOOKS = 20
+export const MAX_DELIVERY_ATTEMPTS = 4
+
+const DELIVERY_TIMEOUT = 10 * 1000 // Per attempt, in milliseconds
+const MAX_RETRY_AFTER = 60 * 1000 // Longest Retry-After honoured between attempts
+const MAX_LOGGED_DELIVERIES = 200
+const MAX_SEEN_REPOSITORIES = 2000
+const SLACK_MAX_REPOSITORIES = 10 // Slack messages are limited to 50 blocks
+const WEBHOOK_RETENTION = 365 * 24 * 60 * 60 * 1000
+// A baseline this old is replaced instead of reporting everything since
+const SEEN_RETENTION = 30 * 24 * 60 * 60 * 1000
+const REGISTRATIONS_KEY = 'registrations'
+const DELIVERIES_KEY = 'deliveries'
+
+const webhookCache = createCache('webhooks', { durable: true })
+
+// Receivers may not be on these networks, so webhooks cannot reach into the server's own network
+/** @type {Array<[string, number]>} */
+const PRIVATE_IPV4_SUBNETS = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]
+/** @type {Array<[string, number]>} */
+const PRIVATE_IPV6_SUBNETS = [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+
+const PRIVATE_NETWORKS = new net.BlockList()
+for (const [address, prefix] of PRIVATE_IPV4_SUBNETS) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4')
+}
+for (const [address, prefix] of PRIVATE_IPV6_SUBNETS) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6')
+}
+
+/**
+ * Thrown for invalid webhook requests; status is the HTTP status to return
+ */
+export class WebhookError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {number} status - HTTP status
+   */
+  constructor(message, status) {
+    super(message)
+    this.name = 'WebhookError'
+    this.status = status
+  }
+}
+
+/**
+ * Runs a read-modify-write of the cache after the ones already queued, so
+ * concurrent writes do not drop entries
+ * @template T
+ * @param {() => Promise<T>} task - Update to run
+ * @returns {Promise<T>}
+ */
+function serialize(task) {
+  return runSerially('webhooks', task)
+}
+
+// Warn about a missing admin token once, not on every request
+let warnedMissingAdminToken = false
+
+/**
+ * Returns the operator's webhook admin token, ignoring the .env example placeholder
+ * @returns {string|null}
+ */
+function getWebhookAdminToken() {
+  const token = process.env.WEBHOOK_ADMIN_TOKEN
+  if (!token || /^your_.*_here$/.test(token)) {
+    return null
+  }
+  return token
+}
+
+/**
+ * Whether a request may manage webhooks
+ * Requests must send WEBHOOK_ADMIN_TOKEN as a bearer token; without a
+ * configured token, webhook management is disabled.
+ * @param {Request} request - Incoming request
+ * @returns {boolean}
+ */
+export function isWebhookAdmin(request) {
+  const token = getWebhookAdminToken()
+  if (!token) {
+    if (!warnedMissingAdminToken) {
+      console.warn('Webhook management is disabled: set WEBHOOK_ADMIN_TOKEN to enable it')
+      warnedMissingAdminToken = true
+    }
+    return false
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`)
+  const received = Buffer.from(request.headers.get('authorization') || '')
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+}
+
+/**
+ * Checks that a receiver URL does not point into a private network
+ * Every address the host resolves to is checked, at registration and before
+ * each delivery (DNS answers may change). WEBHOOK_ALLOW_PRIVATE_TARGETS=true
+ * allows such receivers for local development.
+ * @param {URL} url - Receiver URL
+ * @returns {Promise<void>}
+ * @throws {WebhookError} When the host cannot be resolved or is private
+ */
+async function assertPublicTarget(url) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true') {
+    return
+  }
+
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1')
+  let addresses
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true, verbatim: true })
+  } catch {
+    throw new WebhookError(`Could not resolve ${hostname}`, 400)
+  }
+
+  if (addresses.some(({ address, family }) => PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new WebhookError('"url" must not point to a private, loopback or link-local address', 400)
+  }
+}
+
+/**
+ * Signs a payload: HMAC-SHA256 of "<timestamp>.<body>" as hex
+ * Sent as "X-Webhook-Signature: sha256=<hex>" with the timestamp in
+ * X-Webhook-Timestamp, so receivers can also reject replayed deliveries.
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} body - Request body
+ * @returns {string}
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Webhook without its secret, for listing
+ * @param {Webhook} webhook - Stored webhook
+ * @returns {Omit<Webhook, 'secret'> & { secret_hint: string }}
+ */
+export function toPublicWebhook({ secret, ...webhook }) {
+  return { ...webhook, secret_hint: `…${secret.slice(-4)}` }
+}
+
+/**
+ * Lists registered webhooks, oldest first
+ * @returns {Promise<Webhook[]>}
+ */
+export async function listWebhooks() {
+  const entry = await webhookCache.get(REGISTRATIONS_KEY)
+  return entry ? entry.data : []
+}
+
+/**
+ * Registers a webhook
+ * @param {Object} options - Webhook fields
+ * @param {string} options.url - Receiver URL (http or https)
+ * @param {WebhookFormat} [options.format] - Payload format (default "json")
+ * @param {string} [options.secret] - HMAC secret (generated when omitted)
+ * @param {boolean} [options.include_summaries] - Attach cached AI summaries (default true)
+ * @returns {Promise<Webhook>} Stored webhook, including its secret
+ * @throws {WebhookError} When a field is invalid or too many webhooks exist
+ */
+export async function createWebhook({ url, format = 'json', secret, include_summaries = true }) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    throw new WebhookError('"url" must be an absolute http(s) URL', 400)
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new WebhookError('"url" must be an absolute http(s) URL', 400)
+  }
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new WebhookError(`"format" must be one of: ${WEBHOOK_FORMATS.join(', ')}`, 400)
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new WebhookError('"secret" must be a string of at least 16 characters', 400)
+  }
+  if (typeof include_summaries !== 'boolean') {
+    throw new WebhookError('"include_summaries" must be a boolean', 400)
+  }
+  await assertPublicTarget(parsed)
+
+  /** @type {Webhook} */
+  const webhook = {
+    id: crypto.randomUUID(),
+    url: parsed.toString(),
+    format,
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    include_summaries,
+    created_at: new Date().toISOString()
+  }
+
+  return serialize(async () => {
+    const webhooks = await listWebhooks()
+    if (webhooks.length >= MAX_WEBHOOKS) {
+      throw new WebhookError(`At most ${MAX_WEBHOOKS} webhooks can be registered`, 409)
+    }
+
+    await webhookCache.set(REGISTRATIONS_KEY, [...webhooks, webhook], WEBHOOK_RETENTION)
+    console.log(`Registered ${format} webhook ${webhook.id} for ${parsed.host}`)
+    return webhook
+  })
+}
+
+/**
+ * Removes a webhook (its past deliveries stay in the log)
+ * @param {string} id - Webhook id
+ * @returns {Promise<boolean>} Whether the webhook existed
+ */
+export function deleteWebhook(id) {
+  return serialize(async () => {
+    const webhooks = await listWebhooks()
+    const remaining = webhooks.filter((webhook) => webhook.id !== id)
+    if (remaining.length === webhooks.length) {
+      return false
+    }
+
+    await webhookCache.set(REGISTRATIONS_KEY, remaining, WEBHOOK_RETENTION)
+    console.log(`Removed webhook ${id}`)
+    return true
+  })
+}
+
+/**
+ * Lists recorded deliveries, newest first
+ * @param {Object} [options] - Filters
+ * @param {string} [options.webhookId] - Only deliveries to this webhook
+ * @param {number} [options.limit] - Maximum number of deliveries
+ * @returns {Promise<WebhookDelivery[]>}
+ */
+export async function listDeliveries({ webhookId, limit = MAX_LOGGED_DELIVERIES } = {}) {
+  const entry = await webhookCache.get(DELIVERIES_KEY)
+  /** @type {WebhookDelivery[]} */
+  const deliveries = entry ? entry.data : []
+  return deliveries
+    .filter((delivery) => !webhookId || delivery.webhook_id === webhookId)
+    .slice(0, limit)
+}
+
+/**
+ * Adds a delivery to the front of the log, dropping the oldest beyond the limit
+ * @param {WebhookDelivery} delivery - Finished delivery
+ * @returns {Promise<void>}
+ */
+function logDelivery(delivery) {
+  return serialize(async () => {
+    const deliveries = await listDeliveries()
+    await webhookCache.set(DELIVERIES_KEY, [delivery, ...deliveries].slice(0, MAX_LOGGED_DELIVERIES), WEBHOOK_RETENTION)
+  })
+}
+
+/**
+ * Repository fields sent in payloads
+ * @param {import('./trends.js').GitHubRepository} repository - Repository
+ * @param {import('./summaryCache.js').CachedSummary|undefined} summary - Latest cached summary
+ * @returns {Object}
+ */
+function toPayloadRepository(repository, summary) {
+  return {
+    id: repository.id,
+    full_name: repository.full_name,
+    html_url: repository.html_url,
+    description: repository.description,
+    stars: repository.stargazers_count,
+    language: repository.language,
+    topics: repository.topics || [],
+    created_at: repository.created_at,
+    summary: summary
+      ? { text: summary.summary, provider: summary.provider, model: summary.model, timestamp: summary.timestamp }
+      : null
+  }
+}
+
+/**
+ * Escapes text for Slack mrkdwn
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * Builds a Slack incoming-webhook message
+ * @param {string} event - Event name
+ * @param {ReturnType<typeof toPayloadRepository>[]} repositories - Payload repositories
+ * @returns {Object}
+ */
+function buildSlackPayload(event, repositories) {
+  const heading = event === 'ping'
+    ? '✅ Test notification from AI News Aggregator'
+    : `🆕 ${repositories.length} new trending AI ${repositories.length === 1 ? 'repository' : 'repositories'}`
+
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `*${heading}*` } }]
+  repositories.slice(0, SLACK_MAX_REPOSITORIES).forEach((repository) => {
+    const about = repository.summary ? repository.summary.text : repository.description || 'No description'
+    const details = [repository.language, ...repository.topics.slice(0, 5).map((topic) => `#${topic}`)].filter(Boolean).join(' · ')
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*<${repository.html_url}|${escapeSlack(repository.full_name)}>* · ⭐ ${repository.stars}\n` +
+          escapeSlack(about.slice(0, 500)) +
+          (details ? `\n_${escapeSlack(details)}_` : '')
+      }
+    })
+  })
+  if (repositories.length > SLACK_MAX_REPOSITORIES) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `…and ${repositories.length - SLACK_MAX_REPOSITORIES} more` }]
+    })
+  }
+
+  return { text: heading, blocks }
+}
+
+/**
+ * Sends a payload to a webhook, retrying network errors, timeouts, 408, 429 and 5xx
+ * Waits Retry-After (up to a minute) when the receiver sends it, otherwise
+ * backs off exponentially. The delivery is added to the log.
+ * @param {Webhook} webhook - Receiver
+ * @param {string} event - Event name
+ * @param {ReturnType<typeof toPayloadRepository>[]} repositories - Payload repositories
+ * @returns {Promise<WebhookDelivery>} Logged delivery
+ */
+async function deliver(webhook, event, repositories) {
+  const deliveryId = crypto.randomUUID()
+  const createdAt = new Date().toISOString()
+  const payload = webhook.format === 'slack'
+    ? buildSlackPayload(event, repositories)
+    : { event, delivery_id: deliveryId, created_at: createdAt, count: repositories.length, repositories }
+  const body = JSON.stringify(payload)
+
+  /** @type {WebhookAttempt[]} */
+  const attempts = []
+  let delivered = false
+
+  for (let attempt = 1; attempt <= MAX_DELIVERY_ATTEMPTS && !delivered; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000))
+    const startedAt = Date.now()
+    let retryAfter = null
+    let retryable = true
+
+    try {
+      await assertPublicTarget(new URL(webhook.url))
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ai-news-aggregator-webhooks',
+          'X-Webhook-Event': event,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+      })
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => '')
+
+      delivered = response.ok
+      retryable = isTransientStatus(response.status)
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+      attempts.push({
+        attempted_at: new Date(startedAt).toISOString(),
+        status_code: response.status,
+        error: response.ok ? null : `Receiver responded with ${response.status}`,
+        duration_ms: Date.now() - startedAt
+      })
+    } catch (error) {
+      // A receiver that now resolves to a private address is not retried
+      retryable = !(error instanceof WebhookError)
+      attempts.push({
+        attempted_at: new Date(startedAt).toISOString(),
+        status_code: null,
+        error: error instanceof Error && error.name === 'TimeoutError'
+          ? `No response within ${DELIVERY_TIMEOUT / 1000}s`
+          : error instanceof Error ? error.message : 'Request failed',
+        duration_ms: Date.now() - startedAt
+      })
+    }
+
+    if (!delivered && (!retryable || attempt === MAX_DELIVERY_ATTEMPTS)) {
+      break
+    }
+    if (!delivered) {
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, MAX_RETRY_AFTER)
+        : getBackoffDelay(attempt, { baseDelay: 1000, maxDelay: 30 * 1000 })
+      console.log(`Webhook ${webhook.id} delivery ${deliveryId} failed (attempt ${attempt}), retrying in ${delay}ms`)
+      await sleep(delay)
+    }
+  }
+
+  /** @type {WebhookDelivery} */
+  const delivery = {
+    id: deliveryId,
+    webhook_id: webhook.id,
+    url: webhook.url,
+    event,
+    repository_ids: repositories.map((repository) => repository.id),
+    status: delivered ? 'delivered' : 'failed',
+    attempts,
+    created_at: createdAt,
+    completed_at: new Date().toISOString()
+  }
+
+  console.log(`Webhook ${webhook.id} delivery ${deliveryId} ${delivery.status} after ${attempts.length} attempt(s)`)
+  await logDelivery(delivery)
+  return delivery
+}
+
+/**
+ * Sends payloads to webhooks, with cached summaries for those that want them
+ * @param {Webhook[]} webhooks - Receivers
+ * @param {string} event - Event name
+ * @param {import('./trends.js').GitHubRepository[]} repositories - Repositories to include
+ * @returns {Promise<WebhookDelivery[]>}
+ */
+async function deliverToWebhooks(webhooks, event, repositories) {
+  const summaries = webhooks.some((webhook) => webhook.include_summaries)
+    ? await getLatestSummaries(repositories.map((repository) => repository.id))
+    : {}
+
+  return Promise.all(webhooks.map((webhook) => deliver(
+    webhook,
+    event,
+    repositories.map((repository) => toPayloadRepository(
+      repository,
+      webhook.include_summaries ? summaries[String(repository.id)] : undefined
+    ))
+  )))
+}
+
+/**
+ * Sends a "ping" event to a webhook so a receiver can be checked
+ * @param {string} id - Webhook id
+ * @param {import('./trends.js').GitHubRepository[]} repositories - Sample repositories for the payload
+ * @returns {Promise<WebhookDelivery>}
+ * @throws {WebhookError} When the webhook does not exist
+ */
+export async function sendTestDelivery(id, repositories) {
+  const webhook = (await listWebhooks()).find((item) => item.id === id)
+  if (!webhook) {
+    throw new WebhookError(`Webhook ${id} not found`, 404)
+  }
+
+  const [delivery] = await deliverToWebhooks([webhook], 'ping', repositories)
+  return delivery
+}
+
+/**
+ * Notifies webhooks of repositories not seen in earlier results of the same query
+ * Called after every trends refresh from GitHub. Only the default query (the
+ * Home page) is watched. The first refresh of each page records a baseline
+ * without notifying, so webhooks only hear about repositories that newly
+ * entered the results.
+ * @param {import('./trendsQuery.js').TrendsQuery} trendsQuery - Refreshed query
+ * @param {number} page - Refreshed page
+ * @param {import('./trends.js').GitHubRepository[]} repositories - Repositories of the fresh page
+ * @returns {Promise<WebhookDelivery[]>} Deliveries made (empty when nothing was new)
+ */
+export async function notifyNewRepositories(trendsQuery, page, repositories) {
+  const queryKey = getTrendsCacheKey(trendsQuery, 1)
+  if (queryKey !== getTrendsCacheKey(DEFAULT_TRENDS_QUERY, 1)) {
+    return []
+  }
+
+  const webhooks = await listWebhooks()
+  if (webhooks.length === 0) {
+    return []
+  }
+
+  const newRepositories = await serialize(async () => {
+    const seenKey = `seen:${queryKey.replace(/&page=1$/, '')}`
+    const entry = await webhookCache.get(seenKey)
+    /** @type {{ ids: number[], pages: number[] }} */
+    const seen = entry && entry.timestamp > Date.now() - SEEN_RETENTION ? entry.data : { ids: [], pages: [] }
+
+    // A page refreshed for the first time only extends the baseline
+    const seenIds = new Set(seen.ids)
+    const unseen = repositories.filter((repository) => !seenIds.has(repository.id))
+    const isBaseline = !seen.pages.includes(page)
+
+    await webhookCache.set(seenKey, {
+      ids: [...unseen.map((repository) => repository.id), ...seen.ids].slice(0, MAX_SEEN_REPOSITORIES),
+      pages: isBaseline ? [...seen.pages, page] : seen.pages
+    }, SEEN_RETENTION)
+
+    return isBaseline ? [] : unseen
+  })
+
+  if (newRepositories.length === 0) {
+    return []
+  }
+
+  console.log(`Found ${newRepositories.length} new trending repositories on page ${page}, notifying ${webhooks.length} webhook(s)`)
+  return deliverToWebhooks(webhooks, 'repositories.new', newRepositories)
+}
@@ -4,6 +4,8 @@ const nextConfig = {
   experimental: {
     // Enable server components by default
     serverComponentsExternalPackages: [],
+    // Run instrumentation.js on startup (starts the scheduled trends refresh)
+    instrumentationHook: true,
   },
   // Optimize for Vercel deployment
   images: {
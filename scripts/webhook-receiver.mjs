@@ -0,0 +1,64 @@
+/*
+ * Local Webhook Receiver
+ * Prints incoming webhook deliveries and checks their signatures, for trying
+ * webhooks without an external service.
+ *
+ * Usage: WEBHOOK_SECRET=<secret> npm run webhook:receiver [-- <port>]
+ * Then register http://localhost:<port>/ with POST /api/webhooks (using the
+ * same secret; the app needs WEBHOOK_ALLOW_PRIVATE_TARGETS=true to accept a
+ * local receiver) and send a ping with POST /api/webhooks/test.
+ * Set FAIL_FIRST=<n> to answer the first n deliveries with 503 and see retries.
+ */
+
+import http from 'http'
+import crypto from 'crypto'
+
+const port = Number(process.argv[2]) || 4000
+const secret = process.env.WEBHOOK_SECRET
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0
+
+/**
+ * Checks X-Webhook-Signature: HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {http.IncomingMessage} request - Delivery request
+ * @param {string} body - Raw request body
+ * @returns {boolean}
+ */
+function hasValidSignature(request, body) {
+  const timestamp = request.headers['x-webhook-timestamp']
+  const signature = request.headers['x-webhook-signature'] || ''
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+  return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+}
+
+http.createServer((request, response) => {
+  let body = ''
+  request.on('data', (chunk) => { body += chunk })
+  request.on('end', () => {
+    const event = request.headers['x-webhook-event']
+    const delivery = request.headers['x-webhook-delivery']
+    console.log(`\n=== ${new Date().toISOString()} ${event} (${delivery}) ===`)
+
+    if (failuresLeft > 0) {
+      failuresLeft--
+      console.log('Answering 503 (FAIL_FIRST)')
+      response.writeHead(503).end()
+      return
+    }
+
+    if (secret) {
+      const valid = hasValidSignature(request, body)
+      console.log(valid ? 'Signature: valid' : 'Signature: INVALID')
+      if (!valid) {
+        response.writeHead(401).end()
+        return
+      }
+    } else {
+      console.log('Signature: not checked (set WEBHOOK_SECRET)')
+    }
+
+    console.log(JSON.stringify(JSON.parse(body || '{}'), null, 2))
+    response.writeHead(204).end()
+  })
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`)
+})
@@ -18,6 +18,7 @@
  * @property {string} updated_at - Last update timestamp (ISO 8601 format)
  * @property {string|null} language - Primary programming language (can be null)
  * @property {string} [created_at] - Creation timestamp (optional, ISO 8601 format)
+ * @property {import('../lib/starHistory.js').StarVelocity|null} [star_velocity] - Stars gained per hour/day (added by /api/trends)
  */
 
 /**
@@ -26,25 +27,48 @@
  * 
  * @typedef {Object} NewsCardProps
  * @property {Repository} repository - Repository data to display
- * @property {function(Repository): void} onSummarize - Callback when summarize button is clicked
+ * @property {function(Repository): void} [onSummarize] - Callback when summarize button is clicked (button hidden without it)
  * @property {boolean} [isLoading] - Optional loading state for summarization
+ * @property {RepositorySummary} [summary] - Summary shown inline (streamed as it is generated)
+ * @property {function(Repository): void} [onCancelSummarize] - Callback to stop a summary in progress
+ * @property {function(Repository): void} [onRegenerate] - Callback to replace the summary with a fresh one
+ * @property {boolean} [isBookmarked] - Whether the repository is on the watchlist
+ * @property {function(Repository): void} [onToggleBookmark] - Callback to add or remove the bookmark
+ * @property {function(string): void} [onSelectTopic] - Callback when a topic chip is clicked (chips are static without it)
+ * @property {string[]} [selectedTopics] - Topics currently used as filters (lowercase)
+ */
+
+/**
+ * Repository saved to the watchlist (see lib/bookmarks)
+ *
+ * @typedef {Object} Bookmark
+ * @property {Repository} repository - Repository as last seen (refreshed from GitHub on the watchlist page)
+ * @property {string} addedAt - When it was bookmarked (ISO 8601)
+ * @property {{ text: string, provider: string, model?: string, style?: string, output_language?: string, timestamp: string|null }|null} summary - Latest completed summary
  */
 
 /**
  * LLM Provider type definition
- * Supported AI providers for repository summarization
+ * Supported AI providers for repository summarization (see lib/providers)
  * 
- * @typedef {'openai'|'groq'} LLMProvider
+ * @typedef {'openai'|'groq'|'anthropic'|'openai-compatible'} LLMProvider
  */
 
 /**
  * User Settings interface for localStorage persistence
- * Stores user preferences for API configuration
+ * Stores user preferences for API configuration (see lib/settings)
  * 
  * @typedef {Object} UserSettings
- * @property {string} apiKey - User's API key for LLM services
+ * @property {number} version - Schema version, used to migrate older stored settings
+ * @property {string} apiKey - User's API key for LLM services (empty when not needed or server-managed)
  * @property {LLMProvider} provider - Selected LLM provider
- * @property {string} lastUpdated - Settings update timestamp
+ * @property {string} baseUrl - API base URL for the "openai-compatible" provider
+ * @property {string} model - Model name for the "openai-compatible" provider
+ * @property {string} summaryStyle - Default summary style preset
+ * @property {string} outputLanguage - Default summary language code
+ * @property {LLMProvider|''} fallbackProvider - Provider tried when the selected one fails ('' for none)
+ * @property {string} fallbackApiKey - API key for the fallback provider
+ * @property {string|null} lastUpdated - Settings update timestamp (null until first saved)
  */
 
 /**
@@ -58,15 +82,42 @@
  * @property {Repository[]} repositories - Array of trending repositories
  * @property {string} cached_at - Cache timestamp
  * @property {number} total_count - Total number of repositories found
+ * @property {import('../lib/trendsQuery.js').TrendsQuery} [query] - Normalized query the results were fetched for
+ * @property {number} [page] - 1-based page of results returned
+ * @property {boolean} [has_more] - Whether another page can be requested
+ * @property {string|null} [next_cursor] - Cursor for the next page (null on the last page)
+ * @property {import('../lib/facets.js').RepositoryFacets} [facets] - Topic and language counts of the returned repositories
+ * @property {boolean} [stale] - Data is past its cache lifetime and is being refreshed
+ */
+
+/**
+ * Provider tried when the previous one in a summarize request keeps failing
+ *
+ * @typedef {Object} ProviderFallback
+ * @property {LLMProvider} provider - Fallback LLM provider
+ * @property {string} [apiKey] - API key for this provider
+ * @property {string} [baseUrl] - API base URL for the "openai-compatible" provider
+ * @property {string} [model] - Model name for the "openai-compatible" provider
  */
 
 /**
  * Request body for /api/summarize endpoint
  * 
  * @typedef {Object} SummarizeRequest
- * @property {string} text - Repository content to summarize
- * @property {string} apiKey - User's API key
+ * @property {string} [text] - Repository name and description to summarize
+ * @property {string} [full_name] - Owner/repository; its README is fetched and added to the prompt
+ * @property {string[]} [topics] - Repository topics included in the prompt
+ * @property {string|null} [language] - Primary language included in the prompt
+ * @property {string} [apiKey] - User's API key (optional for local OpenAI-compatible servers)
  * @property {LLMProvider} provider - Selected LLM provider
+ * @property {string} [baseUrl] - API base URL for the "openai-compatible" provider
+ * @property {string} [model] - Model name for the "openai-compatible" provider
+ * @property {ProviderFallback[]} [fallbacks] - Providers tried in order when the selected one fails (at most 3)
+ * @property {string} [style] - Summary style preset from lib/prompts (default "three-sentence")
+ * @property {string} [output_language] - Language code to write the summary in (default "en")
+ * @property {number} [id] - Repository id (enables the server-side summary cache once verified with full_name)
+ * @property {string} [updated_at] - Repository revision timestamp used in the cache key
+ * @property {boolean} [regenerate] - Bypass the cache and generate a fresh summary
  */
 
 /**
@@ -75,7 +126,32 @@
  * @typedef {Object} SummarizeResponse
  * @property {string} summary - Generated 3-sentence summary
  * @property {LLMProvider} provider - Provider used for summarization
+ * @property {string} model - Model that generated the summary
+ * @property {string} style - Summary style preset
+ * @property {string} output_language - Language code the summary is written in
  * @property {string} timestamp - Generation timestamp
+ * @property {string[]} sources - Inputs used in the prompt ("description", "readme", "topics", "language")
+ * @property {number} attempts - Provider requests made, including retries and fallbacks (0 when cached)
+ * @property {boolean} fallback - Answered by a fallback provider instead of the requested one
+ * @property {boolean} cached - Whether the summary was served from the cache
+ */
+
+/**
+ * Client-side state of a repository summary, filled in while it streams
+ *
+ * @typedef {Object} RepositorySummary
+ * @property {string} text - Summary text received so far
+ * @property {'streaming'|'done'|'cancelled'|'error'} status - Generation status
+ * @property {string} provider - Provider generating the summary
+ * @property {string} [model] - Model that generated the summary
+ * @property {string} [style] - Summary style preset
+ * @property {string} [output_language] - Language code the summary is written in
+ * @property {string|null} timestamp - Completion timestamp (null until done)
+ * @property {string[]} sources - Inputs used in the prompt
+ * @property {number} [attempts] - Provider requests made, including retries and fallbacks
+ * @property {boolean} [fallback] - Answered by a fallback provider
+ * @property {boolean} [cached] - Served from the server-side summary cache
+ * @property {string} [error] - Failure message when status is "error"
  */
 
 /**